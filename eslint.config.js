@@ -5,6 +5,7 @@ const eslintConfigPrettier = require ("eslint-config-prettier");
 module.exports = [
   {files: ["**/*.js"], languageOptions: {sourceType: "commonjs"}},
   {languageOptions: { globals: globals.node }},
+  {files: ["test/**/*.js"], languageOptions: { globals: globals.mocha }},
   pluginJs.configs.recommended,
   eslintConfigPrettier,
  { rules: {
@@ -0,0 +1,271 @@
+/**
+ * Programmatic interface to the MODBUS utilities used by `mb`
+ *
+ * Lets other programs (eg test rigs) use the same configuration and
+ * connection setup as the command line:
+ *
+ *    var mb = require('@csllc/cs-modbus-cli');
+ *
+ *    var config = mb.loadConfig({args: {connection: 'tcp', host: '10.0.0.5'}});
+ *
+ *    mb.openConnection(config)
+ *      .then(function (connection) {
+ *        return mb.read(connection.master, 'holding', 0, 4);
+ *      })
+ *      .then(function (response) {
+ *        console.log(response.getValues());
+ *      });
+ *
+ * Requests resolve with the response; they reject if the request fails, or
+ * if the slave returns an exception (the error's `response` property then
+ * holds the exception response).
+ *
+ */
+'use strict';
+
+var config = require('./lib/config');
+var connection = require('./lib/connection');
+var errors = require('./lib/errors');
+var toRegisters = require('./lib/values').toRegisters;
+
+// Master methods for each type of item that can be read
+var READS = {
+  coil: 'readCoils',
+  discrete: 'readDiscreteInputs',
+  holding: 'readHoldingRegisters',
+  input: 'readInputRegisters',
+  slave: 'reportSlaveId',
+  fifo: 'readFifo8',
+  object: 'readObject',
+  memory: 'readMemory',
+};
+
+/**
+ * Sends a request using one of the master's methods
+ *
+ * The request is kept with the response (as response.request), so the
+ * response can be described with its addresses.
+ *
+ * @param  {[object]}  master  the master
+ * @param  {[string]}  method  name of the master method, eg 'readCoils'
+ * @param  {[array]}   params  arguments before the transaction options
+ * @param  {[object]}  options transaction options (unit, timeout, maxRetries)
+ * @return {[Promise]}         resolves with the response
+ */
+function execute(master, method, params, options) {
+  return new Promise(function (resolve, reject) {
+    var transaction = master[method].apply(
+      master,
+      params.concat(
+        Object.assign({}, options, {
+          onDone: function (err, response) {
+            if (response && transaction) {
+              response.request = transaction.getRequest();
+            }
+
+            if (err) {
+              reject(err);
+            } else if (response.isException()) {
+              reject(errors.exceptionError(response));
+            } else {
+              resolve(response);
+            }
+          },
+        }),
+      ),
+    );
+  });
+}
+
+/**
+ * Reads an item from a slave
+ *
+ * The meaning of `address` and `quantity` depends on the type: for fifo
+ * they are the FIFO id and the most bytes to read, for object only the id
+ * is used, and for slave (report slave ID) neither is.
+ *
+ * @param  {[object]}  master   the master, from openConnection()
+ * @param  {[string]}  type     coil, discrete, holding, input, slave, fifo, object or memory
+ * @param  {[number]}  address  address or id
+ * @param  {[number]}  quantity number of items (default 1; 250 for fifo)
+ * @param  {[object]}  options  optional transaction options (unit, timeout, maxRetries)
+ * @return {[Promise]}          resolves with the response
+ */
+function read(master, type, address, quantity, options) {
+  address = address || 0;
+
+  if (!READS[type]) {
+    return Promise.reject(new Error('Trying to read unknown item ' + type));
+  }
+  if (type === 'slave') {
+    return execute(master, READS[type], [], options);
+  }
+  if (type === 'object') {
+    return execute(master, READS[type], [address], options);
+  }
+  return execute(master, READS[type], [address, quantity || (type === 'fifo' ? 250 : 1)], options);
+}
+
+/**
+ * Writes an item to a slave
+ *
+ * Values are given as:
+ *    coil     true/false (or 1/0), or an array of them for several coils
+ *    holding  a number (-32768 to 65535), an array of them or a Buffer of
+ *             register data; other numbers reject the promise
+ *    fifo, object, memory  an array of bytes or a Buffer
+ *
+ * @param  {[object]}  master  the master, from openConnection()
+ * @param  {[string]}  type    coil, holding, fifo, object or memory
+ * @param  {[number]}  address address, or the fifo or object id
+ * @param  {[object]}  values  the value(s) to write
+ * @param  {[object]}  options optional transaction options; verify uses
+ *                             writeMemoryVerify for memory
+ * @return {[Promise]}         resolves with the response
+ */
+function write(master, type, address, values, options) {
+  var transaction = Object.assign({}, options);
+
+  delete transaction.verify;
+  address = address || 0;
+
+  switch (type) {
+    case 'coil':
+      if (Array.isArray(values)) {
+        return execute(master, 'writeMultipleCoils', [address, values.map(Boolean)], transaction);
+      }
+      return execute(master, 'writeSingleCoil', [address, !!values], transaction);
+
+    case 'holding': {
+      var buf = values;
+
+      if (!Buffer.isBuffer(values)) {
+        try {
+          buf = toRegisters([].concat(values), 0);
+        } catch (err) {
+          return Promise.reject(err);
+        }
+      }
+      return execute(master, 'writeMultipleRegisters', [address, buf], transaction);
+    }
+
+    case 'fifo':
+      return execute(master, 'writeFifo8', [address, Array.from(values)], transaction);
+
+    case 'object':
+      return execute(master, 'writeObject', [address, Buffer.from(values)], transaction);
+
+    case 'memory':
+      return execute(
+        master,
+        options && options.verify ? 'writeMemoryVerify' : 'writeMemory',
+        [address, Buffer.from(values)],
+        transaction,
+      );
+
+    default:
+      return Promise.reject(new Error('Trying to write unknown item ' + type));
+  }
+}
+
+/**
+ * Finds the units that respond to a probe request
+ *
+ * A unit that replies with an exception is counted, since it is present
+ * on the bus, and a unit that times out is taken to be absent.  Any other
+ * error (eg the connection was lost, or a reply was corrupt) stops the
+ * scan: the promise is rejected with the error, whose unit property holds
+ * the unit being probed.
+ *
+ * @param  {[object]}   master  the master, from openConnection()
+ * @param  {[object]}   options
+ * @param  {[number]}   options.from    first unit ID (default 1)
+ * @param  {[number]}   options.to      last unit ID (default 247)
+ * @param  {[string]}   options.probe   request to send: 'slave' (the default)
+ *                                      or a read type and address, eg 'holding:0'
+ * @param  {[number]}   options.timeout ms to wait for each unit (default 250)
+ * @param  {[function]} options.onProbe optional; called with (unit) before each probe
+ * @param  {[function]} options.onFound optional; called with each result as it is found
+ * @return {[Promise]}                  resolves with a list of {unit, time, response}
+ */
+function scan(master, options) {
+  options = options || {};
+
+  var from = 'undefined' === typeof options.from ? 1 : options.from;
+  var to = 'undefined' === typeof options.to ? 247 : options.to;
+  var probe = String(options.probe || 'slave').split(':');
+  var found = [];
+
+  function next(unit) {
+    if (unit > to) {
+      return Promise.resolve(found);
+    }
+
+    var started = new Date().getTime();
+
+    if (options.onProbe) {
+      options.onProbe(unit);
+    }
+
+    function add(response) {
+      var result = {unit: unit, time: new Date().getTime() - started, response: response};
+
+      found.push(result);
+      if (options.onFound) {
+        options.onFound(result);
+      }
+    }
+
+    return read(master, probe[0], Number(probe[1]) || 0, 1, {
+      unit: unit,
+      timeout: options.timeout || 250,
+      maxRetries: 0,
+    })
+      .then(add, function (err) {
+        // a unit that replies with an exception is present
+        if (err.response) {
+          add(err.response);
+        } else if (err.name !== 'ResponseTimeoutError' || master.isConnected() === false) {
+          if (err.name === 'ResponseTimeoutError') {
+            // the probe timed out because the connection closed, not because
+            // the unit is absent
+            err = new Error('The connection was lost');
+            err.name = 'ConnectionLostError';
+          }
+          err.unit = unit;
+          err.message = 'Unit ' + unit + ': ' + err.message;
+          throw err;
+        }
+      })
+      .then(function () {
+        return next(unit + 1);
+      });
+  }
+
+  try {
+    [from, to].forEach(function (unit) {
+      if ('number' !== typeof unit || unit < 0 || unit > 255 || unit % 1) {
+        throw new Error('Invalid unit ID: ' + unit + ' (use 0 to 255)');
+      }
+    });
+    if (!READS[probe[0]]) {
+      throw new Error('Unknown probe ' + probe[0] + ' (use ' + Object.keys(READS).join(', ') + ')');
+    }
+  } catch (err) {
+    return Promise.reject(err);
+  }
+
+  return next(from);
+}
+
+module.exports = {
+  CONFIG_DEFAULTS: config.DEFAULTS,
+  CONFIG_FILE: config.FILE,
+  loadConfig: config.load,
+  saveConfig: config.save,
+  validateConfig: config.validate,
+  openConnection: connection.open,
+  read: read,
+  write: write,
+  scan: scan,
+};
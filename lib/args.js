@@ -0,0 +1,57 @@
+/**
+ * Command line parsing shared by the command line, scripts and the shell
+ *
+ */
+'use strict';
+
+var minimist = require('minimist');
+
+// a negative number, which minimist would otherwise treat as an option
+var NEGATIVE_RE = /^-(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+// other values starting with a negative number (eg -0x10, -5..5, -1:4)
+var NEGATIVE_VALUE_RE = /^-\d[\w.:+-]*$/;
+
+// prefix used to hide negative numbers from minimist
+var MARK = '\u0000';
+
+/**
+ * Restores a value hidden from minimist by parse()
+ *
+ * @param  {[any]} value the parsed value
+ * @return {[any]}       the value, as a number if it is a negative number
+ */
+function unmark(value) {
+  if (Array.isArray(value)) {
+    return value.map(unmark);
+  }
+  if ('string' !== typeof value || value.charAt(0) !== MARK) {
+    return value;
+  }
+  value = value.substring(1);
+  return NEGATIVE_RE.test(value) ? Number(value) : value;
+}
+
+/**
+ * Parses a list of words into options and positional arguments
+ *
+ * Same as minimist, except that negative numbers (eg -12.5), and values
+ * that start with one (eg -5..5), are kept as values, either positional
+ * arguments or the value of the option before them (eg --timeout -5).
+ *
+ * @param  {[array]}  words list of arguments
+ * @return {[object]}       parsed arguments; positional ones in '_'
+ */
+function parse(words) {
+  var argv = minimist(words.map((word) => (NEGATIVE_RE.test(word) || NEGATIVE_VALUE_RE.test(word) ? MARK + word : word)));
+
+  Object.keys(argv).forEach(function (key) {
+    argv[key] = unmark(argv[key]);
+  });
+
+  return argv;
+}
+
+module.exports = {
+  parse: parse,
+};
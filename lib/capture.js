@@ -0,0 +1,409 @@
+/**
+ * Records the frames sent and received by the master (--capture), and
+ * reads them back ('mb replay')
+ *
+ * A capture is a JSON lines file, one frame per line:
+ *
+ *    {"time":"2026-10-19T08:00:00.123Z","elapsed":12.345678,"dir":"tx",
+ *     "transport":"rtu","data":"010300000002c40b"}
+ *
+ * where elapsed is the time since the capture started, in ms to the
+ * nearest ns, and data is the frame in hex.  J1939 frames also have the
+ * pgn, src and dst.
+ *
+ * Files ending in .pcap are written in pcap format instead (nanosecond
+ * timestamps, link type USER0), so they can be opened in Wireshark.  Each
+ * packet starts with an 8 byte header: direction (0 tx, 1 rx), transport
+ * (see TRANSPORTS), J1939 source and destination, and the J1939 PGN (32
+ * bits, big endian); the frame follows.
+ *
+ * Frames are recorded as the connection reports them, so a response may
+ * be split over several records; they are put back together when the
+ * capture is decoded.
+ *
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var sniffer = require('./sniffer');
+
+// Transport codes used in the pcap header; transport types are matched
+// without regard to case (the CS1179 transport is configured as 'CS1179')
+var TRANSPORTS = ['rtu', 'ascii', 'ip', 'tunnel', 'socketcand', 'j1939', 'cs1179'];
+
+// Transports whose frames arrive as a stream of bytes
+var STREAMS = ['rtu', 'ascii', 'ip'];
+
+// The PGN that carries MODBUS PDUs over J1939
+var PGN_PROPRIETARY_A = 61184;
+
+var PCAP_MAGIC = 0xa1b23c4d;
+var PCAP_HEADER = 24;
+var PCAP_RECORD = 16;
+var PCAP_LINKTYPE_USER0 = 147;
+var PSEUDO_HEADER = 8;
+var SNAPLEN = 65535;
+
+/**
+ * Returns whether a capture file is in pcap format, from its name
+ *
+ * @param  {[string]}  file the file name
+ * @return {[boolean]}      true for .pcap files
+ */
+function isPcap(file) {
+  return path.extname(file).toLowerCase() === '.pcap';
+}
+
+/**
+ * Starts a capture, replacing the file if it exists
+ *
+ * Frames are written straight away (and synchronously), so nothing is
+ * lost if mb exits in the middle of a transaction.  Throws if a pcap
+ * capture is asked for with a transport that has no code in TRANSPORTS.
+ *
+ * @param  {[string]} file      the file name; .pcap for pcap format
+ * @param  {[string]} transport the transport type (rtu, ip, j1939...)
+ * @return {[object]}           the capture, with record(dir, data, src)
+ */
+function create(file, transport) {
+  var pcap = isPcap(file);
+  var code = TRANSPORTS.indexOf(String(transport).toLowerCase());
+
+  if (pcap && code < 0) {
+    throw new Error('The ' + transport + ' transport cannot be captured in pcap format (use a .jsonl file)');
+  }
+  if (code > -1) {
+    transport = TRANSPORTS[code];
+  }
+
+  var fd = fs.openSync(file, 'w');
+  var started = BigInt(new Date().getTime()) * 1000000n;
+  var base = process.hrtime.bigint();
+
+  if (pcap) {
+    var header = Buffer.alloc(PCAP_HEADER);
+
+    header.writeUInt32LE(PCAP_MAGIC, 0);
+    header.writeUInt16LE(2, 4);
+    header.writeUInt16LE(4, 6);
+    header.writeUInt32LE(SNAPLEN, 16);
+    header.writeUInt32LE(PCAP_LINKTYPE_USER0, 20);
+    fs.writeSync(fd, header);
+  }
+
+  /**
+   * Records a frame
+   *
+   * @param  {[string]} dir  tx or rx
+   * @param  {[any]}    data the frame (a Buffer, or for J1939 {pgn, src, dst, buf})
+   * @param  {[number]} src  J1939 source of transmitted frames (our address)
+   */
+  function record(dir, data, src) {
+    var elapsed = process.hrtime.bigint() - base;
+    var j1939 = !Buffer.isBuffer(data);
+    var frame = j1939 ? Buffer.from(data.buf || []) : data;
+
+    if (j1939 && 'undefined' === typeof data.src) {
+      data = Object.assign({src: src}, data);
+    }
+
+    if (!pcap) {
+      var line = {
+        time: new Date(Number((started + elapsed) / 1000000n)).toISOString(),
+        elapsed: Number(elapsed) / 1000000,
+        dir: dir,
+        transport: transport,
+      };
+
+      if (j1939) {
+        Object.assign(line, {pgn: data.pgn, src: data.src, dst: data.dst});
+      }
+      line.data = frame.toString('hex');
+
+      fs.writeSync(fd, JSON.stringify(line) + '\n');
+      return;
+    }
+
+    var time = started + elapsed;
+    var packet = Buffer.alloc(PCAP_RECORD + PSEUDO_HEADER + frame.length);
+
+    packet.writeUInt32LE(Number(time / 1000000000n), 0);
+    packet.writeUInt32LE(Number(time % 1000000000n), 4);
+    packet.writeUInt32LE(PSEUDO_HEADER + frame.length, 8);
+    packet.writeUInt32LE(PSEUDO_HEADER + frame.length, 12);
+    packet[16] = dir === 'tx' ? 0 : 1;
+    packet[17] = code;
+    packet[18] = j1939 ? data.src & 0xff : 0;
+    packet[19] = j1939 ? data.dst & 0xff : 0;
+    packet.writeUInt32BE(j1939 ? data.pgn >>> 0 : 0, 20);
+    frame.copy(packet, PCAP_RECORD + PSEUDO_HEADER);
+
+    fs.writeSync(fd, packet);
+  }
+
+  return {
+    record: record,
+    close: function () {
+      fs.closeSync(fd);
+    },
+  };
+}
+
+/**
+ * Rounds a time in ms to the nearest ns
+ *
+ * @param  {[number]} time the time
+ * @return {[number]}      the rounded time
+ */
+function round(time) {
+  return Math.round(time * 1000000) / 1000000;
+}
+
+/**
+ * Reads the records of a pcap capture
+ *
+ * @param  {[Buffer]} data the file
+ * @return {[array]}       the records
+ */
+function loadPcap(data) {
+  var records = [];
+  var first;
+
+  if (data.length < PCAP_HEADER || data.readUInt32LE(0) !== PCAP_MAGIC) {
+    throw new Error('Not a capture written by mb (expected a nanosecond pcap file)');
+  }
+  if (data.readUInt32LE(20) !== PCAP_LINKTYPE_USER0) {
+    throw new Error('Unexpected pcap link type ' + data.readUInt32LE(20));
+  }
+
+  for (var offset = PCAP_HEADER; offset + PCAP_RECORD <= data.length;) {
+    var length = data.readUInt32LE(offset + 8);
+    var packet = data.slice(offset + PCAP_RECORD, offset + PCAP_RECORD + length);
+
+    if (packet.length < PSEUDO_HEADER || packet.length < length) {
+      throw new Error('Capture is truncated at byte ' + offset);
+    }
+
+    var seconds = data.readUInt32LE(offset);
+    var ns = data.readUInt32LE(offset + 4);
+
+    if ('undefined' === typeof first) {
+      first = {seconds: seconds, ns: ns};
+    }
+
+    // worked out apart from the time, which is too large to hold every ns
+    var record = {
+      time: seconds * 1000 + ns / 1000000,
+      elapsed: round((seconds - first.seconds) * 1000 + (ns - first.ns) / 1000000),
+      dir: packet[0] ? 'rx' : 'tx',
+      transport: TRANSPORTS[packet[1]],
+      data: packet.slice(PSEUDO_HEADER),
+    };
+
+    if (record.transport === 'j1939') {
+      Object.assign(record, {pgn: packet.readUInt32BE(4), src: packet[2], dst: packet[3]});
+    }
+
+    records.push(record);
+    offset += PCAP_RECORD + length;
+  }
+
+  return records;
+}
+
+/**
+ * Reads the records of a JSON lines capture
+ *
+ * @param  {[string]} text the file
+ * @return {[array]}       the records
+ */
+function loadLines(text) {
+  var records = [];
+  var first;
+  var start;
+
+  text.split(/\r?\n/).forEach(function (line, index) {
+    if (line.trim() === '') {
+      return;
+    }
+
+    var record;
+
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      throw new Error('Line ' + (index + 1) + ': ' + err.message);
+    }
+    if ((record.dir !== 'tx' && record.dir !== 'rx') || 'string' !== typeof record.data) {
+      throw new Error('Line ' + (index + 1) + ': not a captured frame');
+    }
+
+    // elapsed is more precise than the time, so times are worked out from it
+    if ('undefined' === typeof first) {
+      start = record.elapsed || 0;
+      first = new Date(record.time).getTime() - start;
+    }
+
+    records.push(
+      Object.assign({}, record, {
+        time: first + (record.elapsed || 0),
+        elapsed: round((record.elapsed || 0) - start),
+        data: Buffer.from(record.data, 'hex'),
+      }),
+    );
+  });
+
+  return records;
+}
+
+/**
+ * Reads a capture
+ *
+ * Times in the records are ms since 1970 (with fractions), and elapsed
+ * times are ms since the first record.
+ *
+ * @param  {[string]} file the file name
+ * @return {[array]}       records {time, elapsed, dir, transport, data,
+ *                         and for J1939 pgn, src, dst}
+ */
+function load(file) {
+  var data = fs.readFileSync(file);
+
+  return isPcap(file) ? loadPcap(data) : loadLines(data.toString());
+}
+
+/**
+ * Splits the data of a record into MODBUS frames
+ *
+ * @param  {[object]} record the record
+ * @return {[array]}         frames {unit, pdu, id}; pdu is null for data
+ *                           that is not a valid frame
+ */
+function unframe(record) {
+  var data = record.data;
+  var frames = [];
+
+  switch (record.transport) {
+    case 'rtu': {
+      var parts = sniffer.split(data);
+
+      frames = parts.frames.map((adu) => ({unit: adu[0], pdu: adu.slice(1, -2)}));
+      if (parts.rest) {
+        frames.push({unit: null, pdu: null, data: parts.rest});
+      }
+      break;
+    }
+
+    case 'ascii': {
+      var re = /:([0-9A-Fa-f]+)\r?\n/g;
+      var match;
+
+      while ((match = re.exec(data.toString('latin1')))) {
+        var bytes = Buffer.from(match[1], 'hex');
+
+        // the last byte is the LRC
+        frames.push(bytes.length > 2 ? {unit: bytes[0], pdu: bytes.slice(1, -1)} : {unit: null, pdu: null, data: bytes});
+      }
+      break;
+    }
+
+    case 'ip':
+      for (var offset = 0; offset < data.length;) {
+        var length = data.length - offset >= 7 ? data.readUInt16BE(offset + 4) : 0;
+
+        if (length < 2 || offset + 6 + length > data.length) {
+          frames.push({unit: null, pdu: null, data: data.slice(offset)});
+          break;
+        }
+        frames.push({
+          unit: data[offset + 6],
+          pdu: data.slice(offset + 7, offset + 6 + length),
+          id: data.readUInt16BE(offset),
+        });
+        offset += 6 + length;
+      }
+      break;
+
+    case 'j1939':
+      if (record.pgn === PGN_PROPRIETARY_A && data.length) {
+        frames.push({unit: record.dir === 'tx' ? record.dst : record.src, pdu: data});
+      } else {
+        frames.push({unit: null, pdu: null, data: data});
+      }
+      break;
+
+    default:
+      // other transports are shown as they are
+      frames.push({unit: null, pdu: null, data: data});
+      break;
+  }
+
+  return frames.map((frame) => Object.assign({data: frame.pdu}, frame));
+}
+
+/**
+ * Decodes a capture into MODBUS messages
+ *
+ * Records of a streaming transport received one after another are joined
+ * first, since the connection reports data as it arrives.  Each response
+ * is paired with the last request to the same unit and function (and on
+ * MODBUS TCP, with the same transaction id).
+ *
+ * @param  {[array]} records from load()
+ * @return {[array]}         messages {time, elapsed, dir, transport, src,
+ *                           dst, pgn, unit, pdu, data, request, response,
+ *                           latency}; pdu and unit are null for data that
+ *                           is not a MODBUS frame, request and response
+ *                           are null if the PDU is not understood, and
+ *                           latency (ms since the request) is only set on
+ *                           responses
+ */
+function decode(records) {
+  var joined = [];
+  var messages = [];
+  var pending = {};
+
+  records.forEach(function (record) {
+    var last = joined[joined.length - 1];
+
+    if (last && last.dir === record.dir && last.transport === record.transport && STREAMS.indexOf(record.transport) > -1) {
+      // the time of the last part is when the frame was complete
+      joined[joined.length - 1] = Object.assign({}, record, {data: Buffer.concat([last.data, record.data])});
+    } else {
+      joined.push(record);
+    }
+  });
+
+  joined.forEach(function (record) {
+    unframe(record).forEach(function (frame) {
+      var message = Object.assign({}, record, frame, {request: null, response: null, latency: null});
+      var pdu = frame.pdu;
+
+      if (pdu && pdu.length) {
+        var key = frame.unit + ':' + (pdu[0] & 0x7f) + ':' + (frame.id || 0);
+
+        if (record.dir === 'tx') {
+          message.request = sniffer.parseRequest(pdu);
+          pending[key] = message;
+        } else if (pending[key]) {
+          message.response = pending[key].request ? sniffer.parseResponse(pending[key].request, pdu) : null;
+          message.latency = round(record.elapsed - pending[key].elapsed);
+          delete pending[key];
+        }
+      }
+
+      messages.push(message);
+    });
+  });
+
+  return messages;
+}
+
+module.exports = {
+  TRANSPORTS: TRANSPORTS,
+  isPcap: isPcap,
+  create: create,
+  load: load,
+  decode: decode,
+};
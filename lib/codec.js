@@ -0,0 +1,388 @@
+/**
+ * Conversion between raw register/memory data and typed values
+ *
+ * Multi-byte values are stored most significant byte first, which is
+ * the normal MODBUS register order, unless a different byte or word
+ * order is given.  Orders are named after the layout of a 32-bit value
+ * ABCD (A is the most significant byte):
+ *
+ *    ABCD  big endian bytes and words (default)
+ *    CDAB  big endian bytes, little endian words (swapped words)
+ *    BADC  little endian bytes, big endian words (swapped bytes)
+ *    DCBA  little endian bytes and words
+ *
+ */
+'use strict';
+
+var parseNumber = require('./values').parseNumber;
+
+// Supported numeric data types; size is in bytes
+var TYPES = {
+  uint8: {
+    size: 1,
+    min: 0,
+    max: 0xff,
+    read: (buf, offset) => buf.readUInt8(offset),
+    write: (buf, value, offset) => buf.writeUInt8(value, offset),
+  },
+  int8: {
+    size: 1,
+    min: -0x80,
+    max: 0x7f,
+    read: (buf, offset) => buf.readInt8(offset),
+    write: (buf, value, offset) => buf.writeInt8(value, offset),
+  },
+  uint16: {
+    size: 2,
+    min: 0,
+    max: 0xffff,
+    read: (buf, offset) => buf.readUInt16BE(offset),
+    write: (buf, value, offset) => buf.writeUInt16BE(value, offset),
+  },
+  int16: {
+    size: 2,
+    min: -0x8000,
+    max: 0x7fff,
+    read: (buf, offset) => buf.readInt16BE(offset),
+    write: (buf, value, offset) => buf.writeInt16BE(value, offset),
+  },
+  uint32: {
+    size: 4,
+    min: 0,
+    max: 0xffffffff,
+    read: (buf, offset) => buf.readUInt32BE(offset),
+    write: (buf, value, offset) => buf.writeUInt32BE(value, offset),
+  },
+  int32: {
+    size: 4,
+    min: -0x80000000,
+    max: 0x7fffffff,
+    read: (buf, offset) => buf.readInt32BE(offset),
+    write: (buf, value, offset) => buf.writeInt32BE(value, offset),
+  },
+  float32: {
+    size: 4,
+    float: true,
+    read: (buf, offset) => buf.readFloatBE(offset),
+    write: (buf, value, offset) => buf.writeFloatBE(value, offset),
+  },
+  float64: {
+    size: 8,
+    float: true,
+    read: (buf, offset) => buf.readDoubleBE(offset),
+    write: (buf, value, offset) => buf.writeDoubleBE(value, offset),
+  },
+};
+
+// All formats accepted by decodeAll() and encodeAll()
+var FORMATS = Object.keys(TYPES).concat(['string', 'bits']);
+
+// Byte and word swapping for each named order
+var ORDERS = {
+  ABCD: {byteSwap: false, wordSwap: false},
+  CDAB: {byteSwap: false, wordSwap: true},
+  BADC: {byteSwap: true, wordSwap: false},
+  DCBA: {byteSwap: true, wordSwap: true},
+};
+
+// The default (MODBUS) order
+var BIG_ENDIAN = ORDERS.ABCD;
+
+/**
+ * Checks whether a type name is a supported numeric type
+ *
+ * @param  {[string]}  type data type name
+ * @return {Boolean}        true if known
+ */
+function isType(type) {
+  return Object.prototype.hasOwnProperty.call(TYPES, type);
+}
+
+/**
+ * Checks whether a name is a supported format (numeric type, string or bits)
+ *
+ * @param  {[string]}  format format name
+ * @return {Boolean}          true if known
+ */
+function isFormat(format) {
+  return FORMATS.indexOf(format) > -1;
+}
+
+/**
+ * Returns the number of bytes occupied by a value of the given type
+ *
+ * @param  {[string]} type data type name
+ * @return {[number]}      size in bytes
+ */
+function sizeOf(type) {
+  if (!isType(type)) {
+    throw new Error('Unknown data type: ' + type);
+  }
+  return TYPES[type].size;
+}
+
+/**
+ * Builds a byte/word order from command line style options
+ *
+ * Each option may be 'big' or 'little', or either one may be one of the
+ * four letter names (ABCD, CDAB, BADC, DCBA), which sets both.
+ *
+ * @param  {[string]} byteorder order of bytes within a 16-bit word
+ * @param  {[string]} wordorder order of 16-bit words within a value
+ * @return {[object]}           order, as {byteSwap, wordSwap}
+ */
+function parseOrder(byteorder, wordorder) {
+  var order = {byteSwap: false, wordSwap: false};
+
+  [
+    ['byteorder', byteorder, 'byteSwap'],
+    ['wordorder', wordorder, 'wordSwap'],
+  ].forEach(function (option) {
+    var value = 'undefined' === typeof option[1] ? '' : String(option[1]);
+
+    if (value === '' || value === 'big') {
+      return;
+    } else if (value === 'little') {
+      order[option[2]] = true;
+    } else if (ORDERS[value.toUpperCase()]) {
+      Object.assign(order, ORDERS[value.toUpperCase()]);
+    } else {
+      throw new Error('Invalid ' + option[0] + ': ' + value + ' (use big, little, ABCD, CDAB, BADC or DCBA)');
+    }
+  });
+
+  return order;
+}
+
+/**
+ * Converts between device order and big endian order
+ *
+ * The conversion is its own inverse, so the same function is used for
+ * reading and writing.
+ *
+ * @param  {[Buffer]} buf   data to convert
+ * @param  {[number]} size  size of each value in bytes
+ * @param  {[object]} order as returned by parseOrder()
+ * @return {[Buffer]}       a converted copy of the data
+ */
+function reorder(buf, size, order) {
+  var result = Buffer.from(buf);
+
+  order = order || BIG_ENDIAN;
+
+  if (order.byteSwap) {
+    for (var i = 0; i + 1 < result.length; i += 2) {
+      var tmp = result[i];
+
+      result[i] = result[i + 1];
+      result[i + 1] = tmp;
+    }
+  }
+
+  if (order.wordSwap && size > 2) {
+    for (var start = 0; start + size <= result.length; start += size) {
+      var words = [];
+
+      for (var w = start; w < start + size; w += 2) {
+        words.unshift(result.slice(w, w + 2));
+      }
+      Buffer.concat(words).copy(result, start);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Decodes a value from a buffer
+ *
+ * @param  {[string]} type   data type name
+ * @param  {[Buffer]} buf    raw data
+ * @param  {[number]} offset optional byte offset into buf
+ * @param  {[object]} order  optional byte/word order
+ * @return {[number]}        the decoded value
+ */
+function decode(type, buf, offset, order) {
+  var size = sizeOf(type);
+
+  offset = offset || 0;
+
+  if (buf.length < offset + size) {
+    throw new Error('Not enough data for ' + type + ': got ' + (buf.length - offset) + ' bytes');
+  }
+
+  return TYPES[type].read(reorder(buf.slice(offset, offset + size), size, order), 0);
+}
+
+/**
+ * Encodes a value into a new buffer
+ *
+ * Values of integer types must be whole numbers within the range of the
+ * type.
+ *
+ * @param  {[string]} type  data type name
+ * @param  {[number]} value the value to encode
+ * @param  {[object]} order optional byte/word order
+ * @return {[Buffer]}       the encoded value
+ */
+function encode(type, value, order) {
+  var def = TYPES[type];
+  var buf = Buffer.alloc(sizeOf(type));
+
+  if ('number' !== typeof value || isNaN(value)) {
+    throw new Error('Invalid ' + type + ' value: ' + value);
+  }
+
+  if (!def.float) {
+    if (!Number.isInteger(value)) {
+      throw new Error('Invalid ' + type + ' value: ' + value + ' (must be a whole number)');
+    }
+    if (value < def.min || value > def.max) {
+      throw new Error(type + ' value out of range (' + def.min + '..' + def.max + '): ' + value);
+    }
+  }
+
+  def.write(buf, value, 0);
+  return reorder(buf, def.size, order);
+}
+
+/**
+ * Decodes all the values in a buffer
+ *
+ * Numeric types produce one number per value that fits in the buffer;
+ * 'string' produces a single string (trailing NULs removed), and 'bits'
+ * one string of 16 binary digits (most significant first) per register.
+ *
+ * @param  {[string]} format format name
+ * @param  {[Buffer]} buf    raw data
+ * @param  {[object]} order  optional byte/word order
+ * @return {[array]}         the decoded values
+ */
+function decodeAll(format, buf, order) {
+  var values = [];
+
+  if (format === 'string') {
+    return [reorder(buf, 2, order).toString('utf8').replace(/\0+$/, '')];
+  }
+
+  if (format === 'bits') {
+    buf = reorder(buf, 2, order);
+    for (var i = 0; i + 1 < buf.length; i += 2) {
+      values.push(('0000000000000000' + buf.readUInt16BE(i).toString(2)).slice(-16));
+    }
+    return values;
+  }
+
+  var size = sizeOf(format);
+
+  for (var offset = 0; offset + size <= buf.length; offset += size) {
+    values.push(decode(format, buf, offset, order));
+  }
+
+  return values;
+}
+
+/**
+ * Converts a value given as text to a number
+ *
+ * Whole numbers may be hex, binary or signed (eg -0x10); anything else
+ * is read as a decimal, so floats such as 1.5 or 3e2 are allowed.
+ *
+ * @param  {[any]}    value the number, or its text
+ * @return {[number]}       the number, or NaN
+ */
+function toNumber(value) {
+  try {
+    return parseNumber(value);
+  } catch (ignore) {
+    return Number(String(value).trim() || NaN);
+  }
+}
+
+/**
+ * Encodes a list of values
+ *
+ * For 'string' the values are joined with spaces and padded with a NUL
+ * to a whole number of registers; 'bits' values are binary strings or
+ * numbers, one per register.
+ *
+ * @param  {[string]} format format name
+ * @param  {[array]}  values values (numbers, or strings that parse as numbers)
+ * @param  {[object]} order  optional byte/word order
+ * @return {[Buffer]}        the encoded data
+ */
+function encodeAll(format, values, order) {
+  if (format === 'string') {
+    var text = Buffer.from(values.join(' '), 'utf8');
+
+    return reorder(Buffer.concat([text, Buffer.alloc(text.length % 2)]), 2, order);
+  }
+
+  var type = format === 'bits' ? 'uint16' : format;
+
+  return Buffer.concat(
+    values.map(function (value) {
+      var number;
+
+      if (format === 'bits' && /^[01]+$/.test(String(value).replace(/^0b/i, ''))) {
+        number = parseInt(String(value).replace(/^0b/i, ''), 2);
+      } else {
+        number = toNumber(value);
+      }
+
+      if (isNaN(number)) {
+        throw new Error('Invalid ' + format + ' value: ' + value);
+      }
+
+      return encode(type, number, order);
+    }),
+  );
+}
+
+/**
+ * Returns the number of bytes needed to hold a number of values
+ *
+ * For 'string' the count is the number of characters; for 'bits' it is
+ * the number of 16-bit registers.
+ *
+ * @param  {[string]} format format name
+ * @param  {[number]} count  number of values
+ * @return {[number]}        number of bytes
+ */
+function byteCount(format, count) {
+  if (format === 'string') {
+    return count;
+  }
+  if (format === 'bits') {
+    return count * 2;
+  }
+  return sizeOf(format) * count;
+}
+
+/**
+ * Returns the number of 16-bit registers needed to hold a number of values
+ *
+ * @param  {[string]} format format name
+ * @param  {[number]} count  number of values (see byteCount())
+ * @return {[number]}        number of registers
+ */
+function registerCount(format, count) {
+  return Math.ceil(byteCount(format, count) / 2);
+}
+
+module.exports = {
+  TYPES: TYPES,
+  FORMATS: FORMATS,
+  ORDERS: ORDERS,
+  isType: isType,
+  isFormat: isFormat,
+  sizeOf: sizeOf,
+  parseOrder: parseOrder,
+  reorder: reorder,
+  decode: decode,
+  encode: encode,
+  decodeAll: decodeAll,
+  encodeAll: encodeAll,
+  byteCount: byteCount,
+  registerCount: registerCount,
+};
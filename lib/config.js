@@ -0,0 +1,722 @@
+/**
+ * Settings for the MODBUS master and its connection
+ *
+ * Settings come from, in increasing order of priority: the defaults below,
+ * the user's configuration file (written by `mb --save`), the selected
+ * profile, environment variables (eg MODBUS_PORT) and command-line options
+ * (eg --port).
+ *
+ * Profiles are named sets of settings kept in the same file, eg one for
+ * each test rig:
+ *
+ *    {
+ *      "port": {...},
+ *      "master": {...},
+ *      "defaultProfile": "bench",
+ *      "profiles": {
+ *        "bench": {"port": {"name": "COM3"}, "master": {"defaultUnit": 5}},
+ *        "kvaser": {"master": {"transport": {"type": "j1939", "connection": {"type": "can"}}}}
+ *      }
+ *    }
+ *
+ * A profile holds only the settings that differ from the rest of the file.
+ * It is selected by --profile, or the MODBUS_PROFILE environment variable,
+ * or else defaultProfile.
+ *
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var deepmerge = require('deepmerge');
+
+var DEFAULTS = {
+  port: {
+    name: 'use_--port_to_select_port',
+    options: {
+      baudRate: 115200,
+    },
+  },
+  websocket: {
+    url: 'http://127.0.0.1:8080',
+    reconnection: true,
+    reconnectionAttempts: 3,
+    reconnectionDelay: 1000,
+    reconnectionDelayMax: 5000,
+    timeout: 5000,
+  },
+  can: {
+    rate: 250000,
+    myid: 254,
+    j1939: {
+      preferredAddress: 254,
+    },
+  },
+  canUsbComm: {
+    baudRate: 480800,
+    j1939: {
+      preferredAddress: 254,
+    },
+  },
+  tcp: {
+    host: '127.0.0.1',
+    port: 502,
+    connectTimeout: 5000,
+    autoReconnect: true,
+    maxReconnectTime: 5000,
+  },
+  master: {
+    transport: {
+      type: 'rtu',
+      eofTimeout: 40,
+      connection: {
+        type: 'serial',
+      },
+    },
+    suppressTransactionErrors: true,
+    retryOnException: false,
+    maxConcurrentRequests: 2,
+    defaultUnit: 1,
+    defaultMaxRetries: 0,
+    defaultTimeout: 2000,
+  },
+};
+
+// get the config folder location - depends on Operating System
+// darwin = MAC
+// Windows: HOMEPATH environment variable
+// Linux (Debian): HOME environment variable
+var FOLDER =
+  process.env.APPDATA ||
+  (process.platform === 'darwin' ? process.env.HOME + '/Library/Preferences' : process.env.HOMEPATH || process.env.HOME);
+
+var FILE = FOLDER + '/.cs-mb-cli.json';
+
+// Bluetooth devices are selected by their MAC address instead of a port
+var MAC_ADDRESS = /^([0-9A-F]{2}[:-]){5}([0-9A-F]{2})$/i;
+
+// Settings that are passed on to another package, so may hold options not
+// listed in DEFAULTS (eg port.options.parity)
+var OPTION_GROUPS = ['port.options', 'websocket', 'can', 'can.j1939', 'canUsbComm', 'canUsbComm.j1939', 'tcp'];
+
+// Settings not listed in DEFAULTS
+var OTHER_SETTINGS = ['profileFile'];
+
+// Connection types each transport can be used with
+var TRANSPORT_CONNECTIONS = {
+  rtu: ['serial', 'websocket'],
+  ascii: ['serial', 'websocket'],
+  tunnel: ['serial', 'websocket'],
+  CS1179: ['serial'],
+  ip: ['tcp', 'udp', 'ble', 'websocket'],
+  socketcand: ['tcp'],
+  j1939: ['can', 'can-usb-com'],
+};
+
+// Connection types that need a port name
+var PORT_CONNECTIONS = ['serial', 'can-usb-com', 'can'];
+
+// Placeholder port name used until one is selected
+var NO_PORT = DEFAULTS.port.name;
+
+/**
+ * Reads the configuration file
+ *
+ * Throws if the file exists but cannot be read or is not valid, rather
+ * than let the settings in it be lost when the file is next written.
+ *
+ * @param  {[string]} file the file (default FILE)
+ * @return {[object]}      its contents, or {} if there is no file
+ */
+function read(file) {
+  var text;
+  var contents;
+
+  file = file || FILE;
+
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error('Unable to read the settings in ' + file + ': ' + err.message);
+  }
+
+  try {
+    contents = JSON.parse(text);
+  } catch (err) {
+    throw new Error('Invalid settings in ' + file + ': ' + err.message + ' (correct the file, or remove it to start again)');
+  }
+
+  if (!contents || 'object' !== typeof contents || Array.isArray(contents)) {
+    throw new Error('Invalid settings in ' + file + ': not a JSON object (correct the file, or remove it to start again)');
+  }
+
+  return contents;
+}
+
+/**
+ * Writes the configuration file
+ *
+ * @param  {[string]} file     the file (default FILE)
+ * @param  {[object]} contents what to write
+ */
+function write(file, contents) {
+  fs.writeFileSync(file || FILE, JSON.stringify(contents, null, 4));
+}
+
+/**
+ * Returns the parts of an object that differ from another
+ *
+ * @param  {[object]} settings the object
+ * @param  {[object]} base     the object to compare with
+ * @return {[object]}          the differences (nested as in settings)
+ */
+function difference(settings, base) {
+  var result = {};
+
+  Object.keys(settings).forEach(function (key) {
+    var value = settings[key];
+    var other = base ? base[key] : undefined;
+
+    if (value && 'object' === typeof value && !Array.isArray(value) && other && 'object' === typeof other) {
+      value = difference(value, other);
+
+      if (Object.keys(value).length) {
+        result[key] = value;
+      }
+    } else if (JSON.stringify(value) !== JSON.stringify(other)) {
+      result[key] = value;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Returns the first of a list of values that is given
+ *
+ * Unlike ||, this keeps 0 and false (eg --retries=0).
+ *
+ * @param  {[array]} values the values, in order of priority
+ * @return {[any]}          the first that is not undefined or ''
+ */
+function first(...values) {
+  return values.find((value) => 'undefined' !== typeof value && value !== '');
+}
+
+/**
+ * Converts a number given as text (eg by an environment variable)
+ *
+ * @param  {[any]} value the value
+ * @return {[any]}       the number, or value unchanged if it is not text
+ *                       (or not a number; see validate())
+ */
+function toNumber(value) {
+  return 'string' === typeof value && value.trim() !== '' && !isNaN(value) ? Number(value) : value;
+}
+
+/**
+ * Converts a retryOnException setting (eg --retry-on-exception=5,6)
+ *
+ * @param  {[any]} value true or false (or as text), an exception code, or
+ *                       a comma-separated list of them
+ * @return {[any]}       true, false or an array of codes; or value
+ *                       unchanged if it is none of these (see validate())
+ */
+function parseRetryOnException(value) {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if ('number' === typeof value) {
+    return [value];
+  }
+  if ('string' === typeof value && /^\s*\w+(\s*,\s*\w+)*\s*$/.test(value)) {
+    var codes = value.split(',').map(Number);
+
+    return codes.some(isNaN) ? value : codes;
+  }
+  return value;
+}
+
+/**
+ * Checks a retryOnException setting
+ *
+ * @param  {[any]}     value the setting, from parseRetryOnException()
+ * @return {[boolean]}       whether it is true, false or a list of codes
+ */
+function isRetryOnException(value) {
+  return (
+    'boolean' === typeof value ||
+    (Array.isArray(value) && value.length > 0 && value.every((code) => code >= 1 && code <= 255 && code % 1 === 0))
+  );
+}
+
+/**
+ * Builds the configuration from the file, a profile and the overrides
+ *
+ * @param  {[object]} saved   contents of the configuration file
+ * @param  {[object]} profile settings of the selected profile
+ * @param  {[object]} args    overriding options
+ * @param  {[object]} env     environment variables
+ * @return {[object]}         the configuration
+ */
+function build(saved, profile, args, env) {
+  var settings = Object.assign({}, saved);
+
+  delete settings.profiles;
+  delete settings.defaultProfile;
+
+  var config = deepmerge.all([DEFAULTS, settings, profile]);
+
+  // files saved by earlier versions hold a placeholder for the socket
+  if ('string' === typeof config.master.transport.connection.socket) {
+    delete config.master.transport.connection.socket;
+  }
+
+  // use environment variable for port name if specified
+  config.port.name = args.port || env.MODBUS_PORT || config.port.name;
+
+  // override slave id if necessary
+  config.master.defaultUnit = args.slave || args.unit || env.MODBUS_SLAVE || config.master.defaultUnit;
+
+  // override baud if necessary
+  config.port.options.baudRate =
+    args.baudrate || args.baud || args.baudRate || env.MODBUS_BAUDRATE || config.port.options.baudRate;
+
+  // override transport if necessary
+  config.master.transport.type = args.transport || env.MODBUS_TRANSPORT || config.master.transport.type;
+
+  // override connection if necessary
+  config.master.transport.connection.type =
+    args.connection || env.MODBUS_CONNECTION || config.master.transport.connection.type;
+
+  // MODBUS TCP and UDP use the ip transport unless another one was asked for
+  if (['tcp', 'udp'].indexOf(config.master.transport.connection.type) > -1 && !args.transport && !env.MODBUS_TRANSPORT) {
+    config.master.transport.type = 'ip';
+  }
+
+  // override timeouts, retries and concurrency if necessary
+  config.master.defaultTimeout = toNumber(first(args.timeout, env.MODBUS_TIMEOUT, config.master.defaultTimeout));
+  config.master.defaultMaxRetries = toNumber(first(args.retries, env.MODBUS_RETRIES, config.master.defaultMaxRetries));
+  config.master.retryOnException = parseRetryOnException(
+    first(args['retry-on-exception'], env.MODBUS_RETRY_ON_EXCEPTION, config.master.retryOnException),
+  );
+  config.master.maxConcurrentRequests = toNumber(
+    first(args.concurrency, env.MODBUS_CONCURRENCY, config.master.maxConcurrentRequests),
+  );
+  config.master.transport.eofTimeout = toNumber(
+    first(args['eof-timeout'], env.MODBUS_EOF_TIMEOUT, config.master.transport.eofTimeout),
+  );
+
+  // override TCP/UDP host and port if necessary
+  config.tcp.host = args.host || env.MODBUS_HOST || config.tcp.host;
+  config.tcp.port = args['tcp-port'] || Number(env.MODBUS_TCP_PORT) || config.tcp.port;
+
+  // override CANBUS rate if necessary
+  config.can.rate = args.canrate || env.MODBUS_CANRATE || config.can.rate;
+
+  // override canbus ID if necessary
+  config.can.myid = args.canid || env.MODBUS_CANID || config.can.myid;
+
+  // override device profile if necessary
+  config.profileFile = args['profile-file']
+    ? path.resolve(args['profile-file'])
+    : env.MODBUS_PROFILE_FILE || config.profileFile;
+
+  // If the address is a MAC address, set up for Bluetooth operation,
+  // overriding config.json properties as needed
+  if (!args.l && config.port.name && MAC_ADDRESS.test(config.port.name)) {
+    config.master.transport.type = 'ip';
+    config.master.transport.connection.type = 'ble';
+  } else {
+    // assume it's a serial port.  We could test this but remember serial
+    // ports have different name formats depending on operating system
+
+    // don't open serial port until we explicitly call the open method
+    config.port.options.autoOpen = false;
+  }
+
+  return config;
+}
+
+/**
+ * Returns the name of the profile to use
+ *
+ * @param  {[object]} options as for load()
+ * @return {[string]}         the name, or undefined if none is selected
+ */
+function profileName(options) {
+  options = options || {};
+
+  var args = options.args || {};
+  var env = options.env || process.env;
+
+  // the file's default profile is ignored along with the rest of the file
+  return args.profile || env.MODBUS_PROFILE || (args.default ? undefined : read(options.file).defaultProfile);
+}
+
+/**
+ * Returns the configuration to use
+ *
+ * The options take the same names as the command-line options, eg
+ * {port: 'COM3', baudrate: 9600, transport: 'rtu'}; `default` ignores the
+ * configuration file (apart from a profile that is asked for), and
+ * `profile` selects a profile.
+ *
+ * Throws if the selected profile does not exist.
+ *
+ * @param  {[object]} options
+ * @param  {[object]} options.args overriding options (optional)
+ * @param  {[object]} options.env  environment variables (default process.env)
+ * @param  {[string]} options.file configuration file (default FILE)
+ * @return {[object]}              the configuration
+ */
+function load(options) {
+  options = options || {};
+
+  var args = options.args || {};
+  var env = options.env || process.env;
+  var name = profileName(options);
+  var profile = {};
+
+  if (name) {
+    profile = (read(options.file).profiles || {})[name];
+
+    if (!profile) {
+      throw new Error('No profile named ' + name + ' in ' + (options.file || FILE));
+    }
+  }
+
+  // read config file unless forced to use defaults
+  return build(args.default ? {} : read(options.file), profile, args, env);
+}
+
+/**
+ * Writes a configuration to the configuration file, to be the defaults
+ * for next time; profiles in the file are kept
+ *
+ * Only the settings that differ from the defaults are written.
+ *
+ * @param  {[object]} config the configuration
+ * @param  {[string]} file   optional; the file to write (default FILE)
+ */
+function save(config, file) {
+  var saved = read(file);
+
+  write(
+    file,
+    Object.assign(difference(config, build({}, {}, {}, {})), {
+      profiles: saved.profiles,
+      defaultProfile: saved.defaultProfile,
+    }),
+  );
+}
+
+/**
+ * Saves a configuration as a named profile
+ *
+ * Only the settings that differ from the rest of the file are kept, so
+ * later changes to the defaults still apply to the profile.
+ *
+ * @param  {[string]} name   the profile
+ * @param  {[object]} config the configuration
+ * @param  {[string]} file   optional; the file to write (default FILE)
+ */
+function saveProfile(name, config, file) {
+  var saved = read(file);
+
+  saved.profiles = saved.profiles || {};
+  saved.profiles[name] = difference(config, build(saved, {}, {}, {}));
+  write(file, saved);
+}
+
+/**
+ * Selects the profile used when none is given, or clears the selection
+ *
+ * @param  {[string]} name the profile, or '' for none
+ * @param  {[string]} file optional; the file to write (default FILE)
+ */
+function setDefaultProfile(name, file) {
+  var saved = read(file);
+
+  if (name && !(saved.profiles || {})[name]) {
+    throw new Error('No profile named ' + name + ' in ' + (file || FILE));
+  }
+
+  if (name) {
+    saved.defaultProfile = name;
+  } else {
+    delete saved.defaultProfile;
+  }
+  write(file, saved);
+}
+
+/**
+ * Returns the names of the saved profiles
+ *
+ * @param  {[string]} file optional; the configuration file (default FILE)
+ * @return {[array]}       the names
+ */
+function profiles(file) {
+  return Object.keys(read(file).profiles || {});
+}
+
+/**
+ * Lists the settings of a configuration by their dotted names (eg
+ * 'port.options.baudRate')
+ *
+ * @param  {[object]} config the configuration (or part of it)
+ * @param  {[string]} prefix optional; name of the part
+ * @return {[array]}         list of [name, value]
+ */
+function flatten(config, prefix) {
+  var result = [];
+
+  Object.keys(config).forEach(function (key) {
+    var name = prefix ? prefix + '.' + key : key;
+    var value = config[key];
+
+    if (value && 'object' === typeof value && !Array.isArray(value)) {
+      result = result.concat(flatten(value, name));
+    } else if ('undefined' !== typeof value) {
+      result.push([name, value]);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Returns a setting from a configuration
+ *
+ * @param  {[object]} config the configuration
+ * @param  {[string]} key    dotted name, eg 'tcp.port'
+ * @return {[object]}        the value (or group of values), or undefined
+ */
+function get(config, key) {
+  return String(key)
+    .split('.')
+    .reduce((value, part) => (value && 'object' === typeof value ? value[part] : undefined), config);
+}
+
+/**
+ * Checks that a setting can be saved
+ *
+ * @param  {[string]} key dotted name
+ */
+function checkKey(key) {
+  var parts = String(key).split('.');
+  var known = get(DEFAULTS, key);
+  var group = parts.slice(0, -1).join('.');
+
+  if (known && 'object' === typeof known) {
+    throw new Error(key + ' is a group of settings; set its members (eg ' + flatten(known, key)[0][0] + ')');
+  }
+  if ('undefined' === typeof known && OPTION_GROUPS.indexOf(group) < 0 && OTHER_SETTINGS.indexOf(key) < 0) {
+    throw new Error('Unknown setting ' + key + ' (see mb config list)');
+  }
+}
+
+/**
+ * Changes the settings saved in the configuration file, or in one of its
+ * profiles
+ *
+ * @param  {[function]} change  called with the settings object to change
+ * @param  {[object]}   options
+ * @param  {[string]}   options.file    the file (default FILE)
+ * @param  {[string]}   options.profile optional; the profile to change
+ */
+function edit(change, options) {
+  var saved = read(options.file);
+  var settings = saved;
+
+  if (options.profile) {
+    saved.profiles = saved.profiles || {};
+    settings = saved.profiles[options.profile] = saved.profiles[options.profile] || {};
+  }
+
+  change(settings);
+  write(options.file, saved);
+}
+
+/**
+ * Saves a setting
+ *
+ * @param  {[string]} key     dotted name, eg 'tcp.port'
+ * @param  {[object]} value   the value
+ * @param  {[object]} options file and profile, as for edit()
+ */
+function set(key, value, options) {
+  checkKey(key);
+
+  edit(function (settings) {
+    var parts = String(key).split('.');
+    var last = parts.pop();
+
+    parts.forEach(function (part) {
+      if (!settings[part] || 'object' !== typeof settings[part]) {
+        settings[part] = {};
+      }
+      settings = settings[part];
+    });
+    settings[last] = value;
+  }, options || {});
+}
+
+/**
+ * Removes a saved setting, so the default is used again
+ *
+ * Returns false if the setting was not saved.
+ *
+ * @param  {[string]}  key     dotted name, eg 'tcp.port'
+ * @param  {[object]}  options file and profile, as for edit()
+ * @return {[boolean]}         whether the setting was removed
+ */
+function unset(key, options) {
+  var removed = false;
+
+  edit(function (settings) {
+    var parts = String(key).split('.');
+    var last = parts.pop();
+    var groups = [];
+
+    parts.forEach(function (part) {
+      groups.push(settings);
+      settings = settings && 'object' === typeof settings[part] ? settings[part] : undefined;
+    });
+
+    if (settings && last in settings) {
+      delete settings[last];
+      removed = true;
+
+      // remove groups left empty
+      for (var i = parts.length - 1; i >= 0 && !Object.keys(groups[i][parts[i]]).length; i--) {
+        delete groups[i][parts[i]];
+      }
+    }
+  }, options || {});
+
+  return removed;
+}
+
+/**
+ * Removes all saved settings, or a profile
+ *
+ * Without a profile the profiles themselves are kept.
+ *
+ * @param  {[object]} options file and profile, as for edit()
+ */
+function reset(options) {
+  options = options || {};
+
+  var saved = read(options.file);
+
+  if (options.profile) {
+    if (!(saved.profiles || {})[options.profile]) {
+      throw new Error('No profile named ' + options.profile + ' in ' + (options.file || FILE));
+    }
+    delete saved.profiles[options.profile];
+
+    if (saved.defaultProfile === options.profile) {
+      delete saved.defaultProfile;
+    }
+    write(options.file, saved);
+  } else {
+    write(options.file, {profiles: saved.profiles, defaultProfile: saved.defaultProfile});
+  }
+}
+
+/**
+ * Checks that a configuration makes sense, before any port is opened
+ *
+ * @param  {[object]} config the configuration
+ * @return {[array]}         list of problems (empty if none)
+ */
+function validate(config) {
+  var errors = [];
+  var connection = config.master.transport.connection.type;
+  var transport = config.master.transport.type;
+
+  function number(key, min, max) {
+    var value = Number(get(config, key));
+
+    if (isNaN(value) || value % 1 || value < min || value > max) {
+      var range = max === Infinity ? ' of at least ' + min : ' from ' + min + ' to ' + max;
+
+      errors.push(key + ' must be a whole number' + range + ' (not ' + get(config, key) + ')');
+    }
+  }
+
+  if (!TRANSPORT_CONNECTIONS[transport]) {
+    errors.push('Unknown transport ' + transport + ' (use ' + Object.keys(TRANSPORT_CONNECTIONS).join(', ') + ')');
+  } else if (TRANSPORT_CONNECTIONS[transport].indexOf(connection) < 0) {
+    var allowed = TRANSPORT_CONNECTIONS[transport];
+    var list = allowed.length > 1 ? allowed.slice(0, -1).join(', ') + ' or ' + allowed[allowed.length - 1] : allowed[0];
+
+    errors.push('The ' + transport + ' transport needs a ' + list + ' connection, not ' + connection);
+  }
+
+  if (!Object.keys(TRANSPORT_CONNECTIONS).some((type) => TRANSPORT_CONNECTIONS[type].indexOf(connection) > -1)) {
+    errors.push('Unknown connection ' + connection + ' (use serial, tcp, udp, websocket, ble, can-usb-com or can)');
+  }
+
+  if (PORT_CONNECTIONS.indexOf(connection) > -1 && (!config.port.name || config.port.name === NO_PORT)) {
+    errors.push('No port selected for the ' + connection + ' connection (use --port, or mb -l to list ports)');
+  }
+
+  if (connection === 'serial') {
+    number('port.options.baudRate', 1, Infinity);
+  }
+  if (connection === 'tcp' || connection === 'udp') {
+    if (!config.tcp.host) {
+      errors.push('No host selected for the ' + connection + ' connection (use --host)');
+    }
+    number('tcp.port', 1, 65535);
+  }
+  if (connection === 'can' || connection === 'can-usb-com') {
+    number('can.rate', 1, Infinity);
+    number('can.myid', 0, 254);
+  }
+
+  number('master.defaultUnit', 0, 255);
+  number('master.defaultTimeout', 0, Infinity);
+  number('master.defaultMaxRetries', 0, Infinity);
+  number('master.maxConcurrentRequests', 1, Infinity);
+  number('master.transport.eofTimeout', 1, Infinity);
+
+  if (!isRetryOnException(config.master.retryOnException)) {
+    errors.push(
+      'master.retryOnException must be true, false or a list of exception codes from 1 to 255 (not ' +
+        config.master.retryOnException +
+        ')',
+    );
+  }
+
+  if (config.profileFile && !fs.existsSync(config.profileFile)) {
+    errors.push('Device profile ' + config.profileFile + ' not found');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  DEFAULTS: DEFAULTS,
+  FOLDER: FOLDER,
+  FILE: FILE,
+  load: load,
+  save: save,
+  profileName: profileName,
+  profiles: profiles,
+  saveProfile: saveProfile,
+  setDefaultProfile: setDefaultProfile,
+  flatten: flatten,
+  get: get,
+  set: set,
+  unset: unset,
+  reset: reset,
+  validate: validate,
+  parseRetryOnException: parseRetryOnException,
+  isRetryOnException: isRetryOnException,
+};
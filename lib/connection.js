@@ -0,0 +1,264 @@
+/**
+ * Opens the connection described by a configuration (see config.js) and
+ * creates a MODBUS master on it
+ *
+ * Connection types are serial, websocket, ble, tcp, udp, can-usb-com and
+ * can.  The configuration is not changed; the port, socket or device
+ * created is passed to the master in a copy of config.master.
+ *
+ */
+'use strict';
+
+var ModbusPort = require('@csllc/cs-modbus');
+
+/**
+ * Creates the master, adding connection settings to config.master
+ *
+ * @param  {[object]} config     the configuration
+ * @param  {[object]} connection settings added to transport.connection
+ * @param  {[object]} transport  optional; settings added to transport
+ * @return {[object]}            the master
+ */
+function createMaster(config, connection, transport) {
+  var options = Object.assign({}, config.master);
+
+  options.transport = Object.assign({}, options.transport, transport);
+  options.transport.connection = Object.assign({}, options.transport.connection, connection);
+
+  var master = ModbusPort.createMaster(options);
+
+  // Master.Options drops retryOnException, which would leave exceptions
+  // always retried
+  master.options.retryOnException = options.retryOnException;
+
+  // the master passes on connection errors, which are reported by the
+  // port; without a listener they would be thrown
+  master.on('error', function () {});
+
+  return master;
+}
+
+/**
+ * Opens a connection and creates a master on it
+ *
+ * The promise resolves with {master, port} once the master is connected,
+ * or rejects if the port cannot be opened (or, for TCP, the host does not
+ * answer within config.tcp.connectTimeout).
+ *
+ * @param  {[object]}   config  the configuration
+ * @param  {[object]}   options
+ * @param  {[function]} options.log      optional; called with progress messages
+ * @param  {[function]} options.onCreate optional; called with (master, port)
+ *                                       as soon as the master exists, eg to
+ *                                       add event listeners
+ * @return {[Promise]}
+ */
+function open(config, options) {
+  options = options || {};
+
+  var log = options.log || function () {};
+  var type = config.master.transport.connection.type;
+  var master;
+  var port;
+
+  return new Promise(function (resolve, reject) {
+    function fail(err) {
+      if (master) {
+        master.destroy();
+      }
+      reject(err);
+    }
+
+    function created(newMaster) {
+      master = newMaster;
+
+      if (options.onCreate) {
+        options.onCreate(master, port);
+      }
+
+      master.once('connected', function () {
+        resolve({master: master, port: port});
+      });
+    }
+
+    if (type === 'serial') {
+      const {SerialPort} = require('serialport');
+
+      // Open the serial port we are going to use
+      port = new SerialPort({
+        path: config.port.name,
+        ...config.port.options,
+      });
+
+      // Make serial port instance available for the modbus master
+      created(createMaster(config, {serialPort: port}));
+
+      // Open the port
+      // the 'open' event is triggered when complete
+      log('Opening ' + config.port.name);
+
+      port.open(function (err) {
+        if (err) {
+          fail(err);
+        }
+      });
+    } else if (type === 'websocket') {
+      port = require('socket.io-client')(config.websocket.url, config.websocket);
+
+      port.on('connect_error', function (err) {
+        log('[connection#connect_error]', err);
+      });
+
+      port.on('connect_timeout', function () {
+        log('[connection#connect_timeout]');
+      });
+
+      port.on('reconnect', function (attempt) {
+        log('[connection#reconnect] ', attempt);
+      });
+
+      port.on('reconnecting', function (attempt) {
+        log('[connection#reconnecting] ', attempt);
+      });
+
+      port.on('reconnect_error', function (err) {
+        log('[connection#reconnect_error] ', err);
+      });
+
+      port.on('reconnect_failed', function () {
+        log('[connection#reconnect_failed] ');
+      });
+
+      port.on('ping', function () {
+        log('[connection#ping] ');
+      });
+
+      port.on('pong', function (ms) {
+        log('[connection#pong] ', ms);
+      });
+
+      // Make socket instance available for the modbus master
+      created(createMaster(config, {socket: port}));
+    } else if (type === 'ble') {
+      let BleControllerFactory = require('@csllc/cs-mb-ble');
+
+      port = new BleControllerFactory();
+
+      port.on('scanStart', function () {
+        log('[connection#scanning]');
+      });
+      port.on('scanStop', function () {
+        log('[connection#stopped]');
+      });
+      port.on('warning', function (w) {
+        log('[connection#warning]', w);
+      });
+
+      // Wait for the bluetooth hardware to become ready
+      port.once('stateChange', function (state) {
+        if (state === 'poweredOn') {
+          // Listen for the first device found
+          port.once('discover', function (peripheral) {
+            port.stopScanning();
+
+            // Create a new controller associated with the discovered peripheral
+            var device = new port.Controller(peripheral);
+
+            device.on('connected', function () {
+              log('[connection#connected');
+            });
+            device.on('disconnected', function () {
+              log('[connection#disconnected');
+            });
+
+            // now connect to the device and let event handlers take over
+            device.connect().catch(fail);
+
+            created(createMaster(config, {type: 'generic', device: device}, {type: 'ip'}));
+          });
+
+          // start looking for bluetooth devices
+          port.startScanning();
+        }
+      });
+    } else if (type === 'tcp') {
+      port = new (require('net').Socket)();
+
+      log('Connecting to ' + config.tcp.host + ':' + config.tcp.port);
+
+      // the connection is made as soon as the master is created
+      created(
+        createMaster(config, {
+          socket: port,
+          host: config.tcp.host,
+          port: config.tcp.port,
+          autoReconnect: config.tcp.autoReconnect,
+          maxReconnectTime: config.tcp.maxReconnectTime,
+        }),
+      );
+
+      // give up if the device cannot be reached in time
+      let connectTimer = setTimeout(function () {
+        fail(new Error('Unable to connect to ' + config.tcp.host + ':' + config.tcp.port));
+      }, config.tcp.connectTimeout);
+
+      master.once('connected', function () {
+        clearTimeout(connectTimer);
+      });
+    } else if (type === 'udp') {
+      port = require('dgram').createSocket(require('net').isIPv6(config.tcp.host) ? 'udp6' : 'udp4');
+
+      created(createMaster(config, {socket: port, host: config.tcp.host, port: config.tcp.port}));
+
+      // binding to a local port opens the connection
+      port.bind();
+    } else if (type === 'can-usb-com') {
+      let CanUsbComm = require('can-usb-com');
+      let J1939 = require('@csllc/j1939');
+
+      let settings = Object.assign({}, config.canUsbComm, {
+        canRate: config.can.rate,
+        j1939: Object.assign({}, config.canUsbComm.j1939, {preferredAddress: config.can.myid}),
+      });
+
+      let canusbcom = new CanUsbComm(settings);
+
+      port = new J1939(canusbcom, settings.j1939);
+
+      // Make the J1939 instance available for the modbus master
+      created(createMaster(config, {type: 'generic', device: port}));
+
+      // Open the com port and configure...
+      log('Opening ' + config.port.name);
+
+      canusbcom.open(config.port.name).catch(fail);
+    } else if (type === 'can') {
+      let CanBus = require('@csllc/cs-canbus-universal');
+      let J1939 = require('@csllc/j1939');
+
+      let settings = Object.assign({}, config.can, {
+        canRate: config.can.rate,
+        j1939: Object.assign({}, config.can.j1939, {preferredAddress: config.can.myid}),
+      });
+
+      let canbus = new CanBus(settings);
+
+      port = new J1939(canbus, settings.j1939);
+
+      // Make the CAN port instance available for the modbus master
+      created(createMaster(config, {type: 'generic', device: port}));
+
+      // Open the port; the 'open' event is emitted when complete
+      log('Opening ' + config.port.name);
+
+      // Open the CAN port and configure
+      canbus.open(config.port.name).catch(fail);
+    } else {
+      reject(new Error('Unknown connection type: ' + type));
+    }
+  });
+}
+
+module.exports = {
+  open: open,
+};
@@ -0,0 +1,41 @@
+/**
+ * Checksums used by MODBUS frames
+ *
+ */
+'use strict';
+
+/**
+ * Calculates the CRC-16/MODBUS of a buffer (as used by RTU frames)
+ *
+ * @param  {[Buffer]} data the data
+ * @return {[number]}      the CRC
+ */
+function crc16(data) {
+  var crc = 0xffff;
+
+  for (var i = 0; i < data.length; i++) {
+    crc ^= data[i];
+
+    for (var bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >> 1) ^ 0xa001 : crc >> 1;
+    }
+  }
+
+  return crc;
+}
+
+/**
+ * Calculates the longitudinal redundancy check of a buffer (as used by
+ * ASCII frames)
+ *
+ * @param  {[Buffer]} data the data
+ * @return {[number]}      the LRC
+ */
+function lrc(data) {
+  return -data.reduce((sum, byte) => sum + byte, 0) & 0xff;
+}
+
+module.exports = {
+  crc16: crc16,
+  lrc: lrc,
+};
@@ -0,0 +1,309 @@
+/**
+ * Serial line diagnostics ('mb diag')
+ *
+ * Covers the Diagnostics sub-functions (function 0x08), Get Comm Event
+ * Counter (0x0B) and Get Comm Event Log (0x0C).  Each result is given a
+ * readable summary (response.summary); 'counters' reads every counter and
+ * attaches them to the last response as response.counters.
+ *
+ */
+'use strict';
+
+var functions = require('./functions');
+
+// Diagnostics sub-functions, by the name used on the command line
+var SUB_FUNCTIONS = {
+  loopback: 0x00,
+  restart: 0x01,
+  register: 0x02,
+  clear: 0x0a,
+  'bus-messages': 0x0b,
+  'bus-errors': 0x0c,
+  exceptions: 0x0d,
+  'slave-messages': 0x0e,
+  'no-response': 0x0f,
+  nak: 0x10,
+  busy: 0x11,
+  overruns: 0x12,
+  'clear-overruns': 0x14,
+};
+
+// Descriptions of the counters
+var COUNTERS = {
+  'bus-messages': 'Bus messages',
+  'bus-errors': 'Bus communication (CRC) errors',
+  exceptions: 'Exception responses',
+  'slave-messages': 'Messages for this slave',
+  'no-response': 'Messages not answered',
+  nak: 'NAK responses',
+  busy: 'Busy responses',
+  overruns: 'Character overruns',
+};
+
+// Everything that can follow 'mb diag'
+var ACTIONS = Object.keys(SUB_FUNCTIONS).concat(['counters', 'events', 'log']);
+
+// Data sent by loopback if none is given
+var LOOPBACK_DATA = [0xa5, 0x5a];
+
+// Meaning of the bits of receive and send events in the event log
+var RECEIVE_FLAGS = {0x02: 'communication error', 0x10: 'character overrun', 0x20: 'listen only', 0x40: 'broadcast'};
+var SEND_FLAGS = {
+  0x01: 'read exception',
+  0x02: 'abort exception',
+  0x04: 'busy exception',
+  0x08: 'NAK exception',
+  0x10: 'write timeout',
+  0x20: 'listen only',
+};
+
+/**
+ * Describes an entry of the comm event log
+ *
+ * @param  {[number]} event the event byte
+ * @return {[string]}       eg '0xC0 received (broadcast)'
+ */
+function describeEvent(event) {
+  var text;
+  var flags = {};
+
+  if (event === 0x00) {
+    text = 'communication restart';
+  } else if (event === 0x04) {
+    text = 'entered listen only mode';
+  } else if (event & 0x80) {
+    text = 'received';
+    flags = RECEIVE_FLAGS;
+  } else if (event & 0x40) {
+    text = 'sent';
+    flags = SEND_FLAGS;
+  } else {
+    text = 'unknown event';
+  }
+
+  var set = Object.keys(flags)
+    .filter((bit) => event & bit)
+    .map((bit) => flags[bit]);
+
+  return (
+    '0x' + ('0' + event.toString(16).toUpperCase()).slice(-2) + ' ' + text + (set.length ? ' (' + set.join(', ') + ')' : '')
+  );
+}
+
+/**
+ * Describes the status word of the event counter and log responses
+ *
+ * @param  {[number]} status the status
+ * @return {[string]}        ready or busy
+ */
+function describeStatus(status) {
+  return status ? 'busy' : 'ready';
+}
+
+/**
+ * Converts the words following the sub-function to request data
+ *
+ * @param  {[string]} name the sub-function
+ * @param  {[array]}  args the words
+ * @return {[Buffer]}      the data
+ */
+function requestData(name, args) {
+  if (name === 'loopback') {
+    var bytes = args.length ? args.map(Number) : LOOPBACK_DATA;
+
+    bytes.forEach(function (byte, index) {
+      if (isNaN(byte) || byte < 0 || byte > 255 || byte % 1) {
+        throw new Error('Invalid loopback byte: ' + args[index] + ' (use 0 to 255)');
+      }
+    });
+    return Buffer.from(bytes);
+  }
+
+  if (name === 'restart') {
+    if (args.length && args[0] !== 'clear') {
+      throw new Error('Unknown restart option ' + args[0] + ' (use clear to also clear the event log)');
+    }
+    return Buffer.from(args[0] === 'clear' ? [0xff, 0x00] : [0x00, 0x00]);
+  }
+
+  return Buffer.alloc(2);
+}
+
+/**
+ * Describes the response to a Diagnostics sub-function
+ *
+ * @param  {[string]} name     the sub-function
+ * @param  {[object]} response the response
+ * @return {[string]}          the description
+ */
+function summarize(name, response) {
+  switch (name) {
+    case 'loopback':
+      return 'Loopback OK (' + response.getValues().length + ' bytes echoed)';
+
+    case 'restart':
+      return 'Communications restarted' + (response.getValue() === 0xff00 ? ', event log cleared' : '');
+
+    case 'register':
+      return 'Diagnostic register: 0x' + ('000' + response.getValue().toString(16).toUpperCase()).slice(-4);
+
+    case 'clear':
+      return 'Counters cleared';
+
+    case 'clear-overruns':
+      return 'Overrun counter cleared';
+
+    default:
+      return COUNTERS[name] + ': ' + response.getValue();
+  }
+}
+
+/**
+ * Sends a request and calls back with its response
+ *
+ * Exceptions are passed on as responses, as for other actions.
+ *
+ * @param  {[object]}   master      the MODBUS master
+ * @param  {[object]}   request     the request
+ * @param  {[object]}   transaction extra transaction options (unit, timeout...)
+ * @param  {[function]} callback    called with (err, response)
+ */
+function send(master, request, transaction, callback) {
+  master.request(
+    request,
+    Object.assign({}, transaction, {
+      onDone: function (err, response) {
+        if (response) {
+          response.request = request;
+        }
+        callback(err, response);
+      },
+    }),
+  );
+}
+
+/**
+ * Reads all of the counters, one request each
+ *
+ * Counters that the slave refuses (with an exception) are left out; if
+ * it refuses all of them, the exception is passed on.
+ *
+ * @param  {[object]}   master      the MODBUS master
+ * @param  {[object]}   transaction extra transaction options (unit, timeout...)
+ * @param  {[function]} callback    called with (err, response)
+ */
+function readCounters(master, transaction, callback) {
+  var names = Object.keys(COUNTERS);
+  var counters = {};
+  var lines = [];
+  var last;
+
+  function next(index, exception) {
+    if (index >= names.length) {
+      if (!last) {
+        callback(null, exception);
+        return;
+      }
+      last.counters = counters;
+      last.summary = lines.join('\n');
+      callback(null, last);
+      return;
+    }
+
+    var name = names[index];
+
+    send(master, new functions.DiagnosticsRequest(SUB_FUNCTIONS[name]), transaction, function (err, response) {
+      if (err) {
+        callback(err, response);
+        return;
+      }
+      if (response.isException()) {
+        next(index + 1, response);
+        return;
+      }
+
+      counters[name] = response.getValue();
+      lines.push(summarize(name, response));
+      last = response;
+      next(index + 1, exception);
+    });
+  }
+
+  next(0);
+}
+
+/**
+ * Runs a diagnostic
+ *
+ * Throws if the diagnostic or its arguments are not valid.  A loopback
+ * whose data does not come back unchanged fails with an error.
+ *
+ * @param  {[object]}   master      the MODBUS master
+ * @param  {[string]}   name        one of ACTIONS
+ * @param  {[array]}    args        words that follow the name
+ * @param  {[object]}   transaction extra transaction options (unit, timeout...)
+ * @param  {[function]} callback    called with (err, response)
+ */
+function run(master, name, args, transaction, callback) {
+  args = args || [];
+
+  if (name === 'counters') {
+    readCounters(master, transaction, callback);
+    return;
+  }
+
+  if (name === 'events') {
+    send(master, new functions.CommEventCounterRequest(), transaction, function (err, response) {
+      if (!err && !response.isException()) {
+        response.summary = 'Event count: ' + response.getEventCount() + ' (' + describeStatus(response.getStatus()) + ')';
+      }
+      callback(err, response);
+    });
+    return;
+  }
+
+  if (name === 'log') {
+    send(master, new functions.CommEventLogRequest(), transaction, function (err, response) {
+      if (!err && !response.isException()) {
+        response.summary = [
+          'Status: ' + describeStatus(response.getStatus()),
+          'Event count: ' + response.getEventCount(),
+          'Message count: ' + response.getMessageCount(),
+          'Events (most recent first):',
+        ]
+          .concat(Array.from(response.getEvents()).map((event) => '  ' + describeEvent(event)))
+          .join('\n');
+      }
+      callback(err, response);
+    });
+    return;
+  }
+
+  if ('undefined' === typeof SUB_FUNCTIONS[name]) {
+    throw new Error('Unknown diagnostic ' + name + ' (use ' + ACTIONS.join(', ') + ')');
+  }
+
+  var data = requestData(name, args);
+
+  send(master, new functions.DiagnosticsRequest(SUB_FUNCTIONS[name], data), transaction, function (err, response) {
+    if (!err && !response.isException()) {
+      if (name === 'loopback' && !response.getValues().equals(data)) {
+        err = new Error(
+          'Loopback data did not match: sent ' + data.toString('hex') + ', received ' + response.getValues().toString('hex'),
+        );
+      } else {
+        response.summary = summarize(name, response);
+      }
+    }
+    callback(err, response);
+  });
+}
+
+module.exports = {
+  SUB_FUNCTIONS: SUB_FUNCTIONS,
+  COUNTERS: COUNTERS,
+  ACTIONS: ACTIONS,
+  describeEvent: describeEvent,
+  describeStatus: describeStatus,
+  run: run,
+};
@@ -0,0 +1,170 @@
+/**
+ * Readable MODBUS exceptions, and the exit codes of mb
+ *
+ * mb exits with a different code for each kind of failure, so that
+ * scripts (eg CI jobs) can tell a timeout from an exception from a port
+ * that could not be opened.  Exceptions are grouped by what can be done
+ * about them:
+ *
+ *    0   success
+ *    1   any other failure (eg verify mismatch, failed script step)
+ *    2   usage error (unknown action, bad option, argument or file)
+ *    3   the connection could not be opened (or was lost during a scan)
+ *    4   no response (timeout)
+ *    5   invalid response (bad checksum, incomplete or malformed)
+ *    10  exception: request rejected (1-3: illegal function, address, value)
+ *    11  exception: slave device failure (4, 8)
+ *    12  exception: slave busy (5-7: acknowledge, busy, NAK)
+ *    13  exception: gateway problem (10, 11)
+ *    14  exception: any other code (eg 0x80 verify error)
+ *
+ */
+'use strict';
+
+var EXIT_CODES = {
+  ok: 0,
+  failed: 1,
+  usage: 2,
+  connection: 3,
+  timeout: 4,
+  invalidResponse: 5,
+  rejected: 10,
+  deviceFailure: 11,
+  busy: 12,
+  gateway: 13,
+  otherException: 14,
+};
+
+// Exception codes, with what they mean and the kind of failure
+var EXCEPTIONS = {
+  0x01: {
+    name: 'Illegal Function',
+    text: 'the slave does not support this function',
+    exit: 'rejected',
+  },
+  0x02: {
+    name: 'Illegal Data Address',
+    text: 'the slave has nothing at this address (or at part of the range requested)',
+    exit: 'rejected',
+  },
+  0x03: {
+    name: 'Illegal Data Value',
+    text: 'a value in the request is not allowed, eg the quantity is too large',
+    exit: 'rejected',
+  },
+  0x04: {
+    name: 'Slave Device Failure',
+    text: 'the slave failed while carrying out the request',
+    exit: 'deviceFailure',
+  },
+  0x05: {
+    name: 'Acknowledge',
+    text: 'the slave accepted the request, but will take a long time to finish it',
+    exit: 'busy',
+  },
+  0x06: {
+    name: 'Slave Device Busy',
+    text: 'the slave is busy with a long command; try again later',
+    exit: 'busy',
+  },
+  0x07: {
+    name: 'Negative Acknowledge',
+    text: 'the slave cannot carry out this program function',
+    exit: 'busy',
+  },
+  0x08: {
+    name: 'Memory Parity Error',
+    text: 'the slave found a parity error in its memory',
+    exit: 'deviceFailure',
+  },
+  0x0a: {
+    name: 'Gateway Path Unavailable',
+    text: 'the gateway has no path to the target device',
+    exit: 'gateway',
+  },
+  0x0b: {
+    name: 'Gateway Target Device Failed to Respond',
+    text: 'the gateway got no response from the target device',
+    exit: 'gateway',
+  },
+  0x80: {
+    name: 'Verify Error',
+    text: 'the slave could not verify that the memory was written correctly',
+    exit: 'otherException',
+  },
+};
+
+// Errors from @csllc/cs-modbus (and the connection lost error of scan), by
+// name, and the kind of failure
+var ERRORS = {
+  ConnectionLostError: 'connection',
+  ResponseTimeoutError: 'timeout',
+  InvalidChecksumError: 'invalidResponse',
+  InvalidResponseDataError: 'invalidResponse',
+  IncompleteResponseFrameError: 'invalidResponse',
+};
+
+/**
+ * Describes an exception response
+ *
+ * @param  {[object]} response the exception response
+ * @return {[string]}          eg 'Exception 2 (Illegal Data Address) from
+ *                             function 0x03: the slave has nothing...'
+ */
+function describeException(response) {
+  var code = response.getExceptionCode();
+  var exception = EXCEPTIONS[code];
+
+  return (
+    'Exception ' +
+    code +
+    (exception ? ' (' + exception.name + ')' : '') +
+    ' from function 0x' +
+    ('0' + response.getCode().toString(16).toUpperCase()).slice(-2) +
+    ': ' +
+    (exception ? exception.text : 'unknown exception code')
+  );
+}
+
+/**
+ * Creates the error for an exception response
+ *
+ * @param  {[object]} response the exception response
+ * @return {[Error]}           the error; its response property holds the
+ *                             exception response
+ */
+function exceptionError(response) {
+  var err = new Error(describeException(response));
+
+  err.response = response;
+  return err;
+}
+
+/**
+ * Works out the exit code for the outcome of a transaction
+ *
+ * @param  {[Error]}  err      error from the transaction, if any
+ * @param  {[object]} response the response, if any
+ * @return {[number]}          one of EXIT_CODES
+ */
+function exitCode(err, response) {
+  response = (err && err.response) || response;
+
+  if (response && response.isException()) {
+    var exception = EXCEPTIONS[response.getExceptionCode()];
+
+    return EXIT_CODES[exception ? exception.exit : 'otherException'];
+  }
+  if (err) {
+    return EXIT_CODES[ERRORS[err.name] || 'failed'];
+  }
+  return EXIT_CODES.ok;
+}
+
+module.exports = {
+  EXIT_CODES: EXIT_CODES,
+  EXCEPTIONS: EXCEPTIONS,
+  describeException: describeException,
+  exceptionError: exceptionError,
+  exitCode: exitCode,
+};
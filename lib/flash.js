@@ -0,0 +1,232 @@
+/**
+ * Writes firmware or calibration images to device memory ('mb flash')
+ *
+ * The image is split into blocks that are each written with
+ * writeMemoryVerify.  A block that fails is retried; if it still fails the
+ * upload stops, and can later be resumed from that block.  Once every
+ * block is written, the memory is checked either by reading it back, or by
+ * asking the device for the CRC of each segment.
+ *
+ * The CRC check sends the given command id with the segment's address and
+ * length (2 bytes each, most significant first), and expects the device to
+ * reply with the CRC-16/MODBUS of that memory (2 bytes, most significant
+ * first).
+ *
+ */
+'use strict';
+
+var crypto = require('crypto');
+
+var crc16 = require('./crc').crc16;
+var errors = require('./errors');
+var memory = require('./memory');
+
+// Ways of checking the memory once it is written
+var VERIFY_METHODS = ['readback', 'crc', 'none'];
+
+/**
+ * Splits an image into blocks of at most `size` bytes
+ *
+ * @param  {[array]}  segments list of {address, data} segments
+ * @param  {[number]} size     bytes per block
+ * @return {[array]}           list of {address, data} blocks
+ * @throws {Error}             if any block is outside the 16-bit address space
+ */
+function blocks(segments, size) {
+  var result = [];
+
+  memory.checkSegments(segments);
+
+  segments.forEach(function (segment) {
+    for (var i = 0; i < segment.data.length; i += size) {
+      result.push({address: segment.address + i, data: segment.data.slice(i, i + size)});
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Returns a fingerprint of an image, used to check that a resumed upload
+ * is of the same image
+ *
+ * @param  {[array]}  segments list of segments
+ * @return {[string]}          hex digest
+ */
+function fingerprint(segments) {
+  var hash = crypto.createHash('sha1');
+
+  segments.forEach(function (segment) {
+    hash.update(String(segment.address) + ':');
+    hash.update(segment.data);
+  });
+
+  return hash.digest('hex');
+}
+
+/**
+ * Returns an error describing a failed transaction
+ *
+ * @param  {[Error]}  err      error from the transaction, if any
+ * @param  {[object]} response the response, if any
+ * @return {[Error]}           the error, or null if the transaction succeeded
+ */
+function failure(err, response) {
+  if (err) {
+    return err;
+  }
+  if (response.isException()) {
+    return errors.exceptionError(response);
+  }
+  if ('function' === typeof response.getStatus && response.getStatus()) {
+    return new Error('Device reported status ' + response.getStatus());
+  }
+  return null;
+}
+
+/**
+ * Writes the blocks of an image, retrying any that fail
+ *
+ * If a block cannot be written the callback's error has a `block`
+ * property giving its index, so the upload can be resumed from there.
+ *
+ * @param  {[object]}   master  the MODBUS master
+ * @param  {[array]}    list    blocks, as returned by blocks()
+ * @param  {[object]}   options
+ * @param  {[number]}   options.start       index of the first block to write
+ * @param  {[number]}   options.retries     times to retry a failed block
+ * @param  {[object]}   options.transaction extra transaction options (unit, timeout...)
+ * @param  {[function]} options.onBlock     optional; called with (index) after each block
+ * @param  {[function]} options.onRetry     optional; called with (index, err) before a retry
+ * @param  {[function]} callback            called with (err)
+ */
+function write(master, list, options, callback) {
+  function next(index, attempt) {
+    if (index >= list.length) {
+      callback(null);
+      return;
+    }
+
+    var block = list[index];
+
+    master.writeMemoryVerify(
+      block.address,
+      block.data,
+      Object.assign({}, options.transaction, {
+        onDone: function (err, response) {
+          err = failure(err, response);
+
+          if (!err) {
+            if (options.onBlock) {
+              options.onBlock(index);
+            }
+            next(index + 1, 0);
+          } else if (attempt < (options.retries || 0)) {
+            if (options.onRetry) {
+              options.onRetry(index, err);
+            }
+            next(index, attempt + 1);
+          } else {
+            err.message = 'Block ' + index + ' at 0x' + block.address.toString(16) + ' failed: ' + err.message;
+            err.block = index;
+            callback(err);
+          }
+        },
+      }),
+    );
+  }
+
+  next(options.start || 0, 0);
+}
+
+/**
+ * Checks that memory matches the image
+ *
+ * @param  {[object]}   master   the MODBUS master
+ * @param  {[array]}    segments list of segments
+ * @param  {[object]}   options
+ * @param  {[string]}   options.verify      'readback', 'crc' or 'none'
+ * @param  {[number]}   options.crcCommand  command id for the CRC check
+ * @param  {[number]}   options.chunk       bytes per read, for readback
+ * @param  {[object]}   options.transaction extra transaction options (unit, timeout...)
+ * @param  {[function]} callback            called with (err)
+ */
+function verify(master, segments, options, callback) {
+  function next(index) {
+    if (index >= segments.length || options.verify === 'none') {
+      callback(null);
+      return;
+    }
+
+    var segment = segments[index];
+    var where = ' at 0x' + segment.address.toString(16);
+
+    if (options.verify === 'crc') {
+      var request = Buffer.alloc(4);
+
+      request.writeUInt16BE(segment.address, 0);
+      request.writeUInt16BE(segment.data.length, 2);
+
+      master.command(
+        options.crcCommand,
+        request,
+        Object.assign({}, options.transaction, {
+          onDone: function (err, response) {
+            err = failure(err, response);
+
+            if (!err && response.getValues().length < 2) {
+              err = new Error('CRC response too short');
+            }
+            if (!err && response.getValues().readUInt16BE(0) !== crc16(segment.data)) {
+              err = new Error('CRC mismatch');
+            }
+            if (err) {
+              err.message = 'Verify failed' + where + ': ' + err.message;
+              callback(err);
+              return;
+            }
+            next(index + 1);
+          },
+        }),
+      );
+    } else {
+      memory.read(master, segment.address, segment.data.length, options, function (err, data, response) {
+        err = failure(err, response);
+
+        if (!err) {
+          for (var i = 0; i < data.length; i++) {
+            if (data[i] !== segment.data[i]) {
+              err = new Error(
+                'Verify failed at 0x' +
+                  (segment.address + i).toString(16) +
+                  ': read 0x' +
+                  data[i].toString(16) +
+                  ', expected 0x' +
+                  segment.data[i].toString(16),
+              );
+              break;
+            }
+          }
+        } else {
+          err.message = 'Verify failed' + where + ': ' + err.message;
+        }
+
+        if (err) {
+          callback(err);
+          return;
+        }
+        next(index + 1);
+      });
+    }
+  }
+
+  next(0);
+}
+
+module.exports = {
+  VERIFY_METHODS: VERIFY_METHODS,
+  blocks: blocks,
+  fingerprint: fingerprint,
+  write: write,
+  verify: verify,
+};
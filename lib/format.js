@@ -0,0 +1,412 @@
+/**
+ * Output formats for responses (the --out option)
+ *
+ *    csv    elapsed time and the response bytes, comma separated
+ *    json   one JSON object per response
+ *    table  address, value and hex columns
+ *    hex    hexdump style listing of the data bytes
+ *    raw    the data bytes, written to stdout as binary
+ *
+ * The request that produced a response may be attached to it as
+ * response.request, which allows addresses to be shown.
+ *
+ */
+'use strict';
+
+var diagnostics = require('./diagnostics');
+var identification = require('./identification');
+
+// names accepted by --out
+var OUTPUTS = ['csv', 'json', 'table', 'hex', 'raw'];
+
+/**
+ * Returns the starting address or id of the request, if it has one
+ *
+ * @param  {[object]} response the response
+ * @return {[number]}          address, or undefined
+ */
+function startAddress(response) {
+  var request = response.request;
+
+  if (!request) {
+    return undefined;
+  }
+  if ('function' === typeof request.getAddress) {
+    return request.getAddress();
+  }
+  if ('function' === typeof request.getId) {
+    return request.getId();
+  }
+  return undefined;
+}
+
+/**
+ * Returns the data bytes carried by a response
+ *
+ * Coil and discrete input states are packed 8 to a byte, as in the PDU.
+ * For responses without a data payload the whole PDU is returned.
+ *
+ * @param  {[object]} response the response
+ * @return {[Buffer]}          the data
+ */
+function dataOf(response) {
+  if (!response.isException() && 'function' === typeof response.getValues) {
+    var values = response.getValues();
+
+    if (Buffer.isBuffer(values)) {
+      return values;
+    }
+  }
+  if (!response.isException() && 'function' === typeof response.getStates) {
+    var states = statesOf(response);
+    var bits = Buffer.alloc(Math.ceil(states.length / 8));
+
+    states.forEach(function (state, index) {
+      if (state) {
+        bits[index >> 3] |= 1 << (index & 7);
+      }
+    });
+    return bits;
+  }
+  return response.toBuffer();
+}
+
+/**
+ * Returns the bytes of a response PDU, as numbers
+ *
+ * The byte count of a read joined from several requests (see ranges.js)
+ * may be more than 255, so is not in its PDU; it is put back here, so the
+ * result has the same layout however many requests the read took.
+ *
+ * @param  {[object]} response the response
+ * @return {[array]}           the bytes, starting with the function code
+ */
+function bytesOf(response) {
+  var bytes = Array.from(response.toBuffer());
+  var count = 'function' === typeof response.getByteCount ? response.getByteCount() : undefined;
+
+  if ('undefined' !== typeof count) {
+    bytes.splice(1, 0, count);
+  }
+  return bytes;
+}
+
+/**
+ * Returns the coil/discrete states, trimmed to the quantity requested
+ *
+ * @param  {[object]} response a read coils/discrete inputs response
+ * @return {[array]}           array of booleans
+ */
+function statesOf(response) {
+  var states = response.getStates().map(Boolean);
+  var request = response.request;
+
+  if (request && 'function' === typeof request.getQuantity) {
+    states = states.slice(0, request.getQuantity());
+  }
+  return states;
+}
+
+/**
+ * Converts a response into a plain object suitable for JSON
+ *
+ * @param  {[object]} response the response
+ * @return {[object]}          description of the response
+ */
+function toObject(response) {
+  var code = response.getCode();
+  var request = response.request;
+  var result = {function: code};
+
+  if (response.isException()) {
+    result.exception = response.getExceptionCode();
+    result.message = response.toString();
+    return result;
+  }
+
+  if (request && 'function' === typeof request.getAddress) {
+    result.address = request.getAddress();
+  } else if (request && 'function' === typeof request.getId) {
+    result.id = request.getId();
+  }
+
+  switch (code) {
+    case 0x01:
+    case 0x02:
+      result.states = statesOf(response);
+      break;
+
+    case 0x03:
+    case 0x04:
+    case 0x17: {
+      var data = response.getValues();
+
+      result.registers = [];
+      for (var i = 0; i + 1 < data.length; i += 2) {
+        result.registers.push(data.readUInt16BE(i));
+      }
+      break;
+    }
+
+    case 0x05:
+      result.state = response.getState();
+      break;
+
+    case 0x06:
+      result.value = response.getValue();
+      break;
+
+    case 0x0f:
+    case 0x10:
+      result.quantity = response.getQuantity();
+      break;
+
+    case 0x08:
+      result.subFunction = response.getSubFunction();
+      result.values = Array.from(response.getValues());
+      if (response.getValues().length === 2) {
+        result.value = response.getValue();
+      }
+      break;
+
+    case 0x0b:
+      result.status = diagnostics.describeStatus(response.getStatus());
+      result.eventCount = response.getEventCount();
+      break;
+
+    case 0x0c:
+      result.status = diagnostics.describeStatus(response.getStatus());
+      result.eventCount = response.getEventCount();
+      result.messageCount = response.getMessageCount();
+      result.events = Array.from(response.getEvents()).map(diagnostics.describeEvent);
+      break;
+
+    case 0x16:
+      result.andMask = response.getAndMask();
+      result.orMask = response.getOrMask();
+      break;
+
+    case 0x11:
+      result.product = response.product;
+      result.run = response.run;
+      result.version = response.getVersion();
+      result.values = Array.from(response.getValues());
+      if (result.values.length === 4) {
+        result.serial = response.getValues().readUInt32BE(0);
+      }
+      break;
+
+    case 0x2b:
+      result.conformity = response.getConformity();
+      result.objects = {};
+      response.getObjects().forEach(function (object) {
+        result.objects[identification.objectName(object.id)] = identification.objectText(object.value);
+      });
+      break;
+
+    case 0x41:
+      result.status = response.getStatus();
+      result.values = Array.from(response.getValues());
+      break;
+
+    default:
+      if ('function' === typeof response.getValues) {
+        result.values = Array.from(dataOf(response));
+      } else if ('function' === typeof response.getStatus) {
+        result.status = response.getStatus();
+      } else {
+        result.data = Array.from(response.toBuffer());
+      }
+      break;
+  }
+
+  if (response.decoded) {
+    result.decoded = response.decoded;
+  }
+
+  if (response.counters) {
+    result.counters = response.counters;
+  }
+
+  if (response.summary) {
+    result.summary = response.summary;
+  }
+
+  if (response.point) {
+    result.point = response.point.name;
+    result.value = response.point.value;
+    result.units = response.point.units;
+  }
+
+  return result;
+}
+
+/**
+ * Formats a number as hex with a fixed number of digits
+ *
+ * @param  {[number]} value  the number
+ * @param  {[number]} digits minimum number of digits
+ * @return {[string]}        eg 0x00FF
+ */
+function hex(value, digits) {
+  return '0x' + ('00000000' + value.toString(16).toUpperCase()).slice(-digits);
+}
+
+/**
+ * Lays out rows of text in aligned columns
+ *
+ * @param  {[array]}  columns column headings
+ * @param  {[array]}  rows    array of arrays of cell values
+ * @return {[string]}         the table
+ */
+function layout(columns, rows) {
+  var widths = columns.map(function (column, index) {
+    return rows.reduce((width, row) => Math.max(width, String(row[index]).length), column.length);
+  });
+
+  function line(cells) {
+    return cells.map((cell, index) => (String(cell) + ' '.repeat(widths[index])).substring(0, widths[index])).join('  ');
+  }
+
+  return [line(columns), line(widths.map((width) => '-'.repeat(width)))]
+    .concat(rows.map(line))
+    .join('\n')
+    .replace(/ +$/gm, '');
+}
+
+/**
+ * Formats a response as a table of address, value and hex columns
+ *
+ * @param  {[object]} response the response
+ * @return {[string]}          the table
+ */
+function table(response) {
+  var code = response.getCode();
+  var address = startAddress(response) || 0;
+  var rows = [];
+
+  if (response.isException()) {
+    return layout(['exception', 'message'], [[response.getExceptionCode(), response.toString()]]);
+  }
+
+  if (response.point) {
+    var value = [].concat(response.point.value).join(' ');
+
+    return layout(['point', 'value', 'units'], [['@' + response.point.name, value, response.point.units]]);
+  }
+
+  if (response.counters) {
+    return layout(
+      ['counter', 'value'],
+      Object.keys(response.counters).map((name) => [name, response.counters[name]]),
+    );
+  }
+
+  if (code === 0x0c) {
+    var log = toObject(response);
+
+    return layout(
+      ['field', 'value'],
+      [
+        ['status', log.status],
+        ['eventCount', log.eventCount],
+        ['messageCount', log.messageCount],
+      ].concat(log.events.map((event, index) => ['event ' + index, event])),
+    );
+  }
+
+  if (code === 0x2b) {
+    response.getObjects().forEach(function (object) {
+      rows.push([hex(object.id, 2), identification.objectName(object.id), identification.objectText(object.value)]);
+    });
+    return layout(['id', 'object', 'value'], rows);
+  }
+
+  if (code === 0x01 || code === 0x02) {
+    statesOf(response).forEach(function (state, index) {
+      rows.push([address + index, state, hex(state ? 1 : 0, 1)]);
+    });
+    return layout(['address', 'value', 'hex'], rows);
+  }
+
+  // slave id and similar responses are better shown field by field
+  if (code === 0x08 || code === 0x11 || 'function' !== typeof response.getValues) {
+    var fields = toObject(response);
+
+    return layout(
+      ['field', 'value'],
+      Object.keys(fields).map((key) => [key, [].concat(fields[key]).join(' ')]),
+    );
+  }
+
+  var data = dataOf(response);
+  var registers = code === 0x03 || code === 0x04 || code === 0x17;
+
+  if (response.decoded) {
+    // each decoded value covers the same number of bytes
+    var size = Math.floor(data.length / response.decoded.length);
+
+    response.decoded.forEach(function (value, index) {
+      var raw = data.slice(index * size, (index + 1) * size);
+
+      rows.push([
+        address + (registers ? index * (size / 2) : index * size),
+        value,
+        '0x' + raw.toString('hex').toUpperCase(),
+      ]);
+    });
+  } else if (registers) {
+    for (var i = 0; i + 1 < data.length; i += 2) {
+      rows.push([address + i / 2, data.readUInt16BE(i), hex(data.readUInt16BE(i), 4)]);
+    }
+  } else {
+    for (var j = 0; j < data.length; j++) {
+      rows.push([address + j, data[j], hex(data[j], 2)]);
+    }
+  }
+
+  return layout(['address', 'value', 'hex'], rows);
+}
+
+/**
+ * Formats the data bytes of a response as a hexdump style listing
+ *
+ * Memory reads are listed at their device address, other data from 0.
+ *
+ * @param  {[object]} response the response
+ * @return {[string]}          the listing
+ */
+function hexdump(response) {
+  var data = dataOf(response);
+  var base = response.getCode() === 0x45 ? startAddress(response) || 0 : 0;
+  var lines = [];
+
+  for (var offset = 0; offset < data.length; offset += 16) {
+    var chunk = data.slice(offset, offset + 16);
+    var bytes = Array.from(chunk).map((byte) => ('0' + byte.toString(16)).slice(-2));
+    var text = Array.from(chunk)
+      .map((byte) => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.'))
+      .join('');
+
+    lines.push(
+      ('0000000' + (base + offset).toString(16)).slice(-8) +
+        '  ' +
+        (bytes.slice(0, 8).join(' ') + '  ' + bytes.slice(8).join(' ')).padEnd(49) +
+        ' |' +
+        text +
+        '|',
+    );
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  OUTPUTS: OUTPUTS,
+  dataOf: dataOf,
+  bytesOf: bytesOf,
+  toObject: toObject,
+  layout: layout,
+  table: table,
+  hexdump: hexdump,
+};
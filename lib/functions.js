@@ -0,0 +1,681 @@
+/**
+ * MODBUS functions not provided by @csllc/cs-modbus
+ *
+ *    0x08  Diagnostics (any sub-function; the built-in request only
+ *          handles sub-functions above 0)
+ *    0x0B  Get Comm Event Counter
+ *    0x0C  Get Comm Event Log
+ *    0x16  Mask Write Register
+ *    0x17  Read/Write Multiple Registers
+ *    0x2B  Read Device Identification (MEI type 0x0E)
+ *
+ * Requests are sent with master.request(), and behave like the built-in
+ * ones (eg for logging and output formats).  Like those, they can also be
+ * made from a received PDU with fromBuffer().
+ *
+ */
+'use strict';
+
+var util = require('util');
+
+var Request = require('@csllc/cs-modbus/lib/functions/Request');
+var Response = require('@csllc/cs-modbus/lib/functions/Response');
+
+var DIAGNOSTICS = 0x08;
+var GET_COMM_EVENT_COUNTER = 0x0b;
+var GET_COMM_EVENT_LOG = 0x0c;
+var MASK_WRITE_REGISTER = 0x16;
+var READ_WRITE_REGISTERS = 0x17;
+var ENCAPSULATED_INTERFACE = 0x2b;
+var READ_DEVICE_IDENTIFICATION = 0x0e;
+
+// Most registers that fit in a Read/Write Multiple Registers request
+var MAX_READ = 125;
+var MAX_WRITE = 121;
+
+/**
+ * Checks that a number is a whole number within a range
+ *
+ * @param  {[number]} value the number
+ * @param  {[number]} max   largest allowed value
+ * @param  {[string]} name  what the number is, for the error message
+ * @return {[number]}       the number
+ */
+function check(value, max, name) {
+  if ('number' !== typeof value || value < 0 || value > max || value % 1) {
+    throw new Error('Invalid ' + name + ': ' + value + ' (use 0 to ' + max + ')');
+  }
+  return value;
+}
+
+/**
+ * Checks the length of a request or response
+ *
+ * @param  {[Buffer]} buffer the PDU
+ * @param  {[number]} length the least number of bytes
+ */
+function checkLength(buffer, length) {
+  if (buffer.length < length) {
+    throw new Error('PDU too short: expected at least ' + length + ' bytes, got ' + buffer.length);
+  }
+}
+
+/**
+ * Diagnostics response, which normally echoes the sub-function and
+ * returns data that depends on it (eg a counter)
+ *
+ * @param {[number]} subFunction the sub-function
+ * @param {[Buffer]} data        data returned
+ */
+function DiagnosticsResponse(subFunction, data) {
+  Response.call(this, DIAGNOSTICS);
+
+  this.subFunction = subFunction;
+  this.data = data;
+}
+
+util.inherits(DiagnosticsResponse, Response);
+
+DiagnosticsResponse.fromBuffer = function (buffer) {
+  checkLength(buffer, 3);
+
+  return new DiagnosticsResponse(buffer.readUInt16BE(1), Buffer.from(buffer.slice(3)));
+};
+
+DiagnosticsResponse.prototype.toBuffer = function () {
+  var header = Buffer.alloc(3);
+
+  header[0] = DIAGNOSTICS;
+  header.writeUInt16BE(this.subFunction, 1);
+  return Buffer.concat([header, this.data]);
+};
+
+DiagnosticsResponse.prototype.toString = function () {
+  return util.format('0x08 (RES) Diagnostics sub-function %d returned:', this.subFunction, this.data);
+};
+
+DiagnosticsResponse.prototype.getSubFunction = function () {
+  return this.subFunction;
+};
+
+DiagnosticsResponse.prototype.getValues = function () {
+  return this.data;
+};
+
+// the data as a 16-bit value, as returned by the counter sub-functions
+DiagnosticsResponse.prototype.getValue = function () {
+  return this.data.length >= 2 ? this.data.readUInt16BE(0) : undefined;
+};
+
+/**
+ * Diagnostics request
+ *
+ * @param {[number]} subFunction the sub-function
+ * @param {[Buffer]} data        request data (usually 2 bytes)
+ */
+function DiagnosticsRequest(subFunction, data) {
+  Request.call(this, DIAGNOSTICS);
+
+  this.subFunction = check(subFunction, 0xffff, 'sub-function');
+  this.data = data || Buffer.alloc(2);
+
+  if (this.data.length > 250) {
+    throw new Error('Too much diagnostic data: ' + this.data.length + ' bytes (use up to 250)');
+  }
+}
+
+util.inherits(DiagnosticsRequest, Request);
+
+DiagnosticsRequest.fromBuffer = function (buffer) {
+  checkLength(buffer, 3);
+
+  return new DiagnosticsRequest(buffer.readUInt16BE(1), Buffer.from(buffer.slice(3)));
+};
+
+DiagnosticsRequest.prototype.toBuffer = DiagnosticsResponse.prototype.toBuffer;
+
+DiagnosticsRequest.prototype.toString = function () {
+  return util.format('0x08 (REQ) Diagnostics sub-function %d with data:', this.subFunction, this.data);
+};
+
+DiagnosticsRequest.prototype.createResponse = function (responseBuffer) {
+  return this.createExceptionOrResponse(responseBuffer, DiagnosticsResponse);
+};
+
+DiagnosticsRequest.prototype.getSubFunction = DiagnosticsResponse.prototype.getSubFunction;
+
+/**
+ * Get Comm Event Counter response
+ *
+ * @param {[number]} status     0xFFFF if the slave is busy, otherwise 0
+ * @param {[number]} eventCount number of messages completed successfully
+ */
+function CommEventCounterResponse(status, eventCount) {
+  Response.call(this, GET_COMM_EVENT_COUNTER);
+
+  this.status = status;
+  this.eventCount = eventCount;
+}
+
+util.inherits(CommEventCounterResponse, Response);
+
+CommEventCounterResponse.fromBuffer = function (buffer) {
+  checkLength(buffer, 5);
+
+  return new CommEventCounterResponse(buffer.readUInt16BE(1), buffer.readUInt16BE(3));
+};
+
+CommEventCounterResponse.prototype.toBuffer = function () {
+  var buffer = Buffer.alloc(5);
+
+  buffer[0] = GET_COMM_EVENT_COUNTER;
+  buffer.writeUInt16BE(this.status, 1);
+  buffer.writeUInt16BE(this.eventCount, 3);
+  return buffer;
+};
+
+CommEventCounterResponse.prototype.toString = function () {
+  return util.format('0x0B (RES) Status 0x%s, event count %d', this.status.toString(16), this.eventCount);
+};
+
+CommEventCounterResponse.prototype.getStatus = function () {
+  return this.status;
+};
+
+CommEventCounterResponse.prototype.getEventCount = function () {
+  return this.eventCount;
+};
+
+/**
+ * Get Comm Event Counter request
+ */
+function CommEventCounterRequest() {
+  Request.call(this, GET_COMM_EVENT_COUNTER);
+}
+
+util.inherits(CommEventCounterRequest, Request);
+
+CommEventCounterRequest.fromBuffer = function () {
+  return new CommEventCounterRequest();
+};
+
+CommEventCounterRequest.prototype.toBuffer = function () {
+  return Buffer.from([GET_COMM_EVENT_COUNTER]);
+};
+
+CommEventCounterRequest.prototype.toString = function () {
+  return '0x0B (REQ) Get comm event counter';
+};
+
+CommEventCounterRequest.prototype.createResponse = function (responseBuffer) {
+  return this.createExceptionOrResponse(responseBuffer, CommEventCounterResponse);
+};
+
+/**
+ * Get Comm Event Log response
+ *
+ * The events are one byte each, the most recent first.
+ *
+ * @param {[number]} status       0xFFFF if the slave is busy, otherwise 0
+ * @param {[number]} eventCount   number of messages completed successfully
+ * @param {[number]} messageCount number of messages seen on the bus
+ * @param {[Buffer]} events       the event bytes
+ */
+function CommEventLogResponse(status, eventCount, messageCount, events) {
+  Response.call(this, GET_COMM_EVENT_LOG);
+
+  this.status = status;
+  this.eventCount = eventCount;
+  this.messageCount = messageCount;
+  this.events = events;
+}
+
+util.inherits(CommEventLogResponse, Response);
+
+CommEventLogResponse.fromBuffer = function (buffer) {
+  checkLength(buffer, 8);
+  checkLength(buffer, 2 + buffer[1]);
+
+  return new CommEventLogResponse(
+    buffer.readUInt16BE(2),
+    buffer.readUInt16BE(4),
+    buffer.readUInt16BE(6),
+    Buffer.from(buffer.slice(8, 2 + buffer[1])),
+  );
+};
+
+CommEventLogResponse.prototype.toBuffer = function () {
+  var buffer = Buffer.alloc(8);
+
+  buffer[0] = GET_COMM_EVENT_LOG;
+  buffer[1] = 6 + this.events.length;
+  buffer.writeUInt16BE(this.status, 2);
+  buffer.writeUInt16BE(this.eventCount, 4);
+  buffer.writeUInt16BE(this.messageCount, 6);
+  return Buffer.concat([buffer, this.events]);
+};
+
+CommEventLogResponse.prototype.toString = function () {
+  return util.format(
+    '0x0C (RES) Status 0x%s, event count %d, message count %d, events:',
+    this.status.toString(16),
+    this.eventCount,
+    this.messageCount,
+    this.events,
+  );
+};
+
+CommEventLogResponse.prototype.getStatus = function () {
+  return this.status;
+};
+
+CommEventLogResponse.prototype.getEventCount = function () {
+  return this.eventCount;
+};
+
+CommEventLogResponse.prototype.getMessageCount = function () {
+  return this.messageCount;
+};
+
+CommEventLogResponse.prototype.getEvents = function () {
+  return this.events;
+};
+
+/**
+ * Get Comm Event Log request
+ */
+function CommEventLogRequest() {
+  Request.call(this, GET_COMM_EVENT_LOG);
+}
+
+util.inherits(CommEventLogRequest, Request);
+
+CommEventLogRequest.fromBuffer = function () {
+  return new CommEventLogRequest();
+};
+
+CommEventLogRequest.prototype.toBuffer = function () {
+  return Buffer.from([GET_COMM_EVENT_LOG]);
+};
+
+CommEventLogRequest.prototype.toString = function () {
+  return '0x0C (REQ) Get comm event log';
+};
+
+CommEventLogRequest.prototype.createResponse = function (responseBuffer) {
+  return this.createExceptionOrResponse(responseBuffer, CommEventLogResponse);
+};
+
+/**
+ * Mask Write Register response, which echoes the request
+ *
+ * @param {[number]} address register address
+ * @param {[number]} andMask AND mask
+ * @param {[number]} orMask  OR mask
+ */
+function MaskWriteRegisterResponse(address, andMask, orMask) {
+  Response.call(this, MASK_WRITE_REGISTER);
+
+  this.address = address;
+  this.andMask = andMask;
+  this.orMask = orMask;
+}
+
+util.inherits(MaskWriteRegisterResponse, Response);
+
+MaskWriteRegisterResponse.fromBuffer = function (buffer) {
+  checkLength(buffer, 7);
+
+  return new MaskWriteRegisterResponse(buffer.readUInt16BE(1), buffer.readUInt16BE(3), buffer.readUInt16BE(5));
+};
+
+MaskWriteRegisterResponse.prototype.toBuffer = function () {
+  var buffer = Buffer.alloc(7);
+
+  buffer[0] = MASK_WRITE_REGISTER;
+  buffer.writeUInt16BE(this.address, 1);
+  buffer.writeUInt16BE(this.andMask, 3);
+  buffer.writeUInt16BE(this.orMask, 5);
+  return buffer;
+};
+
+MaskWriteRegisterResponse.prototype.toString = function () {
+  return util.format(
+    '0x16 (RES) Register at address %d was masked with AND 0x%s, OR 0x%s',
+    this.address,
+    this.andMask.toString(16),
+    this.orMask.toString(16),
+  );
+};
+
+MaskWriteRegisterResponse.prototype.getAddress = function () {
+  return this.address;
+};
+
+MaskWriteRegisterResponse.prototype.getAndMask = function () {
+  return this.andMask;
+};
+
+MaskWriteRegisterResponse.prototype.getOrMask = function () {
+  return this.orMask;
+};
+
+/**
+ * Mask Write Register request
+ *
+ * The register becomes (value AND andMask) OR (orMask AND NOT andMask).
+ *
+ * @param {[number]} address register address
+ * @param {[number]} andMask AND mask
+ * @param {[number]} orMask  OR mask
+ */
+function MaskWriteRegisterRequest(address, andMask, orMask) {
+  Request.call(this, MASK_WRITE_REGISTER);
+
+  this.address = check(address, 0xffff, 'address');
+  this.andMask = check(andMask, 0xffff, 'AND mask');
+  this.orMask = check(orMask, 0xffff, 'OR mask');
+}
+
+util.inherits(MaskWriteRegisterRequest, Request);
+
+MaskWriteRegisterRequest.fromBuffer = function (buffer) {
+  checkLength(buffer, 7);
+
+  return new MaskWriteRegisterRequest(buffer.readUInt16BE(1), buffer.readUInt16BE(3), buffer.readUInt16BE(5));
+};
+
+MaskWriteRegisterRequest.prototype.toBuffer = MaskWriteRegisterResponse.prototype.toBuffer;
+
+MaskWriteRegisterRequest.prototype.toString = function () {
+  return util.format(
+    '0x16 (REQ) Mask the register at address %d with AND 0x%s, OR 0x%s',
+    this.address,
+    this.andMask.toString(16),
+    this.orMask.toString(16),
+  );
+};
+
+MaskWriteRegisterRequest.prototype.createResponse = function (responseBuffer) {
+  return this.createExceptionOrResponse(responseBuffer, MaskWriteRegisterResponse);
+};
+
+MaskWriteRegisterRequest.prototype.getAddress = MaskWriteRegisterResponse.prototype.getAddress;
+
+/**
+ * Read/Write Multiple Registers response, holding the registers read
+ *
+ * @param {[Buffer]} values register data
+ */
+function ReadWriteRegistersResponse(values) {
+  Response.call(this, READ_WRITE_REGISTERS);
+
+  this.values = values;
+}
+
+util.inherits(ReadWriteRegistersResponse, Response);
+
+ReadWriteRegistersResponse.fromBuffer = function (buffer) {
+  checkLength(buffer, 2);
+  checkLength(buffer, 2 + buffer[1]);
+
+  return new ReadWriteRegistersResponse(Buffer.from(buffer.slice(2, 2 + buffer[1])));
+};
+
+ReadWriteRegistersResponse.prototype.toBuffer = function () {
+  return Buffer.concat([Buffer.from([READ_WRITE_REGISTERS, this.values.length]), this.values]);
+};
+
+ReadWriteRegistersResponse.prototype.toString = function () {
+  return util.format('0x17 (RES) %d registers read:', this.values.length / 2, this.values);
+};
+
+ReadWriteRegistersResponse.prototype.getValues = function () {
+  return this.values;
+};
+
+ReadWriteRegistersResponse.prototype.getCount = function () {
+  return this.values.length / 2;
+};
+
+/**
+ * Read/Write Multiple Registers request
+ *
+ * The slave writes the registers before reading.
+ *
+ * @param {[number]} readAddress  first register to read
+ * @param {[number]} readQuantity number of registers to read
+ * @param {[number]} writeAddress first register to write
+ * @param {[Buffer]} values       register data to write
+ */
+function ReadWriteRegistersRequest(readAddress, readQuantity, writeAddress, values) {
+  Request.call(this, READ_WRITE_REGISTERS);
+
+  this.readAddress = check(readAddress, 0xffff, 'read address');
+  this.readQuantity = check(readQuantity, MAX_READ, 'read quantity');
+  this.writeAddress = check(writeAddress, 0xffff, 'write address');
+  this.values = values;
+
+  if (this.readQuantity < 1) {
+    throw new Error('Must read at least one register');
+  }
+  if (values.length < 2 || values.length % 2 || values.length / 2 > MAX_WRITE) {
+    throw new Error('Must write 1 to ' + MAX_WRITE + ' whole registers');
+  }
+}
+
+util.inherits(ReadWriteRegistersRequest, Request);
+
+ReadWriteRegistersRequest.fromBuffer = function (buffer) {
+  checkLength(buffer, 10);
+  checkLength(buffer, 10 + buffer[9]);
+
+  return new ReadWriteRegistersRequest(
+    buffer.readUInt16BE(1),
+    buffer.readUInt16BE(3),
+    buffer.readUInt16BE(5),
+    Buffer.from(buffer.slice(10, 10 + buffer[9])),
+  );
+};
+
+ReadWriteRegistersRequest.prototype.toBuffer = function () {
+  var buffer = Buffer.alloc(10);
+
+  buffer[0] = READ_WRITE_REGISTERS;
+  buffer.writeUInt16BE(this.readAddress, 1);
+  buffer.writeUInt16BE(this.readQuantity, 3);
+  buffer.writeUInt16BE(this.writeAddress, 5);
+  buffer.writeUInt16BE(this.values.length / 2, 7);
+  buffer[9] = this.values.length;
+  return Buffer.concat([buffer, this.values]);
+};
+
+ReadWriteRegistersRequest.prototype.toString = function () {
+  return util.format(
+    '0x17 (REQ) Read %d registers starting from address %d, after writing %d starting from address %d:',
+    this.readQuantity,
+    this.readAddress,
+    this.values.length / 2,
+    this.writeAddress,
+    this.values,
+  );
+};
+
+ReadWriteRegistersRequest.prototype.createResponse = function (responseBuffer) {
+  return this.createExceptionOrResponse(responseBuffer, ReadWriteRegistersResponse);
+};
+
+// the address shown with the response is that of the registers read
+ReadWriteRegistersRequest.prototype.getAddress = function () {
+  return this.readAddress;
+};
+
+ReadWriteRegistersRequest.prototype.getQuantity = function () {
+  return this.readQuantity;
+};
+
+ReadWriteRegistersRequest.prototype.getWriteAddress = function () {
+  return this.writeAddress;
+};
+
+/**
+ * Read Device Identification response
+ *
+ * Objects are a list of {id, value}, where value is a Buffer.  If
+ * moreFollows is set, the rest of the objects are read by asking again
+ * from nextObjectId.
+ *
+ * @param {[number]}  readCode     the access requested (1-4)
+ * @param {[number]}  conformity   conformity level of the device
+ * @param {[boolean]} moreFollows  whether there are more objects to read
+ * @param {[number]}  nextObjectId where to continue, if moreFollows
+ * @param {[array]}   objects      the objects
+ */
+function ReadDeviceIdentificationResponse(readCode, conformity, moreFollows, nextObjectId, objects) {
+  Response.call(this, ENCAPSULATED_INTERFACE);
+
+  this.readCode = readCode;
+  this.conformity = conformity;
+  this.moreFollows = moreFollows;
+  this.nextObjectId = nextObjectId;
+  this.objects = objects;
+}
+
+util.inherits(ReadDeviceIdentificationResponse, Response);
+
+ReadDeviceIdentificationResponse.fromBuffer = function (buffer) {
+  checkLength(buffer, 7);
+
+  if (buffer[1] !== READ_DEVICE_IDENTIFICATION) {
+    throw new Error('Unexpected MEI type in response: 0x' + buffer[1].toString(16));
+  }
+
+  var objects = [];
+  var offset = 7;
+
+  for (var i = 0; i < buffer[6]; i++) {
+    checkLength(buffer, offset + 2);
+    checkLength(buffer, offset + 2 + buffer[offset + 1]);
+
+    objects.push({id: buffer[offset], value: Buffer.from(buffer.slice(offset + 2, offset + 2 + buffer[offset + 1]))});
+    offset += 2 + buffer[offset + 1];
+  }
+
+  return new ReadDeviceIdentificationResponse(buffer[2], buffer[3], buffer[4] === 0xff, buffer[5], objects);
+};
+
+ReadDeviceIdentificationResponse.prototype.toBuffer = function () {
+  var header = Buffer.from([
+    ENCAPSULATED_INTERFACE,
+    READ_DEVICE_IDENTIFICATION,
+    this.readCode,
+    this.conformity,
+    this.moreFollows ? 0xff : 0,
+    this.nextObjectId,
+    this.objects.length,
+  ]);
+
+  return Buffer.concat(
+    [header].concat(
+      this.objects.map((object) => Buffer.concat([Buffer.from([object.id, object.value.length]), object.value])),
+    ),
+  );
+};
+
+ReadDeviceIdentificationResponse.prototype.toString = function () {
+  return util.format(
+    '0x2B (RES) %d identification objects (conformity 0x%s)%s:',
+    this.objects.length,
+    this.conformity.toString(16),
+    this.moreFollows ? ', more follow from ' + this.nextObjectId : '',
+    this.objects.map((object) => object.id + '=' + JSON.stringify(object.value.toString('latin1'))).join(' '),
+  );
+};
+
+ReadDeviceIdentificationResponse.prototype.getObjects = function () {
+  return this.objects;
+};
+
+ReadDeviceIdentificationResponse.prototype.getConformity = function () {
+  return this.conformity;
+};
+
+ReadDeviceIdentificationResponse.prototype.getMoreFollows = function () {
+  return this.moreFollows;
+};
+
+ReadDeviceIdentificationResponse.prototype.getNextObjectId = function () {
+  return this.nextObjectId;
+};
+
+/**
+ * Read Device Identification request
+ *
+ * The read code selects the objects: 1 basic, 2 regular and 3 extended
+ * (each starting from objectId), or 4 for the single object objectId.
+ *
+ * @param {[number]} readCode the access wanted (1-4)
+ * @param {[number]} objectId first (or only) object to read
+ */
+function ReadDeviceIdentificationRequest(readCode, objectId) {
+  Request.call(this, ENCAPSULATED_INTERFACE);
+
+  if ([1, 2, 3, 4].indexOf(readCode) < 0) {
+    throw new Error('Invalid read device id code: ' + readCode + ' (use 1 to 4)');
+  }
+
+  this.readCode = readCode;
+  this.objectId = check(objectId || 0, 0xff, 'object id');
+}
+
+util.inherits(ReadDeviceIdentificationRequest, Request);
+
+ReadDeviceIdentificationRequest.fromBuffer = function (buffer) {
+  checkLength(buffer, 4);
+
+  if (buffer[1] !== READ_DEVICE_IDENTIFICATION) {
+    throw new Error('Unexpected MEI type in request: 0x' + buffer[1].toString(16));
+  }
+  return new ReadDeviceIdentificationRequest(buffer[2], buffer[3]);
+};
+
+ReadDeviceIdentificationRequest.prototype.toBuffer = function () {
+  return Buffer.from([ENCAPSULATED_INTERFACE, READ_DEVICE_IDENTIFICATION, this.readCode, this.objectId]);
+};
+
+ReadDeviceIdentificationRequest.prototype.toString = function () {
+  return util.format(
+    '0x2B (REQ) Read device identification %s %d',
+    this.readCode === 4 ? 'object' : 'objects starting from',
+    this.objectId,
+  );
+};
+
+ReadDeviceIdentificationRequest.prototype.createResponse = function (responseBuffer) {
+  return this.createExceptionOrResponse(responseBuffer, ReadDeviceIdentificationResponse);
+};
+
+ReadDeviceIdentificationRequest.prototype.getReadCode = function () {
+  return this.readCode;
+};
+
+ReadDeviceIdentificationRequest.prototype.getObjectId = function () {
+  return this.objectId;
+};
+
+module.exports = {
+  MAX_READ: MAX_READ,
+  MAX_WRITE: MAX_WRITE,
+  DiagnosticsRequest: DiagnosticsRequest,
+  DiagnosticsResponse: DiagnosticsResponse,
+  CommEventCounterRequest: CommEventCounterRequest,
+  CommEventCounterResponse: CommEventCounterResponse,
+  CommEventLogRequest: CommEventLogRequest,
+  CommEventLogResponse: CommEventLogResponse,
+  MaskWriteRegisterRequest: MaskWriteRegisterRequest,
+  MaskWriteRegisterResponse: MaskWriteRegisterResponse,
+  ReadWriteRegistersRequest: ReadWriteRegistersRequest,
+  ReadWriteRegistersResponse: ReadWriteRegistersResponse,
+  ReadDeviceIdentificationRequest: ReadDeviceIdentificationRequest,
+  ReadDeviceIdentificationResponse: ReadDeviceIdentificationResponse,
+};
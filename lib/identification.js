@@ -0,0 +1,182 @@
+/**
+ * Reads the device identification objects (function 0x2B, MEI type 0x0E)
+ *
+ * Devices that do not implement report slave ID usually implement this.
+ * Objects are grouped in categories:
+ *
+ *    basic     0x00-0x02  VendorName, ProductCode, MajorMinorRevision
+ *    regular   0x03-0x7F  VendorUrl, ProductName, ModelName...
+ *    extended  0x80-0xFF  private to the device
+ *
+ * A device may not fit all of a category in one response, in which case
+ * the rest is read with further requests.
+ *
+ */
+'use strict';
+
+var functions = require('./functions');
+
+// Read device id codes for each category; 4 reads a single object
+var CATEGORIES = {
+  basic: 1,
+  regular: 2,
+  extended: 3,
+};
+
+var INDIVIDUAL = 4;
+
+// Names of the standard objects, by id
+var OBJECT_NAMES = [
+  'VendorName',
+  'ProductCode',
+  'MajorMinorRevision',
+  'VendorUrl',
+  'ProductName',
+  'ModelName',
+  'UserApplicationName',
+];
+
+// Most requests made for one category, in case a device never stops
+var MAX_REQUESTS = 256;
+
+/**
+ * Returns the name of an object
+ *
+ * @param  {[number]} id object id
+ * @return {[string]}    eg VendorName, or Object0x80 for non-standard ones
+ */
+function objectName(id) {
+  return OBJECT_NAMES[id] || 'Object0x' + ('0' + id.toString(16).toUpperCase()).slice(-2);
+}
+
+/**
+ * Returns the id of an object given its name or number
+ *
+ * @param  {[any]}    key eg 'VendorName', 'Object0x80', 128 or '0x80'
+ * @return {[number]}     the id, or undefined if key is not an object
+ */
+function objectId(key) {
+  var index = OBJECT_NAMES.findIndex((name) => name.toLowerCase() === String(key).toLowerCase());
+  var id = Number(String(key).replace(/^object(?=0x)/i, ''));
+
+  if (index > -1) {
+    return index;
+  }
+  if (String(key).trim() === '' || isNaN(id) || id < 0 || id > 0xff || id % 1) {
+    return undefined;
+  }
+  return id;
+}
+
+/**
+ * Converts an object value to text, or to hex if it is not printable
+ *
+ * @param  {[Buffer]} value the value
+ * @return {[string]}       the text
+ */
+function objectText(value) {
+  if (value.every((byte) => byte >= 0x20 && byte < 0x7f)) {
+    return value.toString('latin1');
+  }
+  return '0x' + value.toString('hex').toUpperCase();
+}
+
+/**
+ * Works out what to read from the command line argument
+ *
+ * @param  {[any]}    what basic, regular, extended, or an object name or id;
+ *                         basic if not given
+ * @return {[object]}      {readCode, objectId}
+ */
+function parseCategory(what) {
+  if ('undefined' === typeof what) {
+    what = 'basic';
+  }
+  if (CATEGORIES[what]) {
+    return {readCode: CATEGORIES[what], objectId: 0};
+  }
+
+  var id = objectId(what);
+
+  if ('undefined' === typeof id) {
+    throw new Error('Unknown identification ' + what + ' (use basic, regular, extended or an object id)');
+  }
+  return {readCode: INDIVIDUAL, objectId: id};
+}
+
+/**
+ * Reads the identification objects
+ *
+ * Requests are repeated while the device reports that more objects
+ * follow.  The callback receives (err, response), where response holds
+ * the objects from all of the requests (or is the exception response, if
+ * the device returned one).
+ *
+ * @param  {[object]}   master      the MODBUS master
+ * @param  {[number]}   readCode    1 basic, 2 regular, 3 extended, 4 one object
+ * @param  {[number]}   firstId     first (or only) object to read
+ * @param  {[object]}   transaction extra transaction options (unit, timeout...)
+ * @param  {[function]} callback
+ */
+function read(master, readCode, firstId, transaction, callback) {
+  var objects = [];
+  var requests = 0;
+  var first;
+
+  function next(id) {
+    var request = new functions.ReadDeviceIdentificationRequest(readCode, id);
+
+    requests++;
+
+    master.request(
+      request,
+      Object.assign({}, transaction, {
+        onDone: function (err, response) {
+          if (response) {
+            response.request = request;
+          }
+          if (err || response.isException()) {
+            callback(err, response);
+            return;
+          }
+
+          first = first || request;
+          objects = objects.concat(response.getObjects());
+
+          if (response.getMoreFollows() && readCode !== INDIVIDUAL) {
+            if (requests >= MAX_REQUESTS || response.getNextObjectId() <= id) {
+              callback(new Error('Device identification did not end (next object ' + response.getNextObjectId() + ')'));
+              return;
+            }
+            next(response.getNextObjectId());
+            return;
+          }
+
+          // one response holding everything that was read
+          var result = new functions.ReadDeviceIdentificationResponse(
+            response.readCode,
+            response.getConformity(),
+            false,
+            0,
+            objects,
+          );
+
+          result.request = first;
+          callback(null, result);
+        },
+      }),
+    );
+  }
+
+  next(firstId);
+}
+
+module.exports = {
+  CATEGORIES: CATEGORIES,
+  OBJECT_NAMES: OBJECT_NAMES,
+  objectName: objectName,
+  objectId: objectId,
+  objectText: objectText,
+  parseCategory: parseCategory,
+  read: read,
+};
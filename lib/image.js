@@ -0,0 +1,350 @@
+/**
+ * Memory image files: raw binary, Intel HEX and Motorola S-record
+ *
+ * An image is a list of segments, each a block of contiguous data:
+ *
+ *    [{address: 0x400, data: <Buffer ...>}, ...]
+ *
+ * Binary files hold a single segment, whose address is not stored in the
+ * file and has to be supplied separately.
+ *
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+// Number of data bytes per record when writing HEX and S-record files
+var RECORD_SIZE = 16;
+
+// File extensions that select each format; anything else is binary
+var EXTENSIONS = {
+  ihex: ['.hex', '.ihex', '.ihx'],
+  srec: ['.s19', '.s28', '.s37', '.srec', '.mot'],
+};
+
+/**
+ * Works out the format of a file from its extension
+ *
+ * @param  {[string]} filename name of the file
+ * @return {[string]}          'ihex', 'srec' or 'binary'
+ */
+function formatOf(filename) {
+  var ext = path.extname(filename).toLowerCase();
+
+  return Object.keys(EXTENSIONS).find((format) => EXTENSIONS[format].indexOf(ext) > -1) || 'binary';
+}
+
+/**
+ * Sorts segments by address and joins any that are contiguous
+ *
+ * @param  {[array]} segments list of segments
+ * @return {[array]}          merged list of segments
+ */
+function merge(segments) {
+  var result = [];
+
+  segments
+    .filter((segment) => segment.data.length > 0)
+    .sort((a, b) => a.address - b.address)
+    .forEach(function (segment) {
+      var last = result[result.length - 1];
+
+      if (last && last.address + last.data.length > segment.address) {
+        throw new Error('Image data overlaps at address 0x' + segment.address.toString(16));
+      }
+
+      if (last && last.address + last.data.length === segment.address) {
+        last.data = Buffer.concat([last.data, segment.data]);
+      } else {
+        result.push({address: segment.address, data: Buffer.from(segment.data)});
+      }
+    });
+
+  return result;
+}
+
+/**
+ * Returns the checksum of an Intel HEX record (two's complement of the sum)
+ *
+ * @param  {[array]}  bytes the record, excluding its checksum
+ * @return {[number]}       checksum byte
+ */
+function checksum(bytes) {
+  return -bytes.reduce((sum, byte) => sum + byte, 0) & 0xff;
+}
+
+/**
+ * Returns the checksum of an S-record (one's complement of the sum)
+ *
+ * @param  {[array]}  bytes the record, excluding its checksum
+ * @return {[number]}       checksum byte
+ */
+function srecChecksum(bytes) {
+  return ~bytes.reduce((sum, byte) => sum + byte, 0) & 0xff;
+}
+
+/**
+ * Returns bytes as upper case hex digits
+ *
+ * @param  {[array]}  bytes array or Buffer of bytes
+ * @return {[string]}       hex string
+ */
+function toHex(bytes) {
+  return Buffer.from(bytes).toString('hex').toUpperCase();
+}
+
+/**
+ * Converts the hex digits of a HEX or S-record line to bytes
+ *
+ * @param  {[string]} digits the hex digits of the record
+ * @param  {[number]} line   line number, for error messages
+ * @return {[Buffer]}        the record bytes, including the checksum
+ */
+function recordBytes(digits, line) {
+  if (!/^([0-9a-f]{2})+$/i.test(digits)) {
+    throw new Error('Invalid record on line ' + line);
+  }
+  return Buffer.from(digits, 'hex');
+}
+
+/**
+ * Parses Intel HEX text into segments
+ *
+ * @param  {[string]} text contents of the file
+ * @return {[array]}       list of segments
+ */
+function parseIntelHex(text) {
+  var segments = [];
+  var base = 0;
+
+  var lines = text.split(/\r?\n/);
+
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i].trim();
+
+    if (line === '') {
+      continue;
+    }
+    if (line.charAt(0) !== ':') {
+      throw new Error('Invalid Intel HEX record on line ' + (i + 1));
+    }
+
+    var bytes = recordBytes(line.substring(1), i + 1);
+    var count = bytes[0];
+
+    if (bytes.length !== count + 5) {
+      throw new Error('Invalid Intel HEX record length on line ' + (i + 1));
+    }
+    if (checksum(bytes.slice(0, -1)) !== bytes[bytes.length - 1]) {
+      throw new Error('Checksum error on line ' + (i + 1));
+    }
+
+    var offset = bytes.readUInt16BE(1);
+    var data = bytes.slice(4, 4 + count);
+
+    switch (bytes[3]) {
+      case 0x00:
+        segments.push({address: base + offset, data: data});
+        break;
+
+      case 0x01:
+        return merge(segments);
+
+      case 0x02:
+        base = data.readUInt16BE(0) * 16;
+        break;
+
+      case 0x04:
+        base = data.readUInt16BE(0) * 0x10000;
+        break;
+
+      default:
+        // start address records do not affect the image
+        break;
+    }
+  }
+
+  return merge(segments);
+}
+
+/**
+ * Formats segments as Intel HEX
+ *
+ * @param  {[array]}  segments list of segments
+ * @return {[string]}          contents of the file
+ */
+function toIntelHex(segments) {
+  var lines = [];
+  var upper = 0;
+
+  function record(type, offset, data) {
+    var bytes = [data.length, offset >> 8, offset & 0xff, type].concat(Array.from(data));
+
+    lines.push(':' + toHex(bytes.concat(checksum(bytes))));
+  }
+
+  merge(segments).forEach(function (segment) {
+    var i = 0;
+
+    while (i < segment.data.length) {
+      var address = segment.address + i;
+
+      // records may not cross a 64k boundary
+      var size = Math.min(RECORD_SIZE, segment.data.length - i, 0x10000 - (address & 0xffff));
+
+      if (address >>> 16 !== upper) {
+        upper = address >>> 16;
+        record(0x04, 0, [upper >> 8, upper & 0xff]);
+      }
+
+      record(0x00, address & 0xffff, segment.data.slice(i, i + size));
+      i += size;
+    }
+  });
+
+  record(0x01, 0, []);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parses Motorola S-record text into segments
+ *
+ * @param  {[string]} text contents of the file
+ * @return {[array]}       list of segments
+ */
+function parseSrec(text) {
+  var segments = [];
+  var lines = text.split(/\r?\n/);
+
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i].trim();
+
+    if (line === '') {
+      continue;
+    }
+    if (!/^S[0-9]/.test(line)) {
+      throw new Error('Invalid S-record on line ' + (i + 1));
+    }
+
+    var type = Number(line.charAt(1));
+    var bytes = recordBytes(line.substring(2), i + 1);
+
+    if (bytes.length !== bytes[0] + 1) {
+      throw new Error('Invalid S-record length on line ' + (i + 1));
+    }
+    if (srecChecksum(bytes.slice(0, -1)) !== bytes[bytes.length - 1]) {
+      throw new Error('Checksum error on line ' + (i + 1));
+    }
+
+    // S1, S2 and S3 carry data with 2, 3 and 4 byte addresses
+    if (type >= 1 && type <= 3) {
+      var size = type + 1;
+
+      segments.push({
+        address: bytes.readUIntBE(1, size),
+        data: bytes.slice(1 + size, -1),
+      });
+    }
+  }
+
+  return merge(segments);
+}
+
+/**
+ * Formats segments as Motorola S-records
+ *
+ * The smallest address size that holds every address is used.
+ *
+ * @param  {[array]}  segments list of segments
+ * @return {[string]}          contents of the file
+ */
+function toSrec(segments) {
+  var lines = [];
+
+  segments = merge(segments);
+
+  var end = segments.reduce((max, segment) => Math.max(max, segment.address + segment.data.length - 1), 0);
+  var size = end > 0xffffff ? 4 : end > 0xffff ? 3 : 2;
+
+  function record(type, address, addressSize, data) {
+    var bytes = [addressSize + data.length + 1];
+
+    for (var shift = (addressSize - 1) * 8; shift >= 0; shift -= 8) {
+      bytes.push(Math.floor(address / Math.pow(2, shift)) & 0xff);
+    }
+    bytes = bytes.concat(Array.from(data));
+
+    lines.push('S' + type + toHex(bytes.concat(srecChecksum(bytes))));
+  }
+
+  record(0, 0, 2, Buffer.from('mb'));
+
+  segments.forEach(function (segment) {
+    for (var i = 0; i < segment.data.length; i += RECORD_SIZE) {
+      record(size - 1, segment.address + i, size, segment.data.slice(i, i + RECORD_SIZE));
+    }
+  });
+
+  // the termination record type matches the data records (S1/S9, S2/S8, S3/S7)
+  record(11 - size, 0, size, []);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Reads an image file
+ *
+ * @param  {[string]} filename name of the file
+ * @param  {[number]} address  load address, for binary files
+ * @return {[array]}           list of segments
+ */
+function load(filename, address) {
+  var format = formatOf(filename);
+  var contents = fs.readFileSync(filename);
+
+  if (format === 'ihex') {
+    return parseIntelHex(contents.toString('ascii'));
+  }
+  if (format === 'srec') {
+    return parseSrec(contents.toString('ascii'));
+  }
+  return merge([{address: address || 0, data: contents}]);
+}
+
+/**
+ * Writes an image file
+ *
+ * Binary files can only hold one segment.
+ *
+ * @param  {[string]} filename name of the file
+ * @param  {[array]}  segments list of segments
+ */
+function save(filename, segments) {
+  var format = formatOf(filename);
+
+  if (format === 'ihex') {
+    fs.writeFileSync(filename, toIntelHex(segments));
+  } else if (format === 'srec') {
+    fs.writeFileSync(filename, toSrec(segments));
+  } else {
+    segments = merge(segments);
+
+    if (segments.length > 1) {
+      throw new Error('A binary file can only hold one block of data; use .hex or .s19');
+    }
+    fs.writeFileSync(filename, segments.length ? segments[0].data : Buffer.alloc(0));
+  }
+}
+
+module.exports = {
+  formatOf: formatOf,
+  merge: merge,
+  parseIntelHex: parseIntelHex,
+  toIntelHex: toIntelHex,
+  parseSrec: parseSrec,
+  toSrec: toSrec,
+  load: load,
+  save: save,
+};
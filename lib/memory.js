@@ -0,0 +1,223 @@
+/**
+ * Reads and writes blocks of memory larger than a single request
+ *
+ * Blocks are split into chunks that each fit in one readMemory or
+ * writeMemory request, and the chunks are sent one after the other.
+ *
+ */
+'use strict';
+
+// Largest number of bytes a memory request can carry
+var MAX_CHUNK = 250;
+
+// Memory addresses are 16 bits
+var ADDRESS_SPACE = 0x10000;
+
+// Transports that work better with smaller chunks; CS1179 moves one
+// byte per packet, so large chunks would exceed the response timeout
+var TRANSPORT_CHUNKS = {
+  CS1179: 16,
+};
+
+/**
+ * Returns the chunk size to use
+ *
+ * @param  {[string]} transport transport type (eg 'rtu')
+ * @param  {[number]} requested optional size asked for by the user
+ * @return {[number]}           number of bytes per request
+ */
+function chunkSize(transport, requested) {
+  if ('undefined' !== typeof requested) {
+    if ('number' !== typeof requested || requested < 1 || requested > MAX_CHUNK || requested % 1) {
+      throw new Error('Invalid chunk size: ' + requested + ' (use 1 to ' + MAX_CHUNK + ')');
+    }
+    return requested;
+  }
+  return TRANSPORT_CHUNKS[transport] || MAX_CHUNK;
+}
+
+/**
+ * Formats a memory address for messages
+ *
+ * @param  {[number]} address the address
+ * @return {[string]}         eg 0x1F00
+ */
+function hex(address) {
+  return '0x' + address.toString(16).toUpperCase();
+}
+
+/**
+ * Checks that a block of memory lies within the 16-bit address space
+ *
+ * @param  {[number]} address starting address
+ * @param  {[number]} length  number of bytes
+ * @throws {Error}            if any of the block is outside it
+ */
+function checkRange(address, length) {
+  if ('number' !== typeof address || address < 0 || address % 1 || address >= ADDRESS_SPACE) {
+    throw new Error('Invalid memory address: ' + address + ' (use 0 to 0xFFFF)');
+  }
+  if (address + length > ADDRESS_SPACE) {
+    throw new Error(
+      'The range ' + hex(address) + ' to ' + hex(address + length - 1) + ' goes past the last memory address (0xFFFF)',
+    );
+  }
+}
+
+/**
+ * Checks that every segment of an image lies within the 16-bit address space
+ *
+ * Intel HEX and S-record files may hold data at higher addresses, which
+ * cannot be written to the slave.
+ *
+ * @param  {[array]} segments list of {address, data}
+ * @throws {Error}            if any segment is outside it
+ */
+function checkSegments(segments) {
+  segments.forEach(function (segment) {
+    if (segment.address >= ADDRESS_SPACE) {
+      throw new Error('The image has data at ' + hex(segment.address) + ', above the last memory address (0xFFFF)');
+    }
+    checkRange(segment.address, segment.data.length);
+  });
+}
+
+/**
+ * Reads a block of memory
+ *
+ * The callback receives (err, data, response), where response is the last
+ * one received.  If the slave returns an exception, reading stops and data
+ * is undefined.  A block outside the address space throws before anything
+ * is sent.
+ *
+ * @param  {[object]}   master      the MODBUS master
+ * @param  {[number]}   address     starting address
+ * @param  {[number]}   length      number of bytes
+ * @param  {[object]}   options
+ * @param  {[number]}   options.chunk       bytes per request
+ * @param  {[object]}   options.transaction extra transaction options (unit, timeout...)
+ * @param  {[function]} options.onProgress  optional; called with (bytes done, total)
+ * @param  {[function]} callback
+ */
+function read(master, address, length, options, callback) {
+  var chunks = [];
+  var done = 0;
+  var response;
+
+  checkRange(address, length);
+
+  function next() {
+    if (done >= length) {
+      callback(null, Buffer.concat(chunks), response);
+      return;
+    }
+
+    var count = Math.min(options.chunk || MAX_CHUNK, length - done);
+
+    master.readMemory(
+      address + done,
+      count,
+      Object.assign({}, options.transaction, {
+        onDone: function (err, res) {
+          response = res;
+
+          if (err || res.isException()) {
+            callback(err, undefined, res);
+            return;
+          }
+
+          chunks.push(res.getValues());
+          done += count;
+
+          if (options.onProgress) {
+            options.onProgress(done, length);
+          }
+          next();
+        },
+      }),
+    );
+  }
+
+  next();
+}
+
+/**
+ * Writes an image (a list of {address, data} segments) to memory
+ *
+ * The callback receives (err, response), where response is the last one
+ * received.  Writing stops at the first error or exception.  An image
+ * outside the address space throws before anything is sent.
+ *
+ * @param  {[object]}   master   the MODBUS master
+ * @param  {[array]}    segments list of segments
+ * @param  {[object]}   options
+ * @param  {[number]}   options.chunk       bytes per request
+ * @param  {[boolean]}  options.verify      use writeMemoryVerify
+ * @param  {[object]}   options.transaction extra transaction options (unit, timeout...)
+ * @param  {[function]} options.onProgress  optional; called with (bytes done, total)
+ * @param  {[function]} callback
+ */
+function write(master, segments, options, callback) {
+  var total = segments.reduce((sum, segment) => sum + segment.data.length, 0);
+  var size = options.chunk || MAX_CHUNK;
+  var chunks = [];
+  var done = 0;
+
+  checkSegments(segments);
+
+  segments.forEach(function (segment) {
+    for (var i = 0; i < segment.data.length; i += size) {
+      chunks.push({address: segment.address + i, data: segment.data.slice(i, i + size)});
+    }
+  });
+
+  function next(index, response) {
+    if (index >= chunks.length) {
+      callback(null, response);
+      return;
+    }
+
+    var chunk = chunks[index];
+    var method = options.verify ? 'writeMemoryVerify' : 'writeMemory';
+
+    master[method](
+      chunk.address,
+      chunk.data,
+      Object.assign({}, options.transaction, {
+        onDone: function (err, res) {
+          if (err || res.isException()) {
+            callback(err, res);
+            return;
+          }
+
+          // the slave reports a non-zero status if it could not write
+          if (res.getStatus()) {
+            callback(
+              new Error('Write failed at 0x' + chunk.address.toString(16) + ' (status ' + res.getStatus() + ')'),
+              res,
+            );
+            return;
+          }
+
+          done += chunk.data.length;
+
+          if (options.onProgress) {
+            options.onProgress(done, total);
+          }
+          next(index + 1, res);
+        },
+      }),
+    );
+  }
+
+  next(0);
+}
+
+module.exports = {
+  MAX_CHUNK: MAX_CHUNK,
+  chunkSize: chunkSize,
+  checkRange: checkRange,
+  checkSegments: checkSegments,
+  read: read,
+  write: write,
+};
@@ -0,0 +1,248 @@
+/**
+ * Device profiles: named registers, coils, memory and objects
+ *
+ * A profile is a JSON or YAML file that maps point names to a location in
+ * the device, with optional data type and scaling:
+ *
+ *    {
+ *      "name": "Motor controller",
+ *      "points": {
+ *        "motor_speed": {
+ *          "space": "holding", "address": 10, "type": "int16",
+ *          "scale": 0.1, "units": "rpm", "access": "r"
+ *        },
+ *        "setpoint": {
+ *          "space": "holding", "address": 20, "type": "float32",
+ *          "wordorder": "little"
+ *        },
+ *        "enable": { "space": "coil", "address": 0 },
+ *        "serial": { "space": "memory", "address": "0x400", "type": "uint32" },
+ *        "settings": { "space": "object", "address": 3 }
+ *      }
+ *    }
+ *
+ * Points are then addressed by name on the command line: 'mb read @setpoint'.
+ *
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var codec = require('./codec');
+
+// address spaces, with their default type and access rights
+var SPACES = {
+  coil: {type: 'bool', access: 'rw'},
+  discrete: {type: 'bool', access: 'r'},
+  holding: {type: 'uint16', access: 'rw'},
+  input: {type: 'uint16', access: 'r'},
+  memory: {type: 'bytes', access: 'rw'},
+  object: {type: 'bytes', access: 'rw'},
+};
+
+/**
+ * Parses an address or length that may be a number or a "0x.." string
+ *
+ * @param  {[any]}    value the value from the profile
+ * @param  {[string]} where location used in error messages
+ * @return {[number]}       the parsed number
+ */
+function parseAddress(value, where) {
+  var number = 'string' === typeof value ? Number(value.trim()) : value;
+
+  if ('number' !== typeof number || !Number.isInteger(number) || number < 0) {
+    throw new Error(where + ': invalid number ' + value);
+  }
+
+  return number;
+}
+
+/**
+ * Validates a point definition and fills in defaults
+ *
+ * @param  {[string]} name  point name
+ * @param  {[object]} def   point definition from the file
+ * @param  {[string]} where location used in error messages
+ * @return {[object]}       the normalized point
+ */
+function normalizePoint(name, def, where) {
+  where = where + ' point ' + name;
+
+  var space = SPACES[def.space];
+
+  if (!space) {
+    throw new Error(where + ': space must be one of ' + Object.keys(SPACES).join(', '));
+  }
+
+  var point = {
+    name: name,
+    space: def.space,
+    address: parseAddress('undefined' !== typeof def.address ? def.address : def.id, where),
+    type: def.type || space.type,
+    scale: 'undefined' === typeof def.scale ? 1 : Number(def.scale),
+    offset: 'undefined' === typeof def.offset ? 0 : Number(def.offset),
+    units: def.units || '',
+    access: def.access || space.access,
+    description: def.description || '',
+    order: codec.parseOrder(def.byteorder, def.wordorder),
+  };
+
+  if (['r', 'w', 'rw'].indexOf(point.access) < 0) {
+    throw new Error(where + ': access must be r, w or rw');
+  }
+
+  if (isNaN(point.scale) || point.scale === 0 || isNaN(point.offset)) {
+    throw new Error(where + ': invalid scale or offset');
+  }
+
+  if (space.type === 'bool') {
+    if (point.type !== 'bool') {
+      throw new Error(where + ': ' + point.space + ' points are always bool');
+    }
+    point.length = 1;
+  } else if (point.type === 'bytes' || point.type === 'string') {
+    point.length = parseAddress('undefined' !== typeof def.length ? def.length : 2, where);
+  } else if (codec.isType(point.type)) {
+    point.length = codec.sizeOf(point.type);
+  } else {
+    throw new Error(where + ': unknown type ' + point.type);
+  }
+
+  // registers are 2 bytes each
+  if (point.space === 'holding' || point.space === 'input') {
+    if (point.type === 'bytes' || point.length % 2) {
+      throw new Error(where + ': type ' + point.type + ' does not fit in whole registers');
+    }
+    point.quantity = point.length / 2;
+  }
+
+  return point;
+}
+
+/**
+ * Parses a profile document
+ *
+ * @param  {[object]} doc   the parsed file
+ * @param  {[string]} where location used in error messages
+ * @return {[object]}       the profile
+ */
+function parse(doc, where) {
+  if (!doc || 'object' !== typeof doc.points) {
+    throw new Error(where + ': profile must have a points object');
+  }
+
+  var points = {};
+
+  Object.keys(doc.points).forEach(function (name) {
+    points[name] = normalizePoint(name, doc.points[name], where);
+  });
+
+  return {name: doc.name || path.basename(where), points: points};
+}
+
+/**
+ * Reads and parses a profile file (.json, .yaml or .yml)
+ *
+ * @param  {[string]} filename path to the profile
+ * @return {[object]}          the profile
+ * @throws {Error}             if the file cannot be read or is invalid
+ */
+function load(filename) {
+  var text = fs.readFileSync(filename, 'utf8');
+  var doc;
+
+  if (['.yaml', '.yml'].indexOf(path.extname(filename).toLowerCase()) > -1) {
+    doc = require('js-yaml').load(text);
+  } else {
+    doc = JSON.parse(text);
+  }
+
+  return parse(doc, filename);
+}
+
+/**
+ * Looks up a point by name
+ *
+ * @param  {[object]} profile the profile
+ * @param  {[string]} name    point name, with or without the leading @
+ * @return {[object]}         the point
+ * @throws {Error}            if there is no such point
+ */
+function find(profile, name) {
+  name = name.replace(/^@/, '');
+
+  if (!Object.prototype.hasOwnProperty.call(profile.points, name)) {
+    throw new Error('Unknown point @' + name + ' (available: ' + Object.keys(profile.points).join(', ') + ')');
+  }
+
+  return profile.points[name];
+}
+
+/**
+ * Converts raw data read from the device into the point's value
+ *
+ * @param  {[object]} point the point
+ * @param  {[any]}    raw   Buffer, or boolean for coils/discretes
+ * @return {[any]}          scaled number, boolean, string or array of bytes
+ */
+function toValue(point, raw) {
+  if (point.type === 'bool') {
+    return !!raw;
+  }
+  if (point.type === 'bytes') {
+    return Array.from(raw.slice(0, point.length));
+  }
+  if (point.type === 'string') {
+    return codec.decodeAll('string', raw.slice(0, point.length), point.order)[0];
+  }
+
+  var value = codec.decode(point.type, raw, 0, point.order);
+
+  if (point.scale !== 1 || point.offset !== 0) {
+    // trim floating point noise such as 12.300000000000001
+    value = Number((value * point.scale + point.offset).toPrecision(12));
+  }
+
+  return value;
+}
+
+/**
+ * Converts a value into the raw data to be written to the device
+ *
+ * @param  {[object]} point the point
+ * @param  {[any]}    value number, string, or array of bytes for 'bytes' points
+ * @return {[any]}          Buffer, or boolean for coils
+ */
+function fromValue(point, value) {
+  if (point.type === 'bool') {
+    return !!value;
+  }
+  if (point.type === 'bytes') {
+    return Buffer.from(value);
+  }
+  if (point.type === 'string') {
+    var buf = Buffer.alloc(point.length);
+
+    codec.encodeAll('string', [value], point.order).copy(buf, 0, 0, point.length);
+    return buf;
+  }
+
+  var raw = (value - point.offset) / point.scale;
+
+  if (point.scale !== 1 || point.offset !== 0) {
+    // trim floating point noise such as 122.99999999999999
+    raw = Number(raw.toPrecision(12));
+  }
+
+  return codec.encode(point.type, raw, point.order);
+}
+
+module.exports = {
+  SPACES: SPACES,
+  parse: parse,
+  load: load,
+  find: find,
+  toValue: toValue,
+  fromValue: fromValue,
+};
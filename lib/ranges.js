@@ -0,0 +1,309 @@
+/**
+ * Reads and writes ranges of registers and coils larger than a single request
+ *
+ * One request can read at most 125 registers or 2000 coils, and write at
+ * most 123 registers or 1968 coils.  Larger ranges are split into chunks
+ * that fit, which are sent with up to the master's maxConcurrentRequests
+ * waiting at once.  The results are put back together in address order,
+ * into a response that looks like the response to one request for the
+ * whole range.
+ *
+ */
+'use strict';
+
+var util = require('util');
+
+var Response = require('@csllc/cs-modbus/lib/functions/Response');
+
+var errors = require('./errors');
+
+// For each function: the master method, the most items per request, and
+// what the items are called
+var FUNCTIONS = {
+  0x01: {method: 'readCoils', max: 2000, items: 'coils'},
+  0x02: {method: 'readDiscreteInputs', max: 2000, items: 'discrete inputs'},
+  0x03: {method: 'readHoldingRegisters', max: 125, items: 'holding registers'},
+  0x04: {method: 'readInputRegisters', max: 125, items: 'input registers'},
+  0x0f: {method: 'writeMultipleCoils', max: 1968, items: 'coils'},
+  0x10: {method: 'writeMultipleRegisters', max: 123, items: 'holding registers'},
+};
+
+/**
+ * The request for a whole range, kept with the joined response
+ *
+ * @param {[number]} code     function code
+ * @param {[number]} address  first address
+ * @param {[number]} quantity number of coils or registers
+ * @param {[number]} requests number of requests it was split into
+ */
+function RangeRequest(code, address, quantity, requests) {
+  this.code = code;
+  this.address = address;
+  this.quantity = quantity;
+  this.requests = requests;
+}
+
+RangeRequest.prototype.getCode = function () {
+  return this.code;
+};
+
+RangeRequest.prototype.getAddress = function () {
+  return this.address;
+};
+
+RangeRequest.prototype.getQuantity = function () {
+  return this.quantity;
+};
+
+RangeRequest.prototype.toString = function () {
+  return util.format(
+    '0x%s (REQ) %d %s from %d in %d requests',
+    ('0' + this.code.toString(16)).slice(-2),
+    this.quantity,
+    FUNCTIONS[this.code].items,
+    this.address,
+    this.requests,
+  );
+};
+
+/**
+ * The responses to each chunk of a range, joined together
+ *
+ * Reads of registers have getValues(), reads of coils and discrete inputs
+ * getStates(), and writes getQuantity(), as the response to one request
+ * would.  The byte count of a read may be more than the one byte a PDU
+ * has for it, so toBuffer() cannot hold it and leaves it out; output that
+ * shows the PDU (eg --out=csv) takes it from getByteCount() instead, so
+ * that it has the same columns as the response to one request.
+ *
+ * @param {[number]} code    function code
+ * @param {[object]} request the RangeRequest
+ * @param {[array]}  results the response to each chunk, in address order
+ */
+function RangeResponse(code, request, results) {
+  Response.call(this, code);
+
+  this.request = request;
+
+  if (code === 0x01 || code === 0x02) {
+    this.states = [];
+    results.forEach((result, index) => {
+      this.states = this.states.concat(result.getStates().slice(0, chunkOf(request, index).quantity));
+    });
+  } else if (code === 0x03 || code === 0x04) {
+    this.values = Buffer.concat(results.map((result) => result.getValues()));
+  }
+}
+
+util.inherits(RangeResponse, Response);
+
+RangeResponse.prototype.getValues = function () {
+  return this.values;
+};
+
+RangeResponse.prototype.getStates = function () {
+  return this.states;
+};
+
+RangeResponse.prototype.getQuantity = function () {
+  return this.request.getQuantity();
+};
+
+RangeResponse.prototype.getByteCount = function () {
+  if (this.states) {
+    return Math.ceil(this.states.length / 8);
+  }
+  return this.values ? this.values.length : undefined;
+};
+
+RangeResponse.prototype.toBuffer = function () {
+  var header = Buffer.from([this.code]);
+
+  if (this.states) {
+    var bits = Buffer.alloc(Math.ceil(this.states.length / 8));
+
+    this.states.forEach(function (state, index) {
+      if (state) {
+        bits[index >> 3] |= 1 << (index & 7);
+      }
+    });
+    return Buffer.concat([header, bits]);
+  }
+  if (this.values) {
+    return Buffer.concat([header, this.values]);
+  }
+
+  var written = Buffer.alloc(4);
+
+  written.writeUInt16BE(this.request.getAddress(), 0);
+  written.writeUInt16BE(this.request.getQuantity(), 2);
+  return Buffer.concat([header, written]);
+};
+
+RangeResponse.prototype.toString = function () {
+  var items = FUNCTIONS[this.code].items;
+  var code = '0x' + ('0' + this.code.toString(16)).slice(-2) + ' (RES) ';
+
+  if (this.states) {
+    return util.format(code + '%d %s:', this.states.length, items, this.states.map(Number));
+  }
+  if (this.values) {
+    return util.format(code + '%d %s:', this.values.length / 2, items, this.values);
+  }
+  return util.format(
+    code + '%d %s starting from address %d were written',
+    this.getQuantity(),
+    items,
+    this.request.getAddress(),
+  );
+};
+
+/**
+ * Tells whether a range needs more than one request
+ *
+ * @param  {[number]}  code     function code (eg 0x03)
+ * @param  {[number]}  quantity number of coils or registers
+ * @return {[boolean]}
+ */
+function isSplit(code, quantity) {
+  return quantity > FUNCTIONS[code].max;
+}
+
+/**
+ * Returns the address and quantity of one chunk of a range
+ *
+ * @param  {[object]} request the RangeRequest
+ * @param  {[number]} index   which chunk
+ * @return {[object]}         {address, quantity}
+ */
+function chunkOf(request, index) {
+  var max = FUNCTIONS[request.getCode()].max;
+  var offset = index * max;
+
+  return {address: request.getAddress() + offset, quantity: Math.min(max, request.getQuantity() - offset)};
+}
+
+/**
+ * Sends the chunks of a range and joins the responses
+ *
+ * @param  {[object]}   master   the MODBUS master
+ * @param  {[number]}   code     function code
+ * @param  {[number]}   address  first address
+ * @param  {[number]}   quantity number of coils or registers
+ * @param  {[function]} params   returns the arguments for a chunk's
+ *                               request, given {address, quantity} and
+ *                               the offset into the range
+ * @param  {[object]}   options  extra transaction options (unit, timeout...)
+ * @param  {[function]} callback called with (err, response)
+ */
+function run(master, code, address, quantity, params, options, callback) {
+  var max = FUNCTIONS[code].max;
+  var request = new RangeRequest(code, address, quantity, Math.ceil(quantity / max));
+  var results = [];
+  var sent = 0;
+  var received = 0;
+  var failed = false;
+
+  if (address + quantity > 0x10000) {
+    throw new Error('The range ' + address + ' to ' + (address + quantity - 1) + ' goes past the last address (65535)');
+  }
+
+  function send() {
+    var index = sent++;
+    var chunk = chunkOf(request, index);
+
+    master[FUNCTIONS[code].method].apply(
+      master,
+      params(chunk, index * max).concat(
+        Object.assign({}, options, {
+          onDone: function (err, response) {
+            if (failed) {
+              return;
+            }
+
+            if (!err && response.isException()) {
+              err = errors.exceptionError(response);
+            }
+            if (err) {
+              failed = true;
+              err.message = util.format(
+                '%s %d-%d (request %d of %d): %s',
+                FUNCTIONS[code].items.charAt(0).toUpperCase() + FUNCTIONS[code].items.slice(1),
+                chunk.address,
+                chunk.address + chunk.quantity - 1,
+                index + 1,
+                request.requests,
+                err.message,
+              );
+              callback(err, response);
+              return;
+            }
+
+            results[index] = response;
+            received++;
+
+            if (received === request.requests) {
+              callback(null, new RangeResponse(code, request, results));
+            } else if (sent < request.requests) {
+              send();
+            }
+          },
+        }),
+      ),
+    );
+  }
+
+  // keep as many requests waiting as the master allows
+  var concurrent = Math.max(1, master.options.maxConcurrentRequests || 1);
+
+  for (var i = 0; i < concurrent && sent < request.requests; i++) {
+    send();
+  }
+}
+
+/**
+ * Reads a range of coils, discrete inputs or registers
+ *
+ * @param  {[object]}   master   the MODBUS master
+ * @param  {[number]}   code     0x01, 0x02, 0x03 or 0x04
+ * @param  {[number]}   address  first address
+ * @param  {[number]}   quantity number to read
+ * @param  {[object]}   options  extra transaction options (unit, timeout...)
+ * @param  {[function]} callback called with (err, response); if a chunk
+ *                               fails, err says which one
+ */
+function read(master, code, address, quantity, options, callback) {
+  run(master, code, address, quantity, (chunk) => [chunk.address, chunk.quantity], options, callback);
+}
+
+/**
+ * Writes a range of coils or registers
+ *
+ * @param  {[object]}   master   the MODBUS master
+ * @param  {[number]}   code     0x0f or 0x10
+ * @param  {[number]}   address  first address
+ * @param  {[any]}      values   array of coil states, or Buffer of register data
+ * @param  {[object]}   options  extra transaction options (unit, timeout...)
+ * @param  {[function]} callback called with (err, response); if a chunk
+ *                               fails, err says which one
+ */
+function write(master, code, address, values, options, callback) {
+  var size = code === 0x10 ? 2 : 1;
+
+  run(
+    master,
+    code,
+    address,
+    values.length / size,
+    (chunk, offset) => [chunk.address, values.slice(offset * size, (offset + chunk.quantity) * size)],
+    options,
+    callback,
+  );
+}
+
+module.exports = {
+  FUNCTIONS: FUNCTIONS,
+  isSplit: isSplit,
+  read: read,
+  write: write,
+};
@@ -0,0 +1,255 @@
+/**
+ * Register image for the slave simulator ('mb serve')
+ *
+ * The image holds everything the simulated slave can be asked for.  It is
+ * kept in a JSON file, where addresses and ids may be decimal or 0x hex
+ * strings, and anything not listed reads as zero:
+ *
+ *    {
+ *      "unit": 1,
+ *      "slave": {"product": 5, "run": 255, "version": "1.2.3", "serial": 42},
+ *      "identification": {"VendorName": "CSLLC", "ProductCode": "CS-100", "0x80": "A"},
+ *      "coils": {"0": 1, "7": 0},
+ *      "discretes": {"0": 1},
+ *      "holding": {"0": 1234, "0x100": 65535},
+ *      "input": {"10": 7},
+ *      "fifos": {"0": [1, 2, 3]},
+ *      "objects": {"1": [0x12, 0x34]},
+ *      "memory": {"0x400": [1, 2, 3, 4]}
+ *    }
+ *
+ * If unit is left out, the simulator answers every unit ID.  Byte lists
+ * (fifos, objects and memory) may also be given as strings of hex digits.
+ * Identification objects are given by name or id, as text or byte lists;
+ * without any, device identification requests are refused.
+ *
+ */
+'use strict';
+
+var fs = require('fs');
+
+var identification = require('./identification');
+
+// Spaces holding one value per address
+var SPACES = ['coils', 'discretes', 'holding', 'input'];
+
+// Size of the simulated memory
+var MEMORY_SIZE = 0x10000;
+
+/**
+ * Converts a JSON key (decimal or 0x hex) to a number
+ *
+ * @param  {[string]} key   the key
+ * @param  {[string]} where description, for error messages
+ * @return {[number]}       the number
+ */
+function toAddress(key, where) {
+  var address = Number(key);
+
+  if (isNaN(address) || address < 0 || address % 1) {
+    throw new Error('Invalid address in ' + where + ': ' + key);
+  }
+  return address;
+}
+
+/**
+ * Converts a list of bytes, or a string of hex digits, to a Buffer
+ *
+ * @param  {[array]}  value the bytes
+ * @param  {[string]} where description, for error messages
+ * @return {[Buffer]}       the bytes
+ */
+function toBytes(value, where) {
+  if ('string' === typeof value) {
+    var digits = value.replace(/^0x/i, '').replace(/\s+/g, '');
+
+    if (!/^([0-9a-f]{2})*$/i.test(digits)) {
+      throw new Error('Invalid hex data in ' + where);
+    }
+    return Buffer.from(digits, 'hex');
+  }
+  if (!Array.isArray(value) || value.some((byte) => 'number' !== typeof byte || byte < 0 || byte > 255)) {
+    throw new Error('Invalid byte list in ' + where);
+  }
+  return Buffer.from(value);
+}
+
+/**
+ * Creates an image from its JSON form
+ *
+ * @param  {[object]} json contents of an image file (optional)
+ * @return {[object]}      the image
+ */
+function create(json) {
+  json = json || {};
+
+  var slave = json.slave || {};
+  var image = {
+    unit: json.unit,
+    slave: {
+      product: slave.product || 0,
+      run: 'undefined' === typeof slave.run ? 0xff : slave.run,
+      version: slave.version || '0.0.0',
+      serial: slave.serial,
+    },
+    identification: {},
+    fifos: {},
+    objects: {},
+    memory: Buffer.alloc(MEMORY_SIZE),
+  };
+
+  SPACES.forEach(function (space) {
+    var values = json[space] || {};
+
+    image[space] = {};
+    Object.keys(values).forEach(function (key) {
+      var value = Number(values[key]);
+      var max = space === 'holding' || space === 'input' ? 0xffff : 1;
+
+      if (isNaN(value) || value < 0 || value > max) {
+        throw new Error('Invalid value in ' + space + ' at ' + key + ': ' + values[key]);
+      }
+      image[space][toAddress(key, space)] = value;
+    });
+  });
+
+  Object.keys(json.identification || {}).forEach(function (key) {
+    var id = identification.objectId(key);
+    var value = json.identification[key];
+
+    if ('undefined' === typeof id) {
+      throw new Error('Invalid identification object: ' + key);
+    }
+    value = 'string' === typeof value ? Buffer.from(value, 'latin1') : toBytes(value, 'identification');
+
+    // the object must fit in a response on its own
+    if (value.length > 244) {
+      throw new Error('Identification object ' + key + ' is longer than 244 bytes');
+    }
+    image.identification[id] = value;
+  });
+
+  Object.keys(json.fifos || {}).forEach(function (key) {
+    image.fifos[toAddress(key, 'fifos')] = Array.from(toBytes(json.fifos[key], 'fifos'));
+  });
+
+  Object.keys(json.objects || {}).forEach(function (key) {
+    image.objects[toAddress(key, 'objects')] = toBytes(json.objects[key], 'objects');
+  });
+
+  Object.keys(json.memory || {}).forEach(function (key) {
+    var address = toAddress(key, 'memory');
+    var data = toBytes(json.memory[key], 'memory');
+
+    if (address + data.length > MEMORY_SIZE) {
+      throw new Error('Memory at ' + key + ' is outside the 64k address space');
+    }
+    data.copy(image.memory, address);
+  });
+
+  return image;
+}
+
+/**
+ * Converts an image to its JSON form
+ *
+ * Memory is saved as blocks of non-zero data, in hex; short runs of zeros
+ * within a block are kept, so the file stays readable.
+ *
+ * @param  {[object]} image the image
+ * @return {[object]}       JSON-ready object
+ */
+function toJSON(image) {
+  var json = {};
+
+  if ('undefined' !== typeof image.unit) {
+    json.unit = image.unit;
+  }
+  json.slave = Object.assign({}, image.slave);
+
+  SPACES.forEach(function (space) {
+    json[space] = Object.assign({}, image[space]);
+  });
+
+  json.identification = {};
+  Object.keys(image.identification).forEach(function (id) {
+    var value = image.identification[id];
+    var text = identification.objectText(value);
+
+    // values that are not text are kept as byte lists
+    json.identification[identification.objectName(Number(id))] =
+      text === value.toString('latin1') ? text : Array.from(value);
+  });
+
+  json.fifos = {};
+  Object.keys(image.fifos).forEach(function (id) {
+    json.fifos[id] = image.fifos[id].slice();
+  });
+
+  json.objects = {};
+  Object.keys(image.objects).forEach(function (id) {
+    json.objects[id] = Array.from(image.objects[id]);
+  });
+
+  json.memory = {};
+  for (var start = 0; start < image.memory.length; start++) {
+    if (image.memory[start] === 0) {
+      continue;
+    }
+
+    // extend the block until 16 zeros in a row
+    var end = start;
+
+    for (var i = start; i < image.memory.length && i - end <= 16; i++) {
+      if (image.memory[i] !== 0) {
+        end = i;
+      }
+    }
+
+    json.memory['0x' + start.toString(16)] = image.memory.slice(start, end + 1).toString('hex');
+    start = end;
+  }
+
+  return json;
+}
+
+/**
+ * Reads an image file
+ *
+ * @param  {[string]} filename name of the file
+ * @return {[object]}          the image
+ */
+function load(filename) {
+  var json;
+
+  try {
+    json = JSON.parse(fs.readFileSync(filename, 'utf8'));
+  } catch (err) {
+    throw new Error('Unable to read register image ' + filename + ': ' + err.message);
+  }
+  return create(json);
+}
+
+/**
+ * Writes an image file
+ *
+ * @param  {[string]} filename name of the file
+ * @param  {[object]} image    the image
+ * @return {[string]}          the text written
+ */
+function save(filename, image) {
+  var text = JSON.stringify(toJSON(image), null, 2) + '\n';
+
+  fs.writeFileSync(filename, text);
+  return text;
+}
+
+module.exports = {
+  MEMORY_SIZE: MEMORY_SIZE,
+  toAddress: toAddress,
+  toBytes: toBytes,
+  create: create,
+  toJSON: toJSON,
+  load: load,
+  save: save,
+};
@@ -0,0 +1,226 @@
+/**
+ * Loads script files for the 'mb run' action
+ *
+ * A script is a sequence of steps that are executed one after another
+ * over a single connection.  Two file formats are accepted:
+ *
+ * Text (any file not ending in .json), one step per line:
+ *
+ *    # comments start with # or //
+ *    read slave
+ *    write memory 0x400 0x55 0xAA
+ *    delay 500
+ *    read holding 0 10
+ *
+ * JSON, either an array of steps or an object with a 'steps' array.  Each
+ * step is a line of text as above, or an object:
+ *
+ *    { "action": "read", "type": "holding", "args": [0, 10] }
+ *    { "action": "command", "args": [1, 0x55] }
+ *    { "delay": 500 }
+ *    { "comment": "anything" }
+ *
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var parseArgs = require('./args').parse;
+
+// actions that may be used in a script step
+var ACTIONS = ['read', 'write', 'writeverify', 'maskwrite', 'readwrite', 'diag', 'command', 'generic'];
+
+/**
+ * Splits a line into words, honoring single and double quotes
+ *
+ * Quoted words keep their quotes, so that values can be given as text
+ * (eg write holding 0 "abc"; see values.js).  parseWords() removes them
+ * from option values.
+ *
+ * @param  {[string]} line text to split
+ * @return {[array]}       array of words
+ */
+function tokenize(line) {
+  var words = [];
+  var re = /"(?:[^"\\]|\\.)*"|'[^']*'|\S+/g;
+  var match;
+
+  while ((match = re.exec(line)) !== null) {
+    words.push(match[0]);
+  }
+
+  return words;
+}
+
+/**
+ * Removes the quotes around a word, if it has them
+ *
+ * @param  {[any]} word the word
+ * @return {[any]}      the word without quotes
+ */
+function unquote(word) {
+  var quote = 'string' === typeof word ? word.charAt(0) : '';
+
+  if (word.length > 1 && (quote === '"' || quote === "'") && word.charAt(word.length - 1) === quote) {
+    return word.slice(1, -1);
+  }
+  return word;
+}
+
+/**
+ * Parses the words of a step (or shell command) like the command line
+ *
+ * Quotes are removed from option values (eg --log "my file.log"), but
+ * kept on positional arguments, which may be text values.
+ *
+ * @param  {[array]}  words from tokenize()
+ * @return {[object]}       parsed arguments; positional ones in '_'
+ */
+function parseWords(words) {
+  var argv = parseArgs(words.map(String));
+
+  Object.keys(argv).forEach(function (key) {
+    if (key !== '_') {
+      argv[key] = unquote(argv[key]);
+    }
+  });
+
+  return argv;
+}
+
+/**
+ * Creates a delay step
+ *
+ * @param  {[any]}    ms    delay in milliseconds
+ * @param  {[string]} where location used in error messages
+ * @return {[object]}       the step
+ */
+function delayStep(ms, where) {
+  var delay = Number(ms);
+
+  if (!isFinite(delay) || delay < 0) {
+    throw new Error(where + ': invalid delay ' + ms);
+  }
+
+  return {delay: delay, text: 'delay ' + delay};
+}
+
+/**
+ * Creates an action step from a list of words
+ *
+ * The words are parsed the same way as the command line, so numbers
+ * are converted and --options may be included.
+ *
+ * @param  {[array]}  words action, type and arguments
+ * @param  {[string]} where location used in error messages
+ * @return {[object]}       the step
+ */
+function actionStep(words, where) {
+  var argv = parseWords(words);
+
+  if (ACTIONS.indexOf(argv._[0]) < 0) {
+    throw new Error(where + ': unknown action ' + argv._[0]);
+  }
+
+  return {argv: argv, text: words.join(' ')};
+}
+
+/**
+ * Parses the contents of a text script
+ *
+ * @param  {[string]} text     script contents
+ * @param  {[string]} filename used in error messages
+ * @return {[array]}           array of steps
+ */
+function parseText(text, filename) {
+  var steps = [];
+
+  text.split(/\r?\n/).forEach(function (line, index) {
+    var where = filename + ':' + (index + 1);
+
+    line = line.trim();
+
+    if (line === '' || line.charAt(0) === '#' || line.substring(0, 2) === '//') {
+      return;
+    }
+
+    var words = tokenize(line);
+
+    if (['delay', 'sleep', 'wait'].indexOf(words[0]) > -1) {
+      steps.push(delayStep(words[1], where));
+    } else {
+      steps.push(actionStep(words, where));
+    }
+  });
+
+  return steps;
+}
+
+/**
+ * Parses the contents of a JSON script
+ *
+ * @param  {[string]} text     script contents
+ * @param  {[string]} filename used in error messages
+ * @return {[array]}           array of steps
+ */
+function parseJson(text, filename) {
+  var doc = JSON.parse(text);
+  var list = Array.isArray(doc) ? doc : doc.steps;
+
+  if (!Array.isArray(list)) {
+    throw new Error(filename + ': expected an array of steps');
+  }
+
+  var steps = [];
+
+  list.forEach(function (item, index) {
+    var where = filename + ' step ' + (index + 1);
+
+    if ('string' === typeof item) {
+      steps = steps.concat(parseText(item, where));
+    } else if (item && 'undefined' !== typeof item.delay) {
+      steps.push(delayStep(item.delay, where));
+    } else if (item && item.action) {
+      var words = [item.action];
+
+      if (item.type) {
+        words.push(item.type);
+      }
+      steps.push(actionStep(words.concat(item.args || []), where));
+    } else if (!item || 'undefined' === typeof item.comment) {
+      throw new Error(where + ': step must have an action, delay or comment');
+    }
+  });
+
+  return steps;
+}
+
+/**
+ * Reads and parses a script file
+ *
+ * @param  {[string]} filename path to the script
+ * @return {[object]}          the script, with a 'steps' array
+ * @throws {Error}             if the file cannot be read or parsed
+ */
+function load(filename) {
+  var text = fs.readFileSync(filename, 'utf8');
+  var steps;
+
+  if (path.extname(filename).toLowerCase() === '.json') {
+    steps = parseJson(text, filename);
+  } else {
+    steps = parseText(text, filename);
+  }
+
+  return {filename: filename, steps: steps};
+}
+
+module.exports = {
+  ACTIONS: ACTIONS,
+  tokenize: tokenize,
+  unquote: unquote,
+  parseWords: parseWords,
+  parseText: parseText,
+  parseJson: parseJson,
+  load: load,
+};
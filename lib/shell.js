@@ -0,0 +1,248 @@
+/**
+ * Interactive command shell for the 'mb shell' action
+ *
+ * Reads commands from the terminal and executes them over the already
+ * open connection.  Commands use the same syntax as the command line
+ * (eg 'read holding 0 10'), plus a few shell-only commands that change
+ * session settings without reconnecting.
+ *
+ */
+'use strict';
+
+var fs = require('fs');
+var readline = require('readline');
+var chalk = require('chalk');
+
+var script = require('./script');
+var errors = require('./errors');
+
+// commands handled by the shell itself, rather than sent to the slave
+var SHELL_COMMANDS = ['slave', 'unit', 'timeout', 'help', 'exit', 'quit'];
+
+// maximum number of history lines kept in the history file
+var HISTORY_SIZE = 500;
+
+/**
+ * Reads the history file, most recent command first
+ *
+ * @param  {[string]} filename history file
+ * @return {[array]}           array of lines
+ */
+function loadHistory(filename) {
+  try {
+    return fs.readFileSync(filename, 'utf8').split(/\r?\n/).filter(Boolean).reverse();
+  } catch (ignore) {
+    return [];
+  }
+}
+
+/**
+ * Writes the history file, oldest command first
+ *
+ * @param  {[string]} filename history file
+ * @param  {[array]}  history  lines, most recent first
+ */
+function saveHistory(filename, history) {
+  try {
+    fs.writeFileSync(filename, history.slice(0, HISTORY_SIZE).reverse().join('\n') + '\n');
+  } catch (ignore) {
+    // history is a convenience; never fail because of it
+  }
+}
+
+/**
+ * Prints the shell help text
+ *
+ * @param  {[object]} actions map of action to list of types
+ */
+function printHelp(actions) {
+  console.info('Commands:');
+  Object.keys(actions).forEach(function (action) {
+    var types = actions[action];
+
+    console.info('  ' + chalk.bold(action) + (types.length ? ' ' + types.join('|') : '') + ' [...]');
+  });
+  console.info('  ' + chalk.bold('slave') + ' [id]       Show or change the slave ID');
+  console.info('  ' + chalk.bold('timeout') + ' [ms]     Show or change the response timeout');
+  console.info('  ' + chalk.bold('help') + '             This help output');
+  console.info('  ' + chalk.bold('exit') + '             Close the connection and exit');
+}
+
+/**
+ * Creates a readline completer for actions and their types
+ *
+ * @param  {[object]}   actions map of action to list of types
+ * @return {[function]}         completer function
+ */
+function createCompleter(actions) {
+  return function (line) {
+    var words = line.split(/\s+/);
+    var candidates;
+
+    if (words.length <= 1) {
+      candidates = Object.keys(actions).concat(SHELL_COMMANDS);
+    } else if (words.length === 2 && actions[words[0]]) {
+      candidates = actions[words[0]];
+    } else {
+      return [[], line];
+    }
+
+    var partial = words[words.length - 1];
+    var hits = candidates.filter((c) => c.indexOf(partial) === 0);
+
+    return [hits.map((hit) => hit + ' '), partial];
+  };
+}
+
+/**
+ * Starts the shell
+ *
+ * @param  {[object]}   options
+ * @param  {[object]}   options.actions     map of action to list of types
+ * @param  {[object]}   options.session     settings that commands may change
+ *                                          (unit, timeout)
+ * @param  {[function]} options.execute     called with (argv, session,
+ *                                          callback) to perform an action
+ * @param  {[string]}   options.historyFile where history is kept
+ * @param  {[function]} options.describe    optional; formats a response
+ * @param  {[function]} options.onClose     called when the user exits
+ * @return {[object]}                       the readline interface
+ */
+function start(options) {
+  var session = options.session;
+
+  var rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    completer: createCompleter(options.actions),
+    historySize: HISTORY_SIZE,
+  });
+
+  if (options.historyFile) {
+    rl.history = loadHistory(options.historyFile);
+  }
+
+  // lines typed (or piped) while a transaction is in progress wait here
+  var pending = [];
+  var busy = false;
+  var closed = false;
+
+  function prompt() {
+    rl.setPrompt('mb:' + session.unit + '> ');
+    rl.prompt();
+  }
+
+  // change a numeric session setting, or show it if no value was given
+  function setting(name, value, min, max) {
+    if ('undefined' !== typeof value) {
+      if ('number' !== typeof value || value < min || value > max) {
+        console.error(chalk.red('Invalid ' + name + ': ' + value));
+        return;
+      }
+      session[name] = value;
+    }
+    console.info(name + ': ' + session[name]);
+  }
+
+  function next() {
+    if (busy) {
+      return;
+    }
+
+    if (pending.length > 0) {
+      handle(pending.shift());
+    } else if (closed) {
+      if (options.historyFile && rl.history.length > 0) {
+        saveHistory(options.historyFile, rl.history);
+      }
+      options.onClose();
+    } else {
+      prompt();
+    }
+  }
+
+  function handle(line) {
+    var argv = script.parseWords(script.tokenize(line.trim()));
+    var words = argv._;
+
+    switch (words[0]) {
+      case undefined:
+        break;
+
+      case 'exit':
+      case 'quit':
+        pending = [];
+        closed = true;
+        rl.close();
+        break;
+
+      case 'help':
+      case '?':
+        printHelp(options.actions);
+        break;
+
+      case 'slave':
+      case 'unit':
+        setting('unit', words[1], 0, 255);
+        break;
+
+      case 'timeout':
+        setting('timeout', words[1], 1, 3600000);
+        break;
+
+      default:
+        if (!options.actions[words[0]]) {
+          console.error(chalk.red('Unknown command: ' + words[0] + " (type 'help' for a list)"));
+          break;
+        }
+
+        // wait for the transaction before going on to the next command.  An
+        // action that calls back before returning (eg a usage error) is
+        // followed by the next() below, so must not take a line itself
+        var returned = false;
+
+        busy = true;
+        try {
+          options.execute(argv, session, function (err, response) {
+            if (err) {
+              console.error(chalk.red(err.message));
+            } else if (response.isException()) {
+              console.error(chalk.red(errors.describeException(response)));
+            } else {
+              console.info(options.describe ? options.describe(response) : response.toString());
+            }
+            busy = false;
+            if (returned) {
+              next();
+            }
+          });
+        } catch (err) {
+          console.error(chalk.red(err.message));
+          busy = false;
+        }
+        returned = true;
+        break;
+    }
+
+    next();
+  }
+
+  rl.on('line', function (line) {
+    pending.push(line);
+    next();
+  });
+
+  rl.on('close', function () {
+    closed = true;
+    next();
+  });
+
+  console.info("Connected. Type 'help' for a list of commands, 'exit' to quit.");
+  next();
+
+  return rl;
+}
+
+module.exports = {
+  start: start,
+};
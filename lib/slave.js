@@ -0,0 +1,694 @@
+/**
+ * MODBUS slave simulator ('mb serve')
+ *
+ * Answers requests from a register image (see registers.js) over a TCP or
+ * UDP socket, or a serial port.  Frames use the ip (MBAP), rtu or ascii
+ * transport, as for the master.
+ *
+ */
+'use strict';
+
+var net = require('net');
+var dgram = require('dgram');
+
+var crc = require('./crc');
+var MEMORY_SIZE = require('./registers').MEMORY_SIZE;
+
+// MODBUS exception codes
+var ILLEGAL_FUNCTION = 1;
+var ILLEGAL_DATA_ADDRESS = 2;
+var ILLEGAL_DATA_VALUE = 3;
+
+// Largest response PDU
+var MAX_PDU = 253;
+
+// Counters returned by Diagnostics sub-functions 0x0B to 0x12
+var COUNTERS = ['busMessages', 'busErrors', 'exceptions', 'slaveMessages', 'noResponses', 'naks', 'busy', 'overruns'];
+
+// Most events kept in the comm event log
+var MAX_EVENTS = 64;
+
+// Last object id of each device identification category (by read code)
+var IDENTIFICATION_LAST = {1: 0x02, 2: 0x7f, 3: 0xff};
+
+/**
+ * Builds an exception response
+ *
+ * @param  {[number]} code function code of the request
+ * @param  {[number]} exc  exception code
+ * @return {[Buffer]}      the response PDU
+ */
+function exception(code, exc) {
+  return Buffer.from([code | 0x80, exc]);
+}
+
+/**
+ * Reads a range of coils or discrete inputs into a response
+ *
+ * @param  {[object]} values   the space, by address
+ * @param  {[number]} code     function code
+ * @param  {[Buffer]} pdu      the request
+ * @return {[Buffer]}          the response
+ */
+function readBits(values, code, pdu) {
+  var address = pdu.readUInt16BE(1);
+  var quantity = pdu.readUInt16BE(3);
+
+  if (quantity < 1 || quantity > 2000) {
+    return exception(code, ILLEGAL_DATA_VALUE);
+  }
+  if (address + quantity > 0x10000) {
+    return exception(code, ILLEGAL_DATA_ADDRESS);
+  }
+
+  var data = Buffer.alloc(Math.ceil(quantity / 8));
+
+  for (var i = 0; i < quantity; i++) {
+    if (values[address + i]) {
+      data[i >> 3] |= 1 << (i & 7);
+    }
+  }
+
+  return Buffer.concat([Buffer.from([code, data.length]), data]);
+}
+
+/**
+ * Reads a range of holding or input registers into a response
+ *
+ * @param  {[object]} values   the space, by address
+ * @param  {[number]} code     function code
+ * @param  {[Buffer]} pdu      the request
+ * @return {[Buffer]}          the response
+ */
+function readRegisters(values, code, pdu) {
+  var address = pdu.readUInt16BE(1);
+  var quantity = pdu.readUInt16BE(3);
+
+  if (quantity < 1 || quantity > 125) {
+    return exception(code, ILLEGAL_DATA_VALUE);
+  }
+  if (address + quantity > 0x10000) {
+    return exception(code, ILLEGAL_DATA_ADDRESS);
+  }
+
+  var data = Buffer.alloc(quantity * 2);
+
+  for (var i = 0; i < quantity; i++) {
+    data.writeUInt16BE(values[address + i] || 0, i * 2);
+  }
+
+  return Buffer.concat([Buffer.from([code, data.length]), data]);
+}
+
+/**
+ * Creates the diagnostic counters and comm event log
+ *
+ * @return {[object]} the counters
+ */
+function createCounters() {
+  var counters = {events: 0, log: []};
+
+  COUNTERS.forEach((name) => (counters[name] = 0));
+  return counters;
+}
+
+/**
+ * Adds an entry to the comm event log, most recent first
+ *
+ * @param  {[object]} counters the counters
+ * @param  {[number]} event    the event byte
+ */
+function logEvent(counters, event) {
+  counters.log.unshift(event);
+  counters.log.splice(MAX_EVENTS);
+}
+
+/**
+ * Answers a Diagnostics request
+ *
+ * @param  {[object]} counters the counters
+ * @param  {[Buffer]} pdu      the request
+ * @return {[Buffer]}          the response
+ */
+function diagnose(counters, pdu) {
+  var code = pdu[0];
+  var subFunction = pdu.readUInt16BE(1);
+  var response = Buffer.from(pdu.slice(0, 5));
+
+  function clear() {
+    counters.events = 0;
+    COUNTERS.forEach((name) => (counters[name] = 0));
+  }
+
+  if (subFunction >= 0x0b && subFunction <= 0x12) {
+    response.writeUInt16BE(counters[COUNTERS[subFunction - 0x0b]] & 0xffff, 3);
+    return response;
+  }
+
+  switch (subFunction) {
+    case 0x00:
+      return Buffer.from(pdu);
+
+    case 0x01:
+      if (pdu.readUInt16BE(3) === 0xff00) {
+        counters.log = [];
+      }
+      clear();
+      logEvent(counters, 0x00);
+      return response;
+
+    case 0x02:
+      response.writeUInt16BE(0, 3);
+      return response;
+
+    case 0x0a:
+      clear();
+      return response;
+
+    case 0x14:
+      counters.overruns = 0;
+      return response;
+
+    default:
+      return exception(code, ILLEGAL_FUNCTION);
+  }
+}
+
+/**
+ * Reads device identification objects into a response
+ *
+ * Objects that do not fit in one response are left for the master to ask
+ * for, by setting 'more follows'.
+ *
+ * @param  {[object]} objects  identification objects, by id
+ * @param  {[Buffer]} pdu      the request
+ * @return {[Buffer]}          the response
+ */
+function readIdentification(objects, pdu) {
+  var code = pdu[0];
+  var readCode = pdu[2];
+  var ids = Object.keys(objects)
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  if (pdu[1] !== 0x0e || !ids.length) {
+    return exception(code, ILLEGAL_FUNCTION);
+  }
+  if (readCode < 1 || readCode > 4) {
+    return exception(code, ILLEGAL_DATA_VALUE);
+  }
+
+  var last = ids[ids.length - 1];
+  var conformity = 0x80 | (last > 0x7f ? 3 : last > 0x02 ? 2 : 1);
+  var first = pdu[3];
+
+  if (readCode === 4) {
+    if (!objects[first]) {
+      return exception(code, ILLEGAL_DATA_ADDRESS);
+    }
+    ids = [first];
+  } else {
+    // an unknown starting object reads the category from the start
+    if (!objects[first] || first > IDENTIFICATION_LAST[readCode]) {
+      first = 0;
+    }
+    ids = ids.filter((id) => id >= first && id <= IDENTIFICATION_LAST[readCode]);
+  }
+
+  var parts = [];
+  var length = 7;
+  var next = 0;
+
+  for (var i = 0; i < ids.length; i++) {
+    var value = objects[ids[i]];
+
+    if (length + 2 + value.length > MAX_PDU && parts.length) {
+      next = ids[i];
+      break;
+    }
+    parts.push(Buffer.from([ids[i], value.length]), value);
+    length += 2 + value.length;
+  }
+
+  return Buffer.concat(
+    [Buffer.from([code, 0x0e, readCode, conformity, next ? 0xff : 0, next, parts.length / 2])].concat(parts),
+  );
+}
+
+/**
+ * Answers a request from the image
+ *
+ * Writes change the image; the caller is told through onChange.
+ * Diagnostics and the comm event counter and log are only answered if
+ * counters (from createCounters) are given.
+ *
+ * @param  {[object]}   image    the register image
+ * @param  {[Buffer]}   pdu      the request PDU
+ * @param  {[function]} onChange optional; called when the image is changed
+ * @param  {[object]}   counters optional; diagnostic counters
+ * @return {[Buffer]}            the response PDU
+ */
+function handle(image, pdu, onChange, counters) {
+  var code = pdu[0];
+  var address;
+  var quantity;
+  var i;
+
+  // requests too short for their function code are malformed
+  var minimum = {
+    1: 5,
+    2: 5,
+    3: 5,
+    4: 5,
+    5: 5,
+    6: 5,
+    8: 5,
+    15: 6,
+    16: 6,
+    0x16: 7,
+    0x17: 10,
+    0x2b: 4,
+    0x41: 3,
+    0x42: 3,
+    0x43: 2,
+    0x44: 3,
+    0x45: 4,
+    0x46: 4,
+    0x64: 4,
+  };
+
+  if (pdu.length < (minimum[code] || 1)) {
+    return exception(code, ILLEGAL_DATA_VALUE);
+  }
+
+  function changed() {
+    if (onChange) {
+      onChange();
+    }
+  }
+
+  switch (code) {
+    case 0x01:
+      return readBits(image.coils, code, pdu);
+
+    case 0x02:
+      return readBits(image.discretes, code, pdu);
+
+    case 0x03:
+      return readRegisters(image.holding, code, pdu);
+
+    case 0x04:
+      return readRegisters(image.input, code, pdu);
+
+    case 0x05: {
+      var state = pdu.readUInt16BE(3);
+
+      if (state !== 0xff00 && state !== 0x0000) {
+        return exception(code, ILLEGAL_DATA_VALUE);
+      }
+      image.coils[pdu.readUInt16BE(1)] = state ? 1 : 0;
+      changed();
+      return pdu.slice(0, 5);
+    }
+
+    case 0x06:
+      image.holding[pdu.readUInt16BE(1)] = pdu.readUInt16BE(3);
+      changed();
+      return pdu.slice(0, 5);
+
+    case 0x08:
+      return counters ? diagnose(counters, pdu) : exception(code, ILLEGAL_FUNCTION);
+
+    case 0x0b: {
+      if (!counters) {
+        return exception(code, ILLEGAL_FUNCTION);
+      }
+
+      var counter = Buffer.alloc(5);
+
+      counter[0] = code;
+      counter.writeUInt16BE(counters.events & 0xffff, 3);
+      return counter;
+    }
+
+    case 0x0c: {
+      if (!counters) {
+        return exception(code, ILLEGAL_FUNCTION);
+      }
+
+      var log = Buffer.alloc(8);
+
+      log[0] = code;
+      log[1] = 6 + counters.log.length;
+      log.writeUInt16BE(counters.events & 0xffff, 4);
+      log.writeUInt16BE(counters.busMessages & 0xffff, 6);
+      return Buffer.concat([log, Buffer.from(counters.log)]);
+    }
+
+    case 0x0f:
+      address = pdu.readUInt16BE(1);
+      quantity = pdu.readUInt16BE(3);
+
+      if (quantity < 1 || quantity > 0x7b0 || pdu.length < 6 + Math.ceil(quantity / 8)) {
+        return exception(code, ILLEGAL_DATA_VALUE);
+      }
+      for (i = 0; i < quantity; i++) {
+        image.coils[address + i] = pdu[6 + (i >> 3)] & (1 << (i & 7)) ? 1 : 0;
+      }
+      changed();
+      return pdu.slice(0, 5);
+
+    case 0x10:
+      address = pdu.readUInt16BE(1);
+      quantity = pdu.readUInt16BE(3);
+
+      if (quantity < 1 || quantity > 0x7b || pdu.length < 6 + quantity * 2) {
+        return exception(code, ILLEGAL_DATA_VALUE);
+      }
+      for (i = 0; i < quantity; i++) {
+        image.holding[address + i] = pdu.readUInt16BE(6 + i * 2);
+      }
+      changed();
+      return pdu.slice(0, 5);
+
+    case 0x16: {
+      address = pdu.readUInt16BE(1);
+
+      var value = image.holding[address] || 0;
+      var and = pdu.readUInt16BE(3);
+
+      image.holding[address] = (value & and) | (pdu.readUInt16BE(5) & ~and & 0xffff);
+      changed();
+      return pdu.slice(0, 7);
+    }
+
+    case 0x17: {
+      quantity = pdu.readUInt16BE(7);
+
+      if (quantity < 1 || quantity > 0x79 || pdu.length < 10 + quantity * 2) {
+        return exception(code, ILLEGAL_DATA_VALUE);
+      }
+
+      // the write is done before the read
+      address = pdu.readUInt16BE(5);
+      for (i = 0; i < quantity; i++) {
+        image.holding[address + i] = pdu.readUInt16BE(10 + i * 2);
+      }
+      changed();
+
+      // the read quantity and address are where FC3 has them
+      return readRegisters(image.holding, code, pdu);
+    }
+
+    case 0x11: {
+      var slave = image.slave;
+      var version = String(slave.version)
+        .split('.')
+        .concat([0, 0, 0])
+        .slice(0, 3)
+        .map((part) => Number(part) & 0xff);
+      var values = Buffer.alloc(0);
+
+      if ('undefined' !== typeof slave.serial) {
+        values = Buffer.alloc(4);
+        values.writeUInt32BE(slave.serial >>> 0, 0);
+      }
+
+      return Buffer.concat([
+        Buffer.from([code, 5 + values.length, slave.product & 0xff, slave.run & 0xff].concat(version)),
+        values,
+      ]);
+    }
+
+    case 0x2b:
+      return readIdentification(image.identification, pdu);
+
+    case 0x41: {
+      var fifo = image.fifos[pdu[1]] || [];
+      var taken = fifo.splice(0, pdu[2]);
+
+      if (taken.length) {
+        changed();
+      }
+      return Buffer.concat([Buffer.from([code, fifo.length ? 1 : 0, taken.length]), Buffer.from(taken)]);
+    }
+
+    case 0x42: {
+      var added = Array.from(pdu.slice(3, 3 + pdu[2]));
+
+      image.fifos[pdu[1]] = (image.fifos[pdu[1]] || []).concat(added);
+      changed();
+      return Buffer.from([code, added.length]);
+    }
+
+    case 0x43: {
+      var object = image.objects[pdu[1]];
+
+      if (!object) {
+        return exception(code, ILLEGAL_DATA_ADDRESS);
+      }
+      return Buffer.concat([Buffer.from([code, object.length]), object]);
+    }
+
+    case 0x44:
+      image.objects[pdu[1]] = Buffer.from(pdu.slice(3, 3 + pdu[2]));
+      changed();
+      return Buffer.from([code, 0]);
+
+    case 0x45:
+      address = pdu.readUInt16BE(1);
+
+      if (address + pdu[3] > MEMORY_SIZE) {
+        return exception(code, ILLEGAL_DATA_ADDRESS);
+      }
+      return Buffer.concat([Buffer.from([code]), image.memory.slice(address, address + pdu[3])]);
+
+    case 0x46:
+    case 0x64:
+      address = pdu.readUInt16BE(1);
+
+      if (address + pdu.length - 3 > MEMORY_SIZE) {
+        return exception(code, ILLEGAL_DATA_ADDRESS);
+      }
+      pdu.copy(image.memory, address, 3);
+      changed();
+      return Buffer.from([code, 0]);
+
+    default:
+      return exception(code, ILLEGAL_FUNCTION);
+  }
+}
+
+/**
+ * Creates a framer, which splits received data into requests and wraps
+ * responses for a transport
+ *
+ * The returned function is called with received data; complete requests
+ * are passed to onRequest(unit, pdu, reply), where reply(pdu) sends the
+ * response.
+ *
+ * @param  {[string]}   transport  'ip', 'rtu' or 'ascii'
+ * @param  {[function]} write      sends a frame
+ * @param  {[function]} onRequest  called for each request
+ * @param  {[number]}   eofTimeout silence (ms) that ends an RTU frame
+ * @return {[function]}            called with each chunk of received data
+ */
+function framer(transport, write, onRequest, eofTimeout) {
+  var buffer = Buffer.alloc(0);
+  var timer = null;
+
+  if (transport === 'ip') {
+    return function (data) {
+      buffer = Buffer.concat([buffer, data]);
+
+      while (buffer.length >= 7 && buffer.length >= 6 + buffer.readUInt16BE(4)) {
+        var frame = buffer.slice(0, 6 + buffer.readUInt16BE(4));
+
+        buffer = buffer.slice(frame.length);
+
+        onRequest(frame[6], frame.slice(7), function (pdu) {
+          var header = Buffer.alloc(7);
+
+          frame.copy(header, 0, 0, 4);
+          header.writeUInt16BE(pdu.length + 1, 4);
+          header[6] = frame[6];
+          write(Buffer.concat([header, pdu]));
+        });
+      }
+    };
+  }
+
+  if (transport === 'rtu') {
+    // an RTU frame ends when the line goes quiet
+    return function (data) {
+      buffer = Buffer.concat([buffer, data]);
+      clearTimeout(timer);
+
+      timer = setTimeout(function () {
+        var frame = buffer;
+
+        buffer = Buffer.alloc(0);
+
+        if (frame.length < 4 || crc.crc16(frame.slice(0, -2)) !== frame.readUInt16LE(frame.length - 2)) {
+          return;
+        }
+
+        onRequest(frame[0], frame.slice(1, -2), function (pdu) {
+          var adu = Buffer.concat([Buffer.from([frame[0]]), pdu, Buffer.alloc(2)]);
+
+          adu.writeUInt16LE(crc.crc16(adu.slice(0, -2)), adu.length - 2);
+          write(adu);
+        });
+      }, eofTimeout || 40);
+    };
+  }
+
+  if (transport === 'ascii') {
+    return function (data) {
+      buffer = Buffer.concat([buffer, data]);
+
+      var end;
+
+      while ((end = buffer.indexOf('\r\n')) > -1) {
+        var line = buffer.slice(0, end).toString('ascii');
+        var start = line.indexOf(':');
+
+        buffer = buffer.slice(end + 2);
+
+        if (start < 0 || !/^([0-9a-f]{2}){3,}$/i.test(line.substring(start + 1))) {
+          continue;
+        }
+
+        var frame = Buffer.from(line.substring(start + 1), 'hex');
+
+        if (crc.lrc(frame.slice(0, -1)) !== frame[frame.length - 1]) {
+          continue;
+        }
+
+        onRequest(frame[0], frame.slice(1, -1), function (pdu) {
+          var adu = Buffer.concat([Buffer.from([frame[0]]), pdu]);
+
+          adu = Buffer.concat([adu, Buffer.from([crc.lrc(adu)])]);
+          write(Buffer.from(':' + adu.toString('hex').toUpperCase() + '\r\n', 'ascii'));
+        });
+      }
+    };
+  }
+
+  throw new Error('The simulator does not support the ' + transport + ' transport (use ip, rtu or ascii)');
+}
+
+/**
+ * Starts the simulator
+ *
+ * @param  {[object]}   options
+ * @param  {[object]}   options.image      the register image
+ * @param  {[string]}   options.connection 'tcp', 'udp' or 'serial'
+ * @param  {[string]}   options.transport  'ip', 'rtu' or 'ascii'
+ * @param  {[string]}   options.host       address to listen on (tcp/udp)
+ * @param  {[number]}   options.port       port to listen on (tcp/udp)
+ * @param  {[object]}   options.serialPort an open serial port (serial)
+ * @param  {[number]}   options.eofTimeout end of frame silence for rtu
+ * @param  {[function]} options.onListening optional; called when ready
+ * @param  {[function]} options.onRequest  optional; called with (unit,
+ *                                         request, response) for each
+ *                                         request answered
+ * @param  {[function]} options.onChange   optional; called when a request
+ *                                         changes the image
+ * @param  {[function]} options.onError    called with socket errors
+ * @return {[object]}                      the server, socket or port
+ */
+function serve(options) {
+  // answer requests for our unit (or any unit, if none is set); unit 0 is
+  // a broadcast, which is carried out but not answered
+  var counters = createCounters();
+
+  function request(unit, pdu, reply) {
+    var image = options.image;
+
+    counters.busMessages++;
+
+    if ('undefined' !== typeof image.unit && unit !== image.unit && unit !== 0) {
+      return;
+    }
+
+    var answered = unit !== 0 || options.transport === 'ip';
+
+    counters.slaveMessages++;
+    logEvent(counters, unit === 0 ? 0xc0 : 0x80);
+
+    var response = handle(image, pdu, options.onChange, counters);
+
+    if (response[0] & 0x80) {
+      counters.exceptions++;
+      if (answered) {
+        logEvent(counters, 0x40 | ({1: 1, 2: 1, 3: 1, 4: 2, 5: 4, 6: 4, 7: 8}[response[1]] || 0));
+      }
+    } else {
+      // the event counter leaves out requests for itself
+      if (pdu[0] !== 0x0b) {
+        counters.events++;
+      }
+      if (answered) {
+        logEvent(counters, 0x40);
+      }
+    }
+
+    if (options.onRequest) {
+      options.onRequest(unit, pdu, response);
+    }
+    if (answered) {
+      reply(response);
+    } else {
+      counters.noResponses++;
+    }
+  }
+
+  if (options.connection === 'tcp') {
+    var server = net.createServer(function (socket) {
+      socket.on('error', options.onError);
+      socket.on('data', framer(options.transport, socket.write.bind(socket), request, options.eofTimeout));
+    });
+
+    server.on('error', options.onError);
+    server.listen(options.port, options.host, options.onListening);
+    return server;
+  }
+
+  if (options.connection === 'udp') {
+    var socket = dgram.createSocket(options.host && net.isIPv6(options.host) ? 'udp6' : 'udp4');
+
+    // each datagram carries whole frames, and the reply goes back to its sender
+    socket.on('message', function (data, remote) {
+      framer(
+        options.transport,
+        (frame) => socket.send(frame, remote.port, remote.address),
+        request,
+        options.eofTimeout,
+      )(data);
+    });
+    socket.on('error', options.onError);
+    socket.bind(options.port, options.host, options.onListening);
+    return socket;
+  }
+
+  if (options.connection === 'serial') {
+    var port = options.serialPort;
+
+    port.on('data', framer(options.transport, port.write.bind(port), request, options.eofTimeout));
+    port.on('error', options.onError);
+    if (options.onListening) {
+      options.onListening();
+    }
+    return port;
+  }
+
+  throw new Error('The simulator does not support the ' + options.connection + ' connection (use tcp, udp or serial)');
+}
+
+module.exports = {
+  createCounters: createCounters,
+  handle: handle,
+  framer: framer,
+  serve: serve,
+};
@@ -0,0 +1,607 @@
+/**
+ * Device snapshots ('mb snapshot save|diff|restore')
+ *
+ * A snapshot holds a set of holding registers, objects and memory ranges
+ * read from a slave.  The file uses the layout of a register image (see
+ * registers.js), so a snapshot can also be loaded by 'mb serve':
+ *
+ *    {
+ *      "taken": "2024-05-01T12:00:00.000Z",
+ *      "unit": 1,
+ *      "holding": {"0": 1234, "1": 0},
+ *      "objects": {"3": "0102a0"},
+ *      "memory": {"0x400": "00112233"}
+ *    }
+ *
+ * The set of values is whatever the file holds, so a snapshot is compared
+ * with (or restored to) a device by reading the same values back.
+ *
+ */
+'use strict';
+
+var fs = require('fs');
+
+var errors = require('./errors');
+var memory = require('./memory');
+var ranges = require('./ranges');
+var registers = require('./registers');
+
+/**
+ * Parses a list of ranges such as '0x400:256,0x800'
+ *
+ * @param  {[any]}    text  the list; each range is an address and an
+ *                          optional count (default 1)
+ * @param  {[string]} where name of the option, for error messages
+ * @return {[array]}        list of {address, count}
+ */
+function parseRanges(text, where) {
+  return String(text)
+    .split(',')
+    .map(function (range) {
+      var parts = range.split(':');
+      var address = Number(parts[0].trim());
+      var count = parts.length > 1 ? Number(parts[1].trim()) : 1;
+
+      if (parts.length > 2 || parts[0].trim() === '' || !Number.isInteger(address) || address < 0) {
+        throw new Error('Invalid ' + where + ' range: ' + range);
+      }
+      if (!Number.isInteger(count) || count < 1) {
+        throw new Error('Invalid ' + where + ' count: ' + range);
+      }
+      return {address: address, count: count};
+    });
+}
+
+/**
+ * Sorts a list of ranges and merges those that overlap or touch
+ *
+ * @param  {[array]} ranges list of {address, count}
+ * @return {[array]}        the merged list
+ */
+function merge(ranges) {
+  var merged = [];
+
+  ranges
+    .slice()
+    .sort((a, b) => a.address - b.address)
+    .forEach(function (range) {
+      var last = merged[merged.length - 1];
+
+      if (last && range.address <= last.address + last.count) {
+        last.count = Math.max(last.count, range.address + range.count - last.address);
+      } else {
+        merged.push({address: range.address, count: range.count});
+      }
+    });
+
+  return merged;
+}
+
+/**
+ * Builds the set of values to read
+ *
+ * @param  {[array]}  holding list of {address, count} register ranges
+ * @param  {[array]}  objects list of object ids
+ * @param  {[array]}  ranges  list of {address, count} memory ranges
+ * @return {[object]}         {holding, objects, memory}
+ * @throws {Error}            if a memory range is outside the address space
+ */
+function createSet(holding, objects, ranges) {
+  ranges.forEach((range) => memory.checkRange(range.address, range.count));
+
+  return {
+    holding: merge(holding),
+    objects: objects.filter((id, index) => objects.indexOf(id) === index).sort((a, b) => a - b),
+    memory: merge(ranges),
+  };
+}
+
+/**
+ * Builds the set of values to read from command line options
+ *
+ * @param  {[object]} options
+ * @param  {[string]} options.holding register ranges, eg '0:100,0x200:8'
+ * @param  {[string]} options.objects object ids, eg '1,3'
+ * @param  {[string]} options.memory  memory ranges, eg '0x400:256'
+ * @return {[object]}                 the set, or null if no option was given
+ */
+function fromOptions(options) {
+  if (['holding', 'objects', 'memory'].every((key) => 'undefined' === typeof options[key])) {
+    return null;
+  }
+
+  var objects = 'undefined' === typeof options.objects ? [] : parseRanges(options.objects, 'objects');
+
+  return createSet(
+    'undefined' === typeof options.holding ? [] : parseRanges(options.holding, 'holding'),
+    objects.map(function (range) {
+      if (range.count !== 1 || range.address > 0xff) {
+        throw new Error('Invalid object id: ' + range.address + (range.count !== 1 ? ':' + range.count : ''));
+      }
+      return range.address;
+    }),
+    'undefined' === typeof options.memory ? [] : parseRanges(options.memory, 'memory'),
+  );
+}
+
+/**
+ * Builds the set of values to read from a device profile
+ *
+ * Only points that can be both read and written are included, since
+ * those are the ones that can be restored.
+ *
+ * @param  {[object]} profile the profile
+ * @return {[object]}         the set
+ */
+function fromProfile(profile) {
+  var holding = [];
+  var objects = [];
+  var ranges = [];
+
+  Object.keys(profile.points).forEach(function (name) {
+    var point = profile.points[name];
+
+    if (point.access !== 'rw') {
+      return;
+    }
+    if (point.space === 'holding') {
+      holding.push({address: point.address, count: point.quantity});
+    } else if (point.space === 'object') {
+      objects.push(point.address);
+    } else if (point.space === 'memory') {
+      ranges.push({address: point.address, count: point.length});
+    }
+  });
+
+  return createSet(holding, objects, ranges);
+}
+
+/**
+ * Returns the set of values held by a snapshot
+ *
+ * @param  {[object]} snapshot the snapshot
+ * @return {[object]}          the set
+ */
+function setOf(snapshot) {
+  return createSet(
+    Object.keys(snapshot.holding).map((address) => ({address: Number(address), count: 1})),
+    Object.keys(snapshot.objects).map(Number),
+    snapshot.memory.map((block) => ({address: block.address, count: block.data.length})),
+  );
+}
+
+/**
+ * Tells whether a set holds nothing
+ *
+ * @param  {[object]} set the set
+ * @return {[boolean]}
+ */
+function isEmpty(set) {
+  return !set.holding.length && !set.objects.length && !set.memory.length;
+}
+
+/**
+ * Describes the size of a set, eg '10 registers, 2 objects and 256 bytes of memory'
+ *
+ * @param  {[object]} set the set
+ * @return {[string]}
+ */
+function describe(set) {
+  var registerCount = set.holding.reduce((sum, range) => sum + range.count, 0);
+  var bytes = set.memory.reduce((sum, range) => sum + range.count, 0);
+  var parts = [];
+
+  if (registerCount) {
+    parts.push(registerCount + (registerCount === 1 ? ' register' : ' registers'));
+  }
+  if (set.objects.length) {
+    parts.push(set.objects.length + (set.objects.length === 1 ? ' object' : ' objects'));
+  }
+  if (bytes) {
+    parts.push(bytes + (bytes === 1 ? ' byte' : ' bytes') + ' of memory');
+  }
+
+  return parts.length > 1 ? parts.slice(0, -1).join(', ') + ' and ' + parts[parts.length - 1] : parts[0] || 'nothing';
+}
+
+/**
+ * Returns the error for a failed transaction, if it failed
+ *
+ * @param  {[Error]}  err      error from the transaction
+ * @param  {[object]} response the response
+ * @param  {[string]} where    what was being read or written
+ * @return {[Error]}           the error, or null
+ */
+function failure(err, response, where) {
+  if (!err && response.isException()) {
+    err = errors.exceptionError(response);
+  } else if (!err && 'function' === typeof response.getStatus && response.getStatus()) {
+    err = new Error('Device reported status ' + response.getStatus());
+  }
+  if (err) {
+    err.message = where + ': ' + err.message;
+  }
+  return err || null;
+}
+
+/**
+ * Calls each step in turn, stopping at the first error
+ *
+ * @param  {[array]}    steps    functions called with (next); next is
+ *                               called with (err)
+ * @param  {[function]} callback called with (err)
+ */
+function series(steps, callback) {
+  function next(index) {
+    if (index >= steps.length) {
+      callback(null);
+      return;
+    }
+
+    steps[index](function (err) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      next(index + 1);
+    });
+  }
+
+  next(0);
+}
+
+/**
+ * Formats an address as hex, eg 0x0400
+ *
+ * @param  {[number]} address the address
+ * @return {[string]}
+ */
+function hex(address) {
+  return '0x' + ('000' + address.toString(16).toUpperCase()).slice(-4);
+}
+
+/**
+ * Reads a set of values from the slave, one request at a time
+ *
+ * @param  {[object]}   master  the MODBUS master
+ * @param  {[object]}   set     what to read
+ * @param  {[object]}   options
+ * @param  {[number]}   options.chunk       bytes per memory request
+ * @param  {[object]}   options.transaction extra transaction options (unit, timeout...)
+ * @param  {[function]} callback            called with (err, snapshot)
+ */
+function read(master, set, options, callback) {
+  var snapshot = {taken: new Date().toISOString(), holding: {}, objects: {}, memory: []};
+  var steps = [];
+
+  set.holding.forEach(function (range) {
+    steps.push(function (next) {
+      ranges.read(master, 0x03, range.address, range.count, options.transaction, function (err, response) {
+        if (!err) {
+          var values = response.getValues();
+
+          for (var i = 0; i < range.count; i++) {
+            snapshot.holding[range.address + i] = values.readUInt16BE(i * 2);
+          }
+        }
+        next(err);
+      });
+    });
+  });
+
+  set.objects.forEach(function (id) {
+    steps.push(function (next) {
+      master.readObject(
+        id,
+        Object.assign({}, options.transaction, {
+          onDone: function (err, response) {
+            err = failure(err, response, 'object ' + id);
+            if (!err) {
+              snapshot.objects[id] = response.getValues();
+            }
+            next(err);
+          },
+        }),
+      );
+    });
+  });
+
+  set.memory.forEach(function (range) {
+    steps.push(function (next) {
+      memory.read(master, range.address, range.count, options, function (err, data, response) {
+        err = data ? err : failure(err, response, 'memory ' + hex(range.address));
+        if (!err) {
+          snapshot.memory.push({address: range.address, data: data});
+        }
+        next(err);
+      });
+    });
+  });
+
+  series(steps, (err) => callback(err, err ? undefined : snapshot));
+}
+
+/**
+ * Converts a snapshot to its JSON form
+ *
+ * @param  {[object]} snapshot the snapshot
+ * @return {[object]}          JSON-ready object
+ */
+function toJSON(snapshot) {
+  var json = {taken: snapshot.taken};
+
+  if ('undefined' !== typeof snapshot.unit) {
+    json.unit = snapshot.unit;
+  }
+
+  json.holding = Object.assign({}, snapshot.holding);
+
+  json.objects = {};
+  Object.keys(snapshot.objects).forEach(function (id) {
+    json.objects[id] = snapshot.objects[id].toString('hex');
+  });
+
+  json.memory = {};
+  snapshot.memory.forEach(function (block) {
+    json.memory['0x' + block.address.toString(16)] = block.data.toString('hex');
+  });
+
+  return json;
+}
+
+/**
+ * Creates a snapshot from its JSON form
+ *
+ * Objects and memory may be given as byte lists, as in a register image.
+ *
+ * @param  {[object]} json contents of a snapshot file
+ * @return {[object]}      the snapshot
+ */
+function fromJSON(json) {
+  var snapshot = {taken: json.taken, unit: json.unit, holding: {}, objects: {}, memory: []};
+
+  Object.keys(json.holding || {}).forEach(function (key) {
+    var value = json.holding[key];
+
+    if (!Number.isInteger(value) || value < 0 || value > 0xffff) {
+      throw new Error('Invalid value in holding at ' + key + ': ' + value);
+    }
+    snapshot.holding[registers.toAddress(key, 'holding')] = value;
+  });
+
+  Object.keys(json.objects || {}).forEach(function (key) {
+    snapshot.objects[registers.toAddress(key, 'objects')] = registers.toBytes(json.objects[key], 'objects');
+  });
+
+  Object.keys(json.memory || {}).forEach(function (key) {
+    snapshot.memory.push({address: registers.toAddress(key, 'memory'), data: registers.toBytes(json.memory[key], 'memory')});
+  });
+
+  snapshot.memory.sort((a, b) => a.address - b.address);
+  return snapshot;
+}
+
+/**
+ * Reads a snapshot file
+ *
+ * @param  {[string]} filename name of the file
+ * @return {[object]}          the snapshot
+ * @throws {Error}             if the file cannot be read or is invalid
+ */
+function load(filename) {
+  var snapshot;
+  var set;
+
+  try {
+    snapshot = fromJSON(JSON.parse(fs.readFileSync(filename, 'utf8')));
+    set = setOf(snapshot);
+  } catch (err) {
+    throw new Error('Unable to read snapshot ' + filename + ': ' + err.message);
+  }
+
+  if (isEmpty(set)) {
+    throw new Error('Snapshot ' + filename + ' holds no holding registers, objects or memory');
+  }
+  return snapshot;
+}
+
+/**
+ * Writes a snapshot file
+ *
+ * @param  {[string]} filename name of the file
+ * @param  {[object]} snapshot the snapshot
+ */
+function save(filename, snapshot) {
+  fs.writeFileSync(filename, JSON.stringify(toJSON(snapshot), null, 2) + '\n');
+}
+
+/**
+ * Returns the memory held by a snapshot at an address
+ *
+ * @param  {[object]} snapshot the snapshot
+ * @param  {[number]} address  the address
+ * @param  {[number]} length   number of bytes
+ * @return {[Buffer]}          the data, or undefined if the snapshot does
+ *                             not hold all of it
+ */
+function memoryAt(snapshot, address, length) {
+  var block = snapshot.memory.find(
+    (block) => address >= block.address && address + length <= block.address + block.data.length,
+  );
+
+  return block ? block.data.slice(address - block.address, address - block.address + length) : undefined;
+}
+
+/**
+ * Lists the values that differ between two snapshots
+ *
+ * Every value held by `expected` is compared; a value that `actual` does
+ * not hold counts as different.  Memory is compared byte by byte, and each
+ * run of changed bytes is one difference.
+ *
+ * @param  {[object]} expected the snapshot taken earlier (eg from a file)
+ * @param  {[object]} actual   the snapshot to check (eg read from the device)
+ * @return {[array]}           list of {space, address, expected, actual};
+ *                             values are numbers for holding registers and
+ *                             Buffers otherwise, or undefined if missing
+ */
+function compare(expected, actual) {
+  var differences = [];
+
+  Object.keys(expected.holding).forEach(function (key) {
+    if (expected.holding[key] !== actual.holding[key]) {
+      differences.push({
+        space: 'holding',
+        address: Number(key),
+        expected: expected.holding[key],
+        actual: actual.holding[key],
+      });
+    }
+  });
+
+  Object.keys(expected.objects).forEach(function (key) {
+    var value = actual.objects[key];
+
+    if (!value || !value.equals(expected.objects[key])) {
+      differences.push({space: 'object', address: Number(key), expected: expected.objects[key], actual: value});
+    }
+  });
+
+  expected.memory.forEach(function (block) {
+    var data = memoryAt(actual, block.address, block.data.length);
+
+    if (!data) {
+      differences.push({space: 'memory', address: block.address, expected: block.data, actual: undefined});
+      return;
+    }
+
+    for (var start = 0; start < data.length; start++) {
+      if (data[start] === block.data[start]) {
+        continue;
+      }
+
+      var end = start;
+
+      while (end < data.length && data[end] !== block.data[end]) {
+        end++;
+      }
+      differences.push({
+        space: 'memory',
+        address: block.address + start,
+        expected: block.data.slice(start, end),
+        actual: data.slice(start, end),
+      });
+      start = end;
+    }
+  });
+
+  return differences;
+}
+
+/**
+ * Writes the expected values of a list of differences back to the slave
+ *
+ * Neighbouring registers are written together (in as many requests as
+ * needed); memory is written with writeMemoryVerify.  Writing stops at
+ * the first failure.
+ *
+ * @param  {[object]}   master      the MODBUS master
+ * @param  {[array]}    differences as returned by compare()
+ * @param  {[object]}   options
+ * @param  {[number]}   options.chunk       bytes per memory request
+ * @param  {[object]}   options.transaction extra transaction options (unit, timeout...)
+ * @param  {[function]} callback            called with (err)
+ */
+function restore(master, differences, options, callback) {
+  var runs = [];
+  var steps = [];
+
+  differences
+    .filter((difference) => difference.space === 'holding')
+    .forEach(function (difference) {
+      var last = runs[runs.length - 1];
+
+      if (last && difference.address === last.address + last.values.length) {
+        last.values.push(difference.expected);
+      } else {
+        runs.push({address: difference.address, values: [difference.expected]});
+      }
+    });
+
+  runs.forEach(function (run) {
+    var data = Buffer.alloc(run.values.length * 2);
+
+    run.values.forEach((value, index) => data.writeUInt16BE(value, index * 2));
+
+    steps.push((next) => ranges.write(master, 0x10, run.address, data, options.transaction, next));
+  });
+
+  differences
+    .filter((difference) => difference.space === 'object')
+    .forEach(function (difference) {
+      steps.push(function (next) {
+        master.writeObject(
+          difference.address,
+          difference.expected,
+          Object.assign({}, options.transaction, {
+            onDone: (err, response) => next(failure(err, response, 'object ' + difference.address)),
+          }),
+        );
+      });
+    });
+
+  differences
+    .filter((difference) => difference.space === 'memory')
+    .forEach(function (difference) {
+      steps.push(function (next) {
+        memory.write(
+          master,
+          [{address: difference.address, data: difference.expected}],
+          Object.assign({}, options, {verify: true}),
+          (err, response) => next(failure(err, response, 'memory ' + hex(difference.address))),
+        );
+      });
+    });
+
+  series(steps, callback);
+}
+
+/**
+ * Converts a list of differences to rows of a table
+ *
+ * @param  {[array]} differences as returned by compare()
+ * @return {[array]}             [space, address, expected, actual] rows,
+ *                               with values as text ('-' if missing)
+ */
+function toRows(differences) {
+  function text(space, value) {
+    if ('undefined' === typeof value) {
+      return '-';
+    }
+    if (space === 'holding') {
+      return value + ' (0x' + ('000' + value.toString(16).toUpperCase()).slice(-4) + ')';
+    }
+    return value.length ? '0x' + value.toString('hex').toUpperCase() : '(empty)';
+  }
+
+  return differences.map((difference) => [
+    difference.space,
+    difference.space === 'holding' ? difference.address : hex(difference.address),
+    text(difference.space, difference.expected),
+    text(difference.space, difference.actual),
+  ]);
+}
+
+module.exports = {
+  fromOptions: fromOptions,
+  fromProfile: fromProfile,
+  setOf: setOf,
+  isEmpty: isEmpty,
+  describe: describe,
+  read: read,
+  load: load,
+  save: save,
+  compare: compare,
+  restore: restore,
+  toRows: toRows,
+};
@@ -0,0 +1,217 @@
+/**
+ * Passive MODBUS RTU bus monitor ('mb sniff')
+ *
+ * Received data is split into frames at gaps of 3.5 character times, as
+ * on the wire.  Frames that fail the CRC check are split again where the
+ * CRC allows, since a serial adapter may deliver a request and its
+ * response together.
+ *
+ * Each request is paired with the next frame from the same unit and
+ * function (the response, or an exception), and the pair is decoded with
+ * the same request and response classes the master uses.
+ *
+ */
+'use strict';
+
+var crc = require('./crc');
+var functions = require('./functions');
+var builtin = require('@csllc/cs-modbus/lib/functions');
+
+// Requests handled here rather than by @csllc/cs-modbus
+var REQUESTS = {
+  0x08: functions.DiagnosticsRequest,
+  0x0b: functions.CommEventCounterRequest,
+  0x0c: functions.CommEventLogRequest,
+  0x16: functions.MaskWriteRegisterRequest,
+  0x17: functions.ReadWriteRegistersRequest,
+  0x2b: functions.ReadDeviceIdentificationRequest,
+};
+
+/**
+ * Returns the silence that ends a frame
+ *
+ * This is 3.5 characters of 11 bits, or 1.75 ms above 19200 baud (as the
+ * MODBUS serial line specification requires), but no less than the 2 ms
+ * that timers can reliably measure.
+ *
+ * @param  {[number]} baudRate the baud rate
+ * @return {[number]}          the silence, in ms
+ */
+function silence(baudRate) {
+  var time = baudRate > 19200 ? 1.75 : (3.5 * 11 * 1000) / baudRate;
+
+  return Math.max(2, Math.ceil(time));
+}
+
+/**
+ * Splits received data into frames with valid CRCs
+ *
+ * @param  {[Buffer]} data the data received between silences
+ * @return {[object]}      {frames, rest}: the frames (each including the
+ *                         unit and CRC), and any data left over
+ */
+function split(data) {
+  var frames = [];
+  var start = 0;
+
+  function valid(end) {
+    return crc.crc16(data.slice(start, end - 2)) === data.readUInt16LE(end - 2);
+  }
+
+  while (start < data.length) {
+    // most of the time the whole of the data is one frame
+    var end = data.length - start >= 4 && valid(data.length) ? data.length : -1;
+
+    for (var length = 4; end < 0 && start + length < data.length; length++) {
+      if (valid(start + length)) {
+        end = start + length;
+      }
+    }
+    if (end < 0) {
+      break;
+    }
+
+    frames.push(data.slice(start, end));
+    start = end;
+  }
+
+  return {frames: frames, rest: start < data.length ? data.slice(start) : null};
+}
+
+/**
+ * Decodes a request PDU
+ *
+ * @param  {[Buffer]} pdu the PDU
+ * @return {[object]}     the request, or null if it is not understood
+ */
+function parseRequest(pdu) {
+  var Request = REQUESTS[pdu[0]] || builtin[pdu[0]];
+
+  try {
+    return Request && Request.fromBuffer ? Request.fromBuffer(pdu) : null;
+  } catch (ignore) {
+    return null;
+  }
+}
+
+/**
+ * Decodes a response PDU
+ *
+ * @param  {[object]} request the request it answers
+ * @param  {[Buffer]} pdu     the PDU
+ * @return {[object]}         the response, or null if it is not understood
+ */
+function parseResponse(request, pdu) {
+  try {
+    var response = request.createResponse(pdu);
+
+    response.request = request;
+    return response;
+  } catch (ignore) {
+    return null;
+  }
+}
+
+/**
+ * Creates a monitor, which is called with each chunk of received data
+ *
+ * Each request is reported to onExchange with {time, unit, requestPdu,
+ * request, responsePdu, response, latency, broadcast}.  request and
+ * response are null if they could not be decoded; responsePdu is null if
+ * no response came within the timeout (or a broadcast was sent).  time
+ * is when the request ended, and latency is the time from then until the
+ * end of the response, in ms.
+ *
+ * @param  {[object]}   options
+ * @param  {[number]}   options.baudRate   the baud rate of the line
+ * @param  {[number]}   options.timeout    ms to wait for a response
+ * @param  {[function]} options.onExchange called for each request
+ * @param  {[function]} options.onInvalid  optional; called with (data, time)
+ *                                         for data that is not a valid frame
+ * @return {[function]}                    called with each chunk of data
+ */
+function create(options) {
+  var gap = silence(options.baudRate);
+  var buffer = Buffer.alloc(0);
+  var received = 0;
+  var timer = null;
+  var pending = null;
+
+  function report(exchange) {
+    options.onExchange(
+      Object.assign({request: null, response: null, responsePdu: null, latency: null, broadcast: false}, exchange),
+    );
+  }
+
+  // reports a request that was not answered
+  function expire() {
+    if (pending) {
+      clearTimeout(pending.timer);
+      report(pending.exchange);
+      pending = null;
+    }
+  }
+
+  function frame(adu, time) {
+    var unit = adu[0];
+    var pdu = adu.slice(1, -2);
+
+    if (pending && unit === pending.exchange.unit && (pdu[0] & 0x7f) === pending.exchange.requestPdu[0]) {
+      var exchange = pending.exchange;
+
+      clearTimeout(pending.timer);
+      pending = null;
+
+      report(
+        Object.assign(exchange, {
+          responsePdu: pdu,
+          response: exchange.request ? parseResponse(exchange.request, pdu) : null,
+          latency: time - exchange.time,
+        }),
+      );
+      return;
+    }
+
+    expire();
+
+    var request = {time: time, unit: unit, requestPdu: pdu, request: parseRequest(pdu)};
+
+    // broadcasts are not answered
+    if (unit === 0) {
+      report(Object.assign(request, {broadcast: true}));
+      return;
+    }
+
+    pending = {exchange: request, timer: setTimeout(expire, options.timeout)};
+  }
+
+  function end() {
+    var data = buffer;
+    var parts = split(data);
+
+    buffer = Buffer.alloc(0);
+    timer = null;
+
+    parts.frames.forEach((adu) => frame(adu, received));
+
+    if (parts.rest && options.onInvalid) {
+      options.onInvalid(parts.rest, received);
+    }
+  }
+
+  return function (data) {
+    buffer = Buffer.concat([buffer, data]);
+    received = new Date().getTime();
+
+    clearTimeout(timer);
+    timer = setTimeout(end, gap);
+  };
+}
+
+module.exports = {
+  silence: silence,
+  split: split,
+  parseRequest: parseRequest,
+  parseResponse: parseResponse,
+  create: create,
+};
@@ -0,0 +1,181 @@
+/**
+ * Transaction statistics (the --stats option)
+ *
+ * Every transaction the master sends is watched: the outcome of each is
+ * counted, and the time taken by every attempt that gets a response
+ * (normal or exception) is kept, so the latency can be summarized.
+ * Attempts after the first are counted as retries.
+ *
+ */
+'use strict';
+
+/**
+ * Rounds a time to the microsecond
+ *
+ * @param  {[number]} time in ms
+ * @return {[number]}      time in ms, with at most 3 decimal places
+ */
+function round(time) {
+  return Math.round(time * 1000) / 1000;
+}
+
+/**
+ * Creates an empty set of statistics
+ *
+ * @return {[object]} the statistics
+ */
+function create() {
+  return {
+    started: new Date().getTime(),
+    requests: 0,
+    ok: 0,
+    errors: 0,
+    timeouts: 0,
+    retries: 0,
+    exceptions: {},
+    latencies: [],
+    outcomes: new WeakMap(),
+  };
+}
+
+/**
+ * Counts the outcome of an attempt
+ *
+ * A retry replaces the outcome of the attempt before it, so each request
+ * is counted once, with the outcome of its last attempt.
+ *
+ * @param  {[object]} stats       the statistics
+ * @param  {[object]} transaction the transaction
+ * @param  {[string]} outcome     ok, errors, or an exception code
+ */
+function count(stats, transaction, outcome) {
+  var previous = stats.outcomes.get(transaction);
+
+  function add(key, amount) {
+    if (key === 'ok' || key === 'errors') {
+      stats[key] += amount;
+    } else {
+      stats.exceptions[key] = (stats.exceptions[key] || 0) + amount;
+      if (!stats.exceptions[key]) {
+        delete stats.exceptions[key];
+      }
+    }
+  }
+
+  if ('undefined' !== typeof previous) {
+    add(previous, -1);
+  }
+  add(outcome, 1);
+  stats.outcomes.set(transaction, outcome);
+}
+
+/**
+ * Watches an attempt to send a transaction
+ *
+ * Called each time the transport sends the transaction, ie once for the
+ * first attempt and again for each retry.  The outcome is taken from the
+ * 'response' and 'error' events, which come before the caller is told
+ * the transaction is complete.
+ *
+ * @param  {[object]} stats       the statistics
+ * @param  {[object]} transaction the transaction being sent
+ */
+function watch(stats, transaction) {
+  // a high resolution timer, since fast links respond in well under 1 ms
+  var sent = process.hrtime.bigint();
+
+  if (stats.outcomes.has(transaction)) {
+    stats.retries++;
+  } else {
+    stats.requests++;
+  }
+
+  transaction.once('response', function (response) {
+    stats.latencies.push(Number(process.hrtime.bigint() - sent) / 1e6);
+    count(stats, transaction, response.isException() ? String(response.getExceptionCode()) : 'ok');
+  });
+
+  transaction.once('error', function () {
+    count(stats, transaction, 'errors');
+  });
+
+  transaction.once('timeout', function () {
+    stats.timeouts++;
+  });
+}
+
+/**
+ * Summarizes the statistics
+ *
+ * Latencies are in ms, to the microsecond; p95 is the time within which 95% of the responses
+ * arrived.  They are left out if there were no responses.
+ *
+ * @param  {[object]} stats the statistics
+ * @return {[object]}       the summary
+ */
+function summarize(stats) {
+  var sorted = stats.latencies.slice().sort((a, b) => a - b);
+  var summary = {
+    requests: stats.requests,
+    ok: stats.ok,
+    successRate: stats.requests ? Math.round((stats.ok / stats.requests) * 1000) / 10 : 0,
+    exceptions: Object.assign({}, stats.exceptions),
+    errors: stats.errors,
+    timeouts: stats.timeouts,
+    retries: stats.retries,
+  };
+
+  if (sorted.length) {
+    summary.latency = {
+      min: round(sorted[0]),
+      avg: round(sorted.reduce((sum, time) => sum + time, 0) / sorted.length),
+      p95: round(sorted[Math.ceil(sorted.length * 0.95) - 1]),
+      max: round(sorted[sorted.length - 1]),
+    };
+  }
+
+  summary.elapsed = new Date().getTime() - stats.started;
+  return summary;
+}
+
+/**
+ * Converts a summary to rows of a table
+ *
+ * @param  {[object]} summary from summarize()
+ * @return {[array]}          [statistic, value] rows
+ */
+function toRows(summary) {
+  var codes = Object.keys(summary.exceptions);
+  var exceptions = codes.reduce((sum, code) => sum + summary.exceptions[code], 0);
+  var rows = [
+    ['requests', summary.requests],
+    ['ok', summary.ok + ' (' + summary.successRate + '%)'],
+    [
+      'exceptions',
+      exceptions +
+        (codes.length ? ' (' + codes.map((code) => 'code ' + code + ': ' + summary.exceptions[code]).join(', ') + ')' : ''),
+    ],
+    ['errors', summary.errors],
+    ['timeouts', summary.timeouts],
+    ['retries', summary.retries],
+  ];
+
+  if (summary.latency) {
+    rows.push(
+      ['latency min', summary.latency.min + ' ms'],
+      ['latency avg', summary.latency.avg + ' ms'],
+      ['latency p95', summary.latency.p95 + ' ms'],
+      ['latency max', summary.latency.max + ' ms'],
+    );
+  }
+
+  rows.push(['elapsed', summary.elapsed + ' ms']);
+  return rows;
+}
+
+module.exports = {
+  create: create,
+  watch: watch,
+  summarize: summarize,
+  toRows: toRows,
+};
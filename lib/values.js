@@ -0,0 +1,265 @@
+/**
+ * Values given as arguments to write actions (eg 'mb write memory 0x400 ...')
+ *
+ * Each argument may be:
+ *
+ *    12  -5  0x1F  0b1010   a number: decimal (may be negative), hex or binary
+ *    0x55:16                a number repeated 16 times
+ *    0..15  10..0           a ramp: every number from the first to the last
+ *    hex:DEADBEEF           bytes, in hex
+ *    '"Hello"'  "'Hello'"   text, sent as UTF-8; the quotes must reach mb,
+ *                           so are themselves quoted in the shell.  Double
+ *                           quoted text may use JSON escapes (eg \n, \u00e9)
+ *    @values.txt            the values in a file
+ *    -                      the values read from stdin
+ *
+ * A file (or stdin) holds values in the same syntax, separated by spaces,
+ * commas or new lines; lines starting with # are ignored.
+ *
+ * Bytes may be -128 to 255 and registers -32768 to 65535, negative numbers
+ * being sent in two's complement.  Text is padded with a zero byte to fill
+ * the last register.
+ *
+ */
+'use strict';
+
+var fs = require('fs');
+
+// A number without its sign
+var NUMBER_RE = /^(0x[0-9a-f]+|0b[01]+|\d+)$/i;
+
+// Most values a repeat or ramp may produce
+var MAX_COUNT = 65536;
+
+/**
+ * Parses a number
+ *
+ * @param  {[any]}    value the number, or its text
+ * @param  {[string]} where the argument, for error messages
+ * @return {[number]}       the number
+ * @throws {Error}          if it is not a whole number
+ */
+function parseNumber(value, where) {
+  if ('number' === typeof value && Number.isInteger(value)) {
+    return value;
+  }
+
+  var text = String(value).trim();
+  var sign = text.charAt(0) === '-' ? -1 : 1;
+  var digits = text.replace(/^[-+]/, '');
+
+  if (!NUMBER_RE.test(digits)) {
+    throw new Error(
+      'Invalid number ' + JSON.stringify(String(value)) + (where ? ' in ' + where : '') + ' (use eg 12, -5, 0x1F or 0b1010)',
+    );
+  }
+  return sign * Number(digits);
+}
+
+/**
+ * Splits the text of a values file into its values
+ *
+ * @param  {[string]} text  contents of the file
+ * @param  {[string]} name  name of the file, for error messages
+ * @return {[array]}        list of {value, where}
+ */
+function tokenize(text, name) {
+  var tokens = [];
+
+  text.split(/\r?\n/).forEach(function (line, index) {
+    var re = /"(?:[^"\\]|\\.)*"|'[^']*'|[^\s,]+/g;
+    var match;
+
+    if (line.trim().charAt(0) === '#') {
+      return;
+    }
+    while ((match = re.exec(line)) !== null) {
+      tokens.push({value: match[0], where: name + ' line ' + (index + 1)});
+    }
+  });
+
+  return tokens;
+}
+
+/**
+ * Reads the values from a file, or from stdin
+ *
+ * @param  {[string]} filename name of the file, or '-' for stdin
+ * @param  {[string]} where    the argument, for error messages
+ * @return {[array]}           list of {value, where}
+ */
+function readValues(filename, where) {
+  var text;
+
+  if (filename === '-' && process.stdin.isTTY) {
+    throw new Error('Values cannot be read from a terminal (' + where + '); pipe them to stdin, or use @file');
+  }
+
+  try {
+    text = fs.readFileSync(filename === '-' ? 0 : filename, 'utf8');
+  } catch (err) {
+    throw new Error('Unable to read values (' + where + '): ' + err.message);
+  }
+
+  return tokenize(text, filename === '-' ? 'stdin' : filename);
+}
+
+/**
+ * Lists the values given by arguments, reading any @file or - arguments
+ *
+ * @param  {[array]}  words arguments (eg args._)
+ * @param  {[number]} start index of the first value
+ * @return {[array]}        list of {value, where}
+ */
+function collect(words, start) {
+  var tokens = [];
+
+  for (var i = start; i < words.length; i++) {
+    var word = words[i];
+    var where = 'argument ' + (i + 1);
+
+    if (word === '-') {
+      tokens = tokens.concat(readValues('-', where));
+    } else if ('string' === typeof word && word.charAt(0) === '@' && word.length > 1) {
+      tokens = tokens.concat(readValues(word.substring(1), where));
+    } else {
+      tokens.push({value: word, where: where});
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Lists the values given by arguments, as they were written
+ *
+ * For typed values (--type), which are converted by the codec.
+ *
+ * @param  {[array]}  words arguments (eg args._)
+ * @param  {[number]} start index of the first value
+ * @return {[array]}        the values
+ */
+function expand(words, start) {
+  return collect(words, start).map((token) => token.value);
+}
+
+/**
+ * Converts one value to bytes
+ *
+ * @param  {[object]} token {value, where}
+ * @param  {[number]} size  bytes per number: 1 for bytes, 2 for registers
+ * @return {[Buffer]}       the data
+ */
+function convert(token, size) {
+  var text = String(token.value);
+  var quote = text.charAt(0);
+  var min = -Math.pow(2, size * 8 - 1);
+  var max = Math.pow(2, size * 8) - 1;
+  var numbers;
+  var match;
+
+  function check(number) {
+    if (number < min || number > max) {
+      throw new Error(
+        'Value ' +
+          number +
+          ' in ' +
+          token.where +
+          ' does not fit in a ' +
+          (size === 1 ? 'byte' : 'register') +
+          ' (' +
+          min +
+          ' to ' +
+          max +
+          ')',
+      );
+    }
+    return number;
+  }
+
+  function count(total) {
+    if (total < 1 || total > MAX_COUNT) {
+      throw new Error('Invalid count in ' + token.where + ': ' + text + ' (1 to ' + MAX_COUNT + ' values)');
+    }
+    return total;
+  }
+
+  if (text.length > 1 && (quote === '"' || quote === "'") && text.charAt(text.length - 1) === quote) {
+    var string;
+
+    try {
+      string = quote === '"' ? JSON.parse(text) : text.slice(1, -1);
+    } catch (ignore) {
+      throw new Error('Invalid text in ' + token.where + ': ' + text);
+    }
+
+    var data = Buffer.from(string, 'utf8');
+
+    return size === 2 ? Buffer.concat([data, Buffer.alloc(data.length % 2)]) : data;
+  }
+
+  if (/^hex:/i.test(text)) {
+    var digits = text.substring(4).replace(/[\s_]/g, '');
+
+    if (!/^([0-9a-f]{2})+$/i.test(digits)) {
+      throw new Error('Invalid hex data in ' + token.where + ': ' + text + ' (use two digits per byte)');
+    }
+    if (size === 2 && digits.length % 4) {
+      throw new Error('The hex data in ' + token.where + ' does not fill a whole number of registers');
+    }
+    return Buffer.from(digits, 'hex');
+  }
+
+  if ((match = /^(.+)\.\.(.+)$/.exec(text))) {
+    var from = check(parseNumber(match[1], token.where));
+    var to = check(parseNumber(match[2], token.where));
+    var step = from <= to ? 1 : -1;
+
+    numbers = new Array(count(Math.abs(to - from) + 1)).fill(0).map((zero, index) => from + index * step);
+  } else if ((match = /^(.+):(.+)$/.exec(text))) {
+    numbers = new Array(count(parseNumber(match[2], token.where))).fill(check(parseNumber(match[1], token.where)));
+  } else {
+    numbers = [check(parseNumber(token.value, token.where))];
+  }
+
+  var result = Buffer.alloc(numbers.length * size);
+
+  numbers.forEach(function (number, index) {
+    if (size === 1) {
+      result.writeUInt8(number & 0xff, index);
+    } else {
+      result.writeUInt16BE(number & 0xffff, index * 2);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Converts arguments to bytes
+ *
+ * @param  {[array]}  words arguments (eg args._)
+ * @param  {[number]} start index of the first value
+ * @return {[Buffer]}       the bytes
+ */
+function toBytes(words, start) {
+  return Buffer.concat(collect(words, start).map((token) => convert(token, 1)));
+}
+
+/**
+ * Converts arguments to 16-bit registers (most significant byte first)
+ *
+ * @param  {[array]}  words arguments (eg args._)
+ * @param  {[number]} start index of the first value
+ * @return {[Buffer]}       the register data
+ */
+function toRegisters(words, start) {
+  return Buffer.concat(collect(words, start).map((token) => convert(token, 2)));
+}
+
+module.exports = {
+  parseNumber: parseNumber,
+  expand: expand,
+  toBytes: toBytes,
+  toRegisters: toRegisters,
+};
@@ -11,89 +11,50 @@
  */
 'use strict';
 
-var CONFIG_DEFAULTS = {
-  port: {
-    name: 'use_--port_to_select_port',
-    options: {
-      baudRate: 115200,
-    },
-  },
-  websocket: {
-    url: 'http://127.0.0.1:8080',
-    reconnection: true,
-    reconnectionAttempts: 3,
-    reconnectionDelay: 1000,
-    reconnectionDelayMax: 5000,
-    timeout: 5000,
-  },
-  can: {
-    rate: 250000,
-    myid: 254,
-    j1939: {
-      preferredAddress: 254,
-    },
-  },
-  canUsbComm: {
-    baudRate: 480800,
-    j1939: {
-      preferredAddress: 254,
-    },
-  },
-  master: {
-    transport: {
-      type: 'rtu',
-      eofTimeout: 40,
-      connection: {
-        type: 'serial',
-        socket: 'Replace with an instance of io()',
-      },
-    },
-    suppressTransactionErrors: true,
-    retryOnException: false,
-    maxConcurrentRequests: 2,
-    defaultUnit: 1,
-    defaultMaxRetries: 0,
-    defaultTimeout: 2000,
-  },
-};
+// settings for the master and its connection
+var configuration = require('./lib/config');
 
-// get the config folder location - depends on Operating System
-// darwin = MAC
-// Windows: HOMEPATH environment variable
-// Linux (Debian): HOME environment variable
-let CONFIG_FOLDER =
-  process.env.APPDATA ||
-  (process.platform === 'darwin' ? process.env.HOME + '/Library/Preferences' : process.env.HOMEPATH || process.env.HOME);
+let CONFIG_FOLDER = configuration.FOLDER;
 
-let CONFIG_FILE = CONFIG_FOLDER + '/.cs-mb-cli.json';
+let CONFIG_FILE = configuration.FILE;
 
 // get application path
 var path = require('path');
 
 // misc utilities
 var util = require('util');
-var deepmerge = require('deepmerge');
 
 // console text formatting
 var chalk = require('chalk');
 
+// readable exceptions, and the exit code for each kind of failure
+var errors = require('./lib/errors');
+
+var EXIT_CODES = errors.EXIT_CODES;
+
 // command-line options will be available in the args variable
-var args = require('minimist')(process.argv.slice(2));
+var args = require('./lib/args').parse(process.argv.slice(2));
 
 let pjson = require('./package.json');
 
+// read config file unless forced to use defaults, and apply the selected
+// profile and overrides from the environment and command line
 var config;
 
-// read config file unless forced to use defaults, or can't read config file
-if (args.default) {
-  config = CONFIG_DEFAULTS;
-} else {
-  try {
-    let config_file = require(CONFIG_FILE);
-    config = deepmerge(CONFIG_DEFAULTS, config_file);
-  } catch (ignore) {
-    config = CONFIG_DEFAULTS;
+// why the configuration could not be loaded, for 'mb config'
+var configError;
+
+try {
+  config = configuration.load({args: args});
+} catch (err) {
+  // 'mb config' can still create a missing profile, or show the path of a
+  // file that cannot be read (it will not write over such a file)
+  if (args._[0] !== 'config') {
+    console.error(chalk.red(err.message));
+    process.exit(EXIT_CODES.usage);
   }
+  configError = err;
+  config = configuration.load({args: {default: true}, env: {}});
 }
 
 // Keep track of mode for output purposes (boolean)
@@ -105,66 +66,76 @@ const {SerialPort} = require('serialport');
 // logging helper module
 var winston = require('winston');
 
-// Load the object that handles communication to the device
-var ModbusPort = require('@csllc/cs-modbus');
-
 // the instance of the modbus master
 var master;
 
-// Buffer utilities
-var buffers = require('h5.buffers');
-
-// use environment variable for port name if specified
-config.port.name = args.port || process.env.MODBUS_PORT || config.port.name;
-
-// override slave id if necessary
-config.master.defaultUnit = args.slave || args.unit || process.env.MODBUS_SLAVE || config.master.defaultUnit;
-
-// override baud if necessary
-config.port.options.baudRate =
-  args.baudrate || args.baud || args.baudRate || process.env.MODBUS_BAUDRATE || config.port.options.baudRate;
-
-// override transport if necessary
-config.master.transport.type = args.transport || process.env.MODBUS_TRANSPORT || config.master.transport.type;
+// Typed data conversion
+var codec = require('./lib/codec');
 
-// override connection if necessary
-config.master.transport.connection.type =
-  args.connection || process.env.MODBUS_CONNECTION || config.master.transport.connection.type;
-
-// override CANBUS rate if necessary
-config.can.rate = args.canrate || process.env.MODBUS_CANRATE || config.can.rate;
-
-// override canbus ID if necessary
-config.can.myid = args.canid || process.env.MODBUS_CANID || config.can.myid;
+// MODBUS functions that cs-modbus does not provide
+var functions = require('./lib/functions');
 
 // if the user included the --save option, write the
 // actual configuration back to the config.json file to be
 // the defaults for next time
 if (args.save) {
-  var fs = require('fs');
-
   console.info(chalk.green('Writing configuration file: \r' + CONFIG_FILE + '\r'));
-  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 4));
+  configuration.save(config);
 }
 
-// If the address is a MAC address, set up for Bluetooth operation,
-// overriding config.json properties as needed
-var macRE = /^([0-9A-F]{2}[:-]){5}([0-9A-F]{2})$/i;
-
-if (!args.l && config.port.name && macRE.test(config.port.name)) {
-  config.master.transport.type = 'ip';
-  config.master.transport.connection.type = 'ble';
-} else {
-  // assume it's a serial port.  We could test this but remember serial
-  // ports have different name formats depending on operating system
+// likewise --save-profile, which saves it as a named profile
+if (args['save-profile']) {
+  console.info(chalk.green('Writing profile ' + args['save-profile'] + ' to configuration file: \r' + CONFIG_FILE + '\r'));
+  configuration.saveProfile(String(args['save-profile']), config);
+}
 
-  // don't open serial port until we explicitly call the open method
-  config.port.options.autoOpen = false;
+// select the profile used when there is no --profile or MODBUS_PROFILE
+if ('undefined' !== typeof args['default-profile']) {
+  try {
+    configuration.setDefaultProfile(args['default-profile'] === true ? '' : String(args['default-profile']));
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    process.exit(EXIT_CODES.usage);
+  }
 }
 
 // Keep track of when the action started, for timing purposes
 var startTime;
 
+// The script to execute, for the 'run' action
+var script;
+
+// The image to write, for the 'flash' action
+var flashImage;
+
+// The register image answered from, for the 'serve' action
+var serveImage;
+
+// The snapshot to compare with or restore, for the 'snapshot' action
+var savedSnapshot;
+
+// What to read into a new snapshot, for 'snapshot save'
+var snapshotSet;
+
+// The device profile, loaded when a named point is first used
+var deviceProfile;
+
+// Whether the action is repeated (--loop, --interval, --count or --duration)
+var polling = !!(args.loop || args.interval || args.count || args.duration);
+
+// Progress of repeated polls: number done, when the next one is due and
+// the previous response (for --on-change)
+var poll = {count: 0, due: 0, last: undefined};
+
+// Transaction statistics, if --stats was given
+var stats;
+
+// Frames being recorded, if --capture was given
+var capture;
+
+// Decoded frames of the capture given to replay
+var replayed;
+
 /**
  * Clean up and exit the application.
  *
@@ -177,28 +148,59 @@ function exit(code) {
   } catch (ignore) {
     //...
   }
+  if (stats) {
+    printStats();
+  }
+  if (capture) {
+    capture.close();
+  }
   process.exit(code);
 }
 
+/**
+ * Prints the transaction statistics (--stats) to stderr, so they are kept
+ * apart from the responses
+ */
+function printStats() {
+  var statistics = require('./lib/stats');
+  var summary = statistics.summarize(stats);
+
+  if (args.stats === 'json') {
+    console.error(JSON.stringify({stats: summary}));
+  } else {
+    console.error(require('./lib/format').layout(['statistic', 'value'], statistics.toRows(summary)));
+  }
+}
+
 /**
  * If error, print it, otherwise print the result as an object dump
+ *
+ * Errors and exceptions are described on stderr, and end mb with the
+ * exit code for that kind of failure (see lib/errors.js); exceptions
+ * while polling are shown with the other responses, and polling goes on.
+ *
  * @param  {err}
  * @return null
  */
 function output(err, response) {
   if (err) {
-    //console.log( chalk.red( err.message ) );
-    exit(1);
+    console.error(chalk.red(err.message));
+    exit(errors.exitCode(err, response));
   } else {
-    // output the result in the requested format
-    if ('csv' === args.out) {
-      var timemark = new Date().getTime() - startTime;
-      console.info(timemark + ',' + response.toBuffer().join(','));
+    var value = response.toBuffer().toString('hex');
+
+    // with --on-change, repeated polls only print when the data changes
+    if (!args['on-change'] || value !== poll.last) {
+      printResponse(response);
     }
+    poll.last = value;
 
     // if caller requested a loop, do the action again
-    if (args.loop) {
-      setImmediate(doAction);
+    if (polling) {
+      nextPoll();
+    } else if (response.isException()) {
+      console.error(chalk.red(errors.describeException(response)));
+      exit(errors.exitCode(null, response));
     } else {
       exit(0);
     }
@@ -206,106 +208,193 @@ function output(err, response) {
 }
 
 /**
- * Parses a string into a number with bounds check
- *
- * String can be decimal, or if it starts with 0x
- * it is interpreted as hex
+ * Schedules the next poll, or exits when --count or --duration is reached
  *
- * @param  {[string]} s       string to parse
- * @param  {[number]} default if string can't be parsed
- * @return {[number]}         the parsed number or the default
+ * Polls are timed from the start rather than from the previous response,
+ * so the interval does not drift; polls that fall due while a slow
+ * transaction is in progress are skipped.
  */
-function parseNumber(s, def) {
-  var number;
+function nextPoll() {
+  var interval = args.interval || 0;
+  var now = new Date().getTime();
 
-  if ('undefined' === typeof s) {
-    return def;
+  poll.count++;
+
+  if (args.count && poll.count >= args.count) {
+    exit(0);
   }
 
-  if (s.toString().substring(0, 1) === '0x') {
-    number = parseInt(s.substring(2), 16);
+  if (interval === 0) {
+    poll.due = now;
   } else {
-    number = parseInt(s);
+    poll.due = (poll.due || startTime) + interval;
+
+    if (poll.due < now) {
+      poll.due += Math.ceil((now - poll.due) / interval) * interval;
+    }
+  }
+
+  if (args.duration && poll.due - startTime >= args.duration * 1000) {
+    exit(0);
   }
-  return number;
-}
 
-// parse string to integer, either 0xhh or ddd format
-function parseValue(str) {
-  if (str.toString().substring(0, 1) === '0x') {
-    return parseInt(str.substring(2), 16);
+  if (interval === 0) {
+    setImmediate(doAction);
   } else {
-    return parseInt(str);
+    setTimeout(doAction, poll.due - now);
   }
 }
 
 /**
- * Convert an array of args to an array of numbers
+ * Prints a response in the format selected by --out
  *
- * Parses 0x as hex numbers, else decimal
- * @param  {[array]} args  string array
- * @param  {[number]} start offset in args to start parsing
- * @return {[array]}       array of numbers
+ * Without --out, only decoded values, named points and file transfers
+ * are printed, unless polling, when every response is shown with a
+ * timestamp.
+ *
+ * @param  {[object]} response the response
  */
-function argsToByteBuf(args, start) {
-  var values = [];
+function printResponse(response) {
+  var format = require('./lib/format');
+  var elapsed = new Date().getTime() - startTime;
+
+  switch (args.out) {
+    case 'csv': {
+      var data = response.point ? [].concat(response.point.value) : response.decoded || format.bytesOf(response);
+
+      console.info(elapsed + ',' + data.join(','));
+      break;
+    }
+
+    case 'json':
+      console.info(
+        JSON.stringify(Object.assign({time: new Date().toISOString(), elapsed: elapsed}, format.toObject(response))),
+      );
+      break;
+
+    case 'table':
+      console.info(format.table(response));
+      break;
+
+    case 'hex':
+      console.info(format.hexdump(response));
+      break;
+
+    case 'raw':
+      process.stdout.write(format.dataOf(response));
+      break;
+
+    default:
+      if (polling) {
+        console.info(new Date().toISOString() + ' ' + describeResponse(response));
+      } else if (response.point || response.decoded || response.summary) {
+        console.info(describeResponse(response));
+      } else if (response.getCode() === 0x2b && !response.isException()) {
+        // device identification is shown object by object
+        console.info(format.table(response));
+      }
+      break;
+  }
+}
 
-  for (var i = start; i < args.length; i++) {
-    var number;
+/**
+ * Returns a one-line description of a response
+ *
+ * Reads of named points show the decoded value, anything else
+ * the response's own description.
+ *
+ * @param  {[object]} response the response
+ * @return {[string]}          the description
+ */
+function describeResponse(response) {
+  if (response.point) {
+    var value = [].concat(response.point.value).join(' ');
+    var units = response.point.units ? ' ' + response.point.units : '';
 
-    if (args[i].toString().indexOf(':') > -1) {
-      // a repeated value
-      var tokens = args[i].split(':');
+    return '@' + response.point.name + ' = ' + value + units;
+  }
+  if (response.decoded) {
+    return response.decoded.join(' ');
+  }
+  if (response.summary) {
+    return response.summary;
+  }
+  return response.toString();
+}
 
-      var value = parseValue(tokens[0]);
-      var count = parseValue(tokens[1]);
+/**
+ * Parses a number given on the command line (see lib/values.js)
+ *
+ * @param  {[any]}    s   the number, or its text (eg 12, -5, 0x1F, 0b1010)
+ * @param  {[number]} def returned if s is undefined
+ * @return {[number]}     the parsed number
+ * @throws {Error}        if s is not a whole number
+ */
+function parseNumber(s, def) {
+  if ('undefined' === typeof s) {
+    return def;
+  }
+  return require('./lib/values').parseNumber(s);
+}
 
-      if (value >= 0 && value <= 255 && count > 0 && count < 65536) {
-        var arr = new Array(count).fill(value);
+/**
+ * Converts a coil value given on the command line to a state
+ *
+ * @param  {[any]}     value 1/0, true/false or on/off
+ * @return {[boolean]}       the state
+ */
+function parseState(value) {
+  var text = String(value).toLowerCase();
 
-        values = values.concat(arr);
-      }
-    } else {
-      number = parseValue(args[i]);
-      if (number < 0 || number > 255) {
-        console.error(chalk.red('Invalid data value: ' + args[i]));
-        exit(1);
-      }
-      values.push(number);
-    }
+  if (['1', 'true', 'on'].indexOf(text) > -1) {
+    return true;
   }
+  if (['0', 'false', 'off'].indexOf(text) > -1) {
+    return false;
+  }
+  throw new Error('Invalid coil value: ' + value + ' (use 1/0, true/false or on/off)');
+}
 
-  return Buffer.from(values);
+/**
+ * Converts arguments to bytes
+ *
+ * Each argument may be a number, a repeat (value:count), a ramp (0..15),
+ * hex:data, quoted text, @file or - (see lib/values.js).
+ *
+ * @param  {[array]}  args  arguments (eg args._)
+ * @param  {[number]} start offset in args to start parsing
+ * @return {[Buffer]}       the bytes
+ */
+function argsToByteBuf(args, start) {
+  return require('./lib/values').toBytes(args, start);
 }
 
 /**
- * Convert an array of args to an buffer of 16-bit words
+ * Converts arguments to a buffer of 16-bit words
  *
- * Parses 0x as hex numbers, else decimal
- * @param  {[array]} args  string array
+ * Arguments are given as for argsToByteBuf().
+ *
+ * @param  {[array]}  args  arguments (eg args._)
  * @param  {[number]} start offset in args to start parsing
  * @return {[Buffer]}       Buffer of words
  */
 function argsToWordBuf(args, start) {
-  var builder = new buffers.BufferBuilder();
-
-  for (var i = start; i < args.length; i++) {
-    var number;
-
-    if (args[i].toString().substring(0, 1) === '0x') {
-      number = parseInt(args[i].substring(2), 16);
-    } else {
-      number = parseInt(args[i]);
-    }
-
-    if (number < 0 || number > 65535) {
-      console.error(chalk.red('Invalid data value: ' + args[i]));
-      exit(1);
-    }
-    builder.pushUInt16(number);
-  }
+  return require('./lib/values').toRegisters(args, start);
+}
 
-  return builder.toBuffer();
+/**
+ * Encodes arguments as values of a data type (--type)
+ *
+ * Any @file or - arguments are replaced by the values they hold.
+ *
+ * @param  {[string]} format the data type
+ * @param  {[array]}  args   arguments (eg args._)
+ * @param  {[number]} start  offset in args to start parsing
+ * @param  {[object]} order  optional byte/word order
+ * @return {[Buffer]}        the encoded data
+ */
+function argsToTyped(format, args, start, order) {
+  return codec.encodeAll(format, require('./lib/values').expand(args, start), order);
 }
 
 if (args.h) {
@@ -314,7 +403,9 @@ if (args.h) {
   console.info('See config.json for connection configuration.\r');
   console.info('\rCommand format:\r');
   console.info(path.basename(__filename, '.js') + '[-h -v] action [type] [...]\r');
-  console.info('    action: read/write/writeverify/command\r');
+  console.info(
+    '    action: read/write/writeverify/maskwrite/readwrite/diag/command/generic/run/shell/flash/scan/serve/sniff/config\r',
+  );
   console.info('    type: identifies what to read/write/command/generic\r');
   console.info('\r    Read types:\r');
   console.info(chalk.bold('        coil') + ' [start] [quantity]');
@@ -322,26 +413,115 @@ if (args.h) {
   console.info(chalk.bold('        holding') + ' [start] [quantity]');
   console.info(chalk.bold('        input') + ' [start] [quantity]');
   console.info(chalk.bold('        slave'));
+  console.info(chalk.bold('        identification') + ' [basic|regular|extended|object id] (FC43/MEI 14)');
   console.info(chalk.bold('        fifo') + ' [id] [max]');
   console.info(chalk.bold('        object') + ' [id]');
   console.info(chalk.bold('        memory') + ' [address] [length]');
 
   console.info('\r    Write types:\r');
-  console.info(chalk.bold('        coil') + ' [start] [quantity] value1 value2...');
-  console.info(chalk.bold('        holding') + ' [start] [quantity] value1 value2...');
+  console.info(chalk.bold('        coil') + ' [start] value1 value2... (1/0, true/false or on/off)');
+  console.info(chalk.bold('        coils') + ' [start] value1 value2... (always uses Write Multiple Coils)');
+  console.info(chalk.bold('        register') + ' [address] value (Write Single Register)');
+  console.info(chalk.bold('        holding') + ' [start] value1 value2...');
   console.info(chalk.bold('        fifo') + ' [id] value1 value2...');
   console.info(chalk.bold('        object') + ' [id] value1 value2...');
   console.info(chalk.bold('        memory') + ' [address] value1 value2...');
+  console.info('        values: 12, -5, 0x1F, 0b1010, 0x55:16 (repeat), 0..15 (ramp), hex:DEADBEEF,');
+  console.info('        \'"text"\' (UTF-8), @file (values in a file) or - (values from stdin)');
 
   console.info('\r    WriteVerify types:\r');
   console.info(chalk.bold('        memory') + ' [address] value1 value2...');
 
+  console.info('\r    MaskWrite types (register = (register AND and) OR (or AND NOT and)):\r');
+  console.info(chalk.bold('        holding') + ' [address] [and] [or]');
+
+  console.info('\r    ReadWrite types (write registers, then read registers, in one request):\r');
+  console.info(chalk.bold('        holding') + ' [read start] [read quantity] [write start] value1 value2...');
+
+  console.info('\r    Diag types (serial line diagnostics, FC08/FC11/FC12):\r');
+  console.info(chalk.bold('        loopback') + ' [byte1] [byte2]... (return query data; checks the echo)');
+  console.info(chalk.bold('        restart') + ' [clear] (restart communications; clear also clears the event log)');
+  console.info(chalk.bold('        register') + ' | ' + chalk.bold('clear') + ' | ' + chalk.bold('clear-overruns'));
+  console.info(
+    chalk.bold('        bus-messages') +
+      ' | ' +
+      chalk.bold('bus-errors') +
+      ' | ' +
+      chalk.bold('exceptions') +
+      ' | ' +
+      chalk.bold('slave-messages') +
+      ' | ' +
+      chalk.bold('no-response') +
+      ' | ' +
+      chalk.bold('nak') +
+      ' | ' +
+      chalk.bold('busy') +
+      ' | ' +
+      chalk.bold('overruns'),
+  );
+  console.info(chalk.bold('        counters') + ' (all of the above counters)');
+  console.info(chalk.bold('        events') + ' (comm event counter) | ' + chalk.bold('log') + ' (comm event log)');
+
   console.info('\r    Command types:\r');
   console.info(chalk.bold('        [id]') + ' [value1] [value2] ...');
 
   console.info('\r    Generic types (allows any function code to be sent):\r');
   console.info(chalk.bold('        [function]') + ' [value1] [value2] ...');
 
+  console.info('\r    Any read/write/writeverify type may be replaced by a named point:\r');
+  console.info(chalk.bold('        @name') + ' [value] (see --profile-file)');
+
+  console.info('\r    Run (execute a script of steps over one connection):\r');
+  console.info(chalk.bold('        [file]') + ' text (one step per line) or .json script');
+
+  console.info('\r    Shell (interactive prompt over one connection; type help for commands)\r');
+
+  console.info('\r    Flash (write an image to memory, with retries, verify and resume):\r');
+  console.info(chalk.bold('        [file]') + ' [address] .hex/.s19 image, or binary loaded at address');
+
+  console.info('\r    Serve (act as a slave, answering from a JSON register image):\r');
+  console.info(chalk.bold('        [file]') + ' register image; saved when a master writes to it');
+
+  console.info('\r    Sniff (print the requests and responses on an RTU line, without taking part)\r');
+
+  console.info('\r    Replay (decode and print a --capture file, or send its requests again):\r');
+  console.info(chalk.bold('        [file]') + ' [--send] .jsonl or .pcap capture');
+
+  console.info('\r    Snapshot (save registers, objects and memory to a file; compare or restore them):\r');
+  console.info(
+    chalk.bold('        save') +
+      ' <file> | ' +
+      chalk.bold('diff') +
+      ' <file> [file2] | ' +
+      chalk.bold('restore') +
+      ' <file>',
+  );
+
+  console.info('\r    Config (show or change the saved settings, eg tcp.host):\r');
+  console.info(
+    chalk.bold('        list') + ' | ' + chalk.bold('get') + ' <setting> | ' + chalk.bold('set') + ' <setting> <value>',
+  );
+  console.info(
+    chalk.bold('        unset') +
+      ' <setting> | ' +
+      chalk.bold('reset') +
+      ' | ' +
+      chalk.bold('path') +
+      ' | ' +
+      chalk.bold('validate'),
+  );
+  console.info('        (set, unset and reset change the --profile, if given)');
+
+  console.info('\r    Scan (list the unit IDs that respond):\r');
+  console.info(
+    chalk.bold('        --from') +
+      '=1 ' +
+      chalk.bold('--to') +
+      '=247 ' +
+      chalk.bold('--probe') +
+      '=slave|<read type>:<address>',
+  );
+
   console.info(chalk.underline('\rOptions\r'));
   console.info('    -h          This help output\r');
   console.info('    -l          List all ports on the system\r');
@@ -349,218 +529,1768 @@ if (args.h) {
   console.info('    --save      Save configuration for future\r');
   console.info('    --show      Show configuration\r');
   console.info('    --default   Use default configuration rather than saved\r');
+  console.info('    --profile   Use a saved profile (connection settings) by name\r');
+  console.info('    --save-profile Save configuration as a named profile\r');
+  console.info('    --default-profile Profile to use when none is given (empty for none)\r');
   console.info('    --loop      Repeat command until CTRL-C\r');
+  console.info('    --interval  Time between repeats in ms (implies --loop)\r');
+  console.info('    --count     Stop after this many repeats (implies --loop)\r');
+  console.info('    --duration  Stop after this many seconds (implies --loop)\r');
+  console.info('    --on-change Only print responses that differ from the previous one\r');
+  console.info('    --continue  Keep running a script after a step fails\r');
+  console.info('    --profile-file Device profile (.json/.yaml) defining named points\r');
+  console.info('    --type      Data type for register/memory/object values:\r');
+  console.info('                ' + codec.FORMATS.join('/') + '\r');
+  console.info('    --byteorder Byte order within registers (big/little or ABCD/CDAB/BADC/DCBA)\r');
+  console.info('    --wordorder Register order of multi-register values (big/little)\r');
   console.info('    --log       Write info to specified logfile\r');
-  console.info('    --out       Output type (eg csv)\r');
+  console.info('    --file      Read memory into, or write memory from, a .bin/.hex/.s19 file\r');
+  console.info('    --chunk     Bytes per request when using --file or flash (1-250)\r');
+  console.info('    --verify    How flash checks the memory (readback/crc/none)\r');
+  console.info('    --crc-command Command id that returns the CRC of a block (for --verify=crc)\r');
+  console.info('    --block-retries Times flash retries a failed block (default 3)\r');
+  console.info('    --resume    Continue an interrupted flash from the last good block\r');
+  console.info('    --out       Output format (csv/json/table/hex/raw)\r');
+  console.info('    --stats     Show request count, outcomes and latency on exit (--stats=json for JSON)\r');
+  console.info('    --capture   Record every frame sent and received, with timestamps (.jsonl, or .pcap)\r');
+  console.info('    --send      Make replay send the captured requests to the slave, rather than print them\r');
+  console.info('    --holding   Registers for snapshot save, as address[:count] ranges (eg 0:100,0x200:8)\r');
+  console.info('    --objects   Object ids for snapshot save (eg 1,3)\r');
+  console.info('    --memory    Memory for snapshot save, as address[:length] ranges (eg 0x400:256)\r');
   console.info('    --port      Specify serial or CAN port to use\r');
+  console.info('    --host      Specify host name or IP address for TCP/UDP connections\r');
+  console.info('    --tcp-port  Specify TCP/UDP port number (default 502)\r');
   console.info('    --baud      Specify serial baud rate\r');
   console.info('    --canrate   Specify CANBUS baud rate');
   console.info('    --canid     Specify (my) CANBUS node ID');
   console.info('    --slave     ' + 'Specify MODBUS slave ID to communicate with\r');
+  console.info('    --timeout   Time to wait for a response in ms (default 2000)\r');
+  console.info('    --retries   Times to send a request again if it fails (default 0)\r');
+  console.info('    --retry-on-exception Retry exceptions too (or only the given codes, eg =5,6)\r');
+  console.info('    --concurrency Requests that may wait for a response at once (default 2)\r');
+  console.info('    --eof-timeout Silence in ms that ends a received RTU frame (default 40)\r');
   console.info('    --transport ' + 'Specify type of transport to use (ascii/rtu/tunnel/ip/socketcand/j1939)\r');
-  console.info('    --connection ' + 'Specify type of connection to use (serial/tcp/udp/generic/can-usb-com/can)\r');
+  console.info('    --connection ' + 'Specify type of connection to use (serial/tcp/udp/websocket/can-usb-com/can)\r');
 
   console.info(chalk.underline('\rResult\r'));
-  console.info('Return value is 0 if successful\r');
+  console.info('Return value is 0 if successful; otherwise\r');
+  console.info(
+    '    1 other failure (eg snapshot differences), 2 usage error, 3 connection failed, 4 timeout, 5 invalid response\r',
+  );
+  console.info('    10 exception 1-3 (rejected), 11 exception 4/8 (device failure), 12 exception 5-7 (busy)\r');
+  console.info('    13 exception 10/11 (gateway), 14 other exception (eg 0x80 verify error)\r');
   console.info('Output may be directed to a file\r');
   console.info('    e.g. ' + chalk.dim('mb read object 1 >> myConfig.json') + '\r');
   console.info(chalk.underline('Examples\r'));
   console.info('mb -l --connection=serial (list all available serial ports)');
   console.info('mb -l --connection=can (list all available CAN ports)');
+  console.info('mb read slave --connection=can --port=kvaser0 --canrate=500000 --save-profile=kvaser\r');
+  console.info('mb read slave --profile=kvaser (use the settings saved above)\r');
+  console.info('mb config set port.options.baudRate 19200 (change a saved setting)\r');
+  console.info('mb read holding 0 4 --connection=tcp --host=192.168.1.20 (read registers over MODBUS TCP)\r');
   console.info('mb read holding 0 3 (read 3 registers from 0)\r');
   console.info('mb write holding 0 0x100 32 23  ' + '(writes register 0, 1, and 2)\r');
+  console.info('mb write coils 0 1 0 1 1 (set coils 0-3 in one request)\r');
+  console.info('mb maskwrite holding 4 0xFFF0 0x0005 (set the low 4 bits of register 4 to 5)\r');
+  console.info('mb readwrite holding 0 4 10 1 2 (write registers 10 and 11, then read 0-3)\r');
+  console.info('mb diag counters --slave=3 (show the error counters kept by slave 3)\r');
+  console.info('mb diag loopback 1 2 3 4 --count=100 (repeat a loopback test 100 times)\r');
   console.info('mb read slave  (retrieve device info)\r');
+  console.info('mb read identification regular (show vendor, product, revision and more)\r');
   console.info('mb read slave --port=COM1 --baud=19200 ' + '--slave=12 --save (save defaults)\r');
   console.info(
     'mb read memory 0x400 16 --connection=can --port=canlib_0 (Read 16 bytes of memory starting at 0x400 using channel 0 of a Kvaser CAN adapter)',
   );
   console.info('mb read object 3 --loop --out=csv' + ' (keep reading object 3 and print in CSV)\r');
+  console.info('mb read holding 0 8 --out=table (show registers with their addresses)\r');
+  console.info('mb read holding 0 500 --out=csv (large ranges are split into as many requests as needed)\r');
+  console.info('mb read memory 0 256 --out=raw > image.bin (save the bytes to a file)\r');
+  console.info('mb read memory 0 0x2000 --file=cal.hex (save 8k of memory as Intel HEX)\r');
+  console.info('mb writeverify memory --file=cal.hex (write cal.hex back to memory and verify it)\r');
+  console.info('mb flash firmware.s19 --resume (continue an interrupted firmware update)\r');
+  console.info('mb scan --from=1 --to=32 --probe=holding:0 (find units 1-32 by reading register 0)\r');
+  console.info('mb serve device.json --connection=tcp --tcp-port=5020 (simulate a device over TCP)\r');
+  console.info('mb sniff --port=/dev/ttyUSB0 --baud=19200 --out=json (log the traffic on an RS-485 line)\r');
+  console.info('mb read holding 0 10 --loop --capture=site.jsonl (record the frames, with timing, for analysis)\r');
+  console.info('mb replay site.jsonl (show the requests and responses in a capture, with their timing)\r');
+  console.info('mb replay site.jsonl --send --slave=2 (send the captured requests again)\r');
+  console.info('mb snapshot save good.json --holding=0:100 --objects=1,3 --memory=0x400:256 (save the settings)\r');
+  console.info('mb snapshot diff good.json --slave=4 (show what unit 4 has that differs from good.json)\r');
+  console.info('mb snapshot restore good.json --slave=4 (write back only the values that differ)\r');
+  console.info('mb run setup.txt --continue (execute each step in setup.txt, even if some fail)\r');
+  console.info('mb read holding 0 2 --type=float32 --wordorder=little (read 2 word-swapped floats)\r');
+  console.info('mb write holding 0 -12 3 --type=int32 (write signed 32-bit values)\r');
+  console.info('mb write holding 0 -12.5 3 --type=float32 (write 32-bit floating point values)\r');
+  console.info('mb write memory 0x400 0..255 hex:DEADBEEF (write a ramp of bytes, then 4 more given in hex)\r');
+  console.info('mb write holding 0 @table.txt (write the register values listed in table.txt)\r');
+  console.info('mb read @motor_speed --profile-file=motor.json (read a named point)\r');
+  console.info('mb write @setpoint 12.5 (write a named point using the saved profile)\r');
+  console.info('mb shell --slave=12 (open an interactive prompt for slave 12)\r');
   console.info('mb read holding 0x100 2 --loop --out=csv' + ' --log=debug.log (keep reading object 3 and print in CSV)\r');
+  console.info('mb read coil 0 8 --interval=1000 --on-change (check coils every second, print changes)\r');
+  console.info('mb read holding 0 10 --count=1000 --stats (measure response times over 1000 reads)\r');
+  console.info('mb read holding 0 10 --timeout=500 --retries=3 --save (make retries the default)\r');
 
   process.exit(0);
 }
 
-// Once the port is connected, do whatever action was requested
-function doAction() {
+/**
+ * Builds the options object passed to the master for a transaction
+ *
+ * @param  {[object]}   options  runAction() options
+ * @param  {[function]} callback called when the transaction completes
+ * @return {[object]}            transaction options
+ */
+function transactionOptions(options, callback) {
+  // 'done' comes once the retries are used up, where 'complete' would
+  // come after every attempt
+  var result = {onDone: callback};
+
+  ['unit', 'timeout', 'maxRetries'].forEach(function (key) {
+    if ('undefined' !== typeof options[key]) {
+      result[key] = options[key];
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Wraps a callback so the response values are decoded first
+ *
+ * The decoded values are attached to the response as response.decoded.
+ *
+ * @param  {[function]} callback called with (err, response)
+ * @param  {[object]}   options  runAction() options (type, order)
+ * @return {[function]}          the wrapped callback
+ */
+function decodeResponse(callback, options) {
+  if (!options.type) {
+    return callback;
+  }
+
+  return function (err, response) {
+    if (!err && !response.isException()) {
+      try {
+        response.decoded = codec.decodeAll(options.type, response.getValues(), options.order);
+      } catch (e) {
+        err = e;
+      }
+    }
+    callback(err, response);
+  };
+}
+
+/**
+ * Picks the runAction() options out of parsed command line arguments
+ *
+ * Throws if --timeout or --retries is not valid.
+ *
+ * @param  {[object]} argv parsed arguments (eg args)
+ * @return {[object]}      runAction() options
+ */
+function actionOptions(argv) {
+  var options = {};
+
+  if (argv.type) {
+    options.type = argv.type;
+  }
+  if (argv.byteorder || argv.wordorder) {
+    options.order = codec.parseOrder(argv.byteorder, argv.wordorder);
+  }
+  if (argv.file) {
+    options.file = String(argv.file);
+  }
+  if ('undefined' !== typeof argv.chunk) {
+    options.chunk = argv.chunk;
+  }
+
+  // a script step (or shell command) may have its own timeout and retries
+  ['timeout', 'retries'].forEach(function (option) {
+    var value = argv[option];
+
+    if ('undefined' === typeof value) {
+      return;
+    }
+    if ('number' !== typeof value || value < 0 || value % 1) {
+      throw new Error('Invalid ' + option + ': ' + value + ' (use a whole number of at least 0)');
+    }
+    options[option === 'retries' ? 'maxRetries' : option] = value;
+  });
+
+  return options;
+}
+
+// The actions understood by runAction(), and the types each one accepts
+var ACTION_TYPES = {
+  read: ['coil', 'discrete', 'holding', 'input', 'slave', 'identification', 'fifo', 'object', 'memory'],
+  write: ['coil', 'coils', 'register', 'holding', 'fifo', 'object', 'memory'],
+  writeverify: ['memory'],
+  maskwrite: ['holding'],
+  readwrite: ['holding'],
+  diag: require('./lib/diagnostics').ACTIONS,
+  command: [],
+  generic: [],
+};
+
+/**
+ * Performs a single action against the slave
+ *
+ * Throws if the action or its arguments are not valid; otherwise the
+ * callback is called when the transaction completes.
+ *
+ * @param  {[array]}    words    action, type and arguments (eg args._)
+ * @param  {[function]} callback called with (err, response)
+ * @param  {[object]}   options  optional; transaction options (unit, timeout)
+ *                               and data format (type, order)
+ */
+function runAction(words, callback, options) {
+  var action = words[0];
+  var type;
   var address;
   var quantity;
   var id;
   var max;
   var values;
+  var buf;
 
-  try {
-    // Now do the action that was requested
-    switch (action) {
-      case 'read':
-        // Validate what we are supposed to get
-        var type = args._[1] || 'unknown';
-
-        switch (type) {
-          case 'coil':
-            address = args._[2] || 0;
-            quantity = args._[3] || 1;
-            master.readCoils(address, quantity, output);
-            break;
+  // named points are translated using the device profile
+  if ('string' === typeof words[1] && words[1].charAt(0) === '@') {
+    runPointAction(words, callback, options);
+    return;
+  }
+
+  options = options || {};
+
+  var format = options.type;
+
+  if (format && !codec.isFormat(format)) {
+    throw new Error('Unknown data type: ' + format + ' (use ' + codec.FORMATS.join(', ') + ')');
+  }
+
+  var transaction;
+
+  // the request is kept with the response, so the output can show addresses
+  function withRequest(err, response) {
+    if (response && transaction) {
+      response.request = transaction.getRequest();
+    }
+    callback(err, response);
+  }
+
+  var done = transactionOptions(options, withRequest);
+
+  // reads of registers, memory and objects are decoded if a type was given
+  var decoded = transactionOptions(options, decodeResponse(withRequest, options));
+
+  // ranges too large for one request are split into several
+  var ranges = require('./lib/ranges');
+
+  switch (action) {
+    case 'read':
+      // Validate what we are supposed to get
+      type = words[1] || 'unknown';
+
+      switch (type) {
+        case 'coil':
+          address = words[2] || 0;
+          quantity = words[3] || 1;
+
+          if (ranges.isSplit(0x01, quantity)) {
+            ranges.read(master, 0x01, address, quantity, transactionOptions(options), callback);
+          } else {
+            transaction = master.readCoils(address, quantity, done);
+          }
+          break;
+
+        case 'discrete':
+          address = words[2] || 0;
+          quantity = words[3] || 1;
+
+          if (ranges.isSplit(0x02, quantity)) {
+            ranges.read(master, 0x02, address, quantity, transactionOptions(options), callback);
+          } else {
+            transaction = master.readDiscreteInputs(address, quantity, done);
+          }
+          break;
+
+        case 'holding':
+          address = words[2] || 0;
+          quantity = format ? codec.registerCount(format, words[3] || 1) : words[3] || 1;
+
+          if (ranges.isSplit(0x03, quantity)) {
+            ranges.read(master, 0x03, address, quantity, transactionOptions(options), decodeResponse(callback, options));
+          } else {
+            transaction = master.readHoldingRegisters(address, quantity, decoded);
+          }
+          break;
+
+        case 'input':
+          address = words[2] || 0;
+          quantity = format ? codec.registerCount(format, words[3] || 1) : words[3] || 1;
 
-          case 'discrete':
-            address = args._[2] || 0;
-            quantity = args._[3] || 1;
-            master.readDiscreteInputs(address, quantity, output);
+          if (ranges.isSplit(0x04, quantity)) {
+            ranges.read(master, 0x04, address, quantity, transactionOptions(options), decodeResponse(callback, options));
+          } else {
+            transaction = master.readInputRegisters(address, quantity, decoded);
+          }
+          break;
+
+        case 'slave':
+          transaction = master.reportSlaveId(done);
+          break;
+
+        case 'identification': {
+          // more than one request may be needed to read all the objects
+          var identification = require('./lib/identification');
+          var what = identification.parseCategory(words[2]);
+
+          identification.read(master, what.readCode, what.objectId, transactionOptions(options), callback);
+          break;
+        }
+
+        case 'fifo':
+          id = words[2] || 0;
+          max = words[3] || 250;
+          transaction = master.readFifo8(id, max, done);
+          break;
+
+        case 'object':
+          id = words[2] || 0;
+          transaction = master.readObject(id, decoded);
+          break;
+
+        case 'memory': {
+          if (options.file) {
+            runFileAction(words, callback, options);
             break;
+          }
+
+          address = parseNumber(words[2], 0);
+          var length = parseNumber(words[3], 1);
+
+          if (format) {
+            length = codec.byteCount(format, length);
+          }
+          transaction = master.readMemory(address, length, decoded);
+          break;
+        }
+
+        default:
+          throw new Error('Trying to read unknown item ' + type);
+      }
+
+      break;
+
+    case 'write':
+      // Validate what we are supposed to set
+      type = words[1] || 'unknown';
+
+      switch (type) {
+        case 'coil':
+        case 'coils':
+          address = words[2] || 0;
+          values = words.length > 3 ? words.slice(3).map(parseState) : [true];
+
+          // several coils are written with Write Multiple Coils
+          if (ranges.isSplit(0x0f, values.length)) {
+            ranges.write(master, 0x0f, address, values, transactionOptions(options), callback);
+          } else if (type === 'coils' || values.length > 1) {
+            transaction = master.writeMultipleCoils(address, values, done);
+          } else {
+            transaction = master.writeSingleCoil(address, values[0], done);
+          }
+          break;
+
+        case 'register': {
+          address = words[2] || 0;
+          values = format ? argsToTyped(format, words, 3, options.order) : argsToWordBuf(words, 3);
+
+          if (values.length !== 2) {
+            throw new Error('Must specify one register value (use write holding for several)');
+          }
+          transaction = master.writeSingleRegister(address, values.readUInt16BE(0), done);
+          break;
+        }
+
+        case 'holding': {
+          address = words[2] || 0;
+          values = format ? argsToTyped(format, words, 3, options.order) : argsToWordBuf(words, 3);
+
+          if (values.length < 2) {
+            throw new Error('No values specified ');
+          }
+          if (values.length % 2) {
+            throw new Error('Values do not fill a whole number of registers');
+          }
+
+          if (ranges.isSplit(0x10, values.length / 2)) {
+            ranges.write(master, 0x10, address, values, transactionOptions(options), callback);
+          } else {
+            transaction = master.writeMultipleRegisters(address, values, done);
+          }
+          break;
+        }
 
-          case 'holding':
-            address = args._[2] || 0;
-            quantity = args._[3] || 1;
-            master.readHoldingRegisters(address, quantity, output);
+        case 'fifo':
+          id = words[2] || 0;
+          values = words[3] || 0;
+          transaction = master.writeFifo8(id, [values], done);
+          break;
+
+        case 'object':
+          id = words[2] || 0;
+          values = format ? argsToTyped(format, words, 3, options.order) : argsToByteBuf(words, 3);
+
+          transaction = master.writeObject(id, values, done);
+          break;
+
+        case 'memory': {
+          if (options.file) {
+            runFileAction(words, callback, options);
             break;
+          }
 
-          case 'input':
-            address = args._[2] || 0;
-            quantity = args._[3] || 1;
-            master.readInputRegisters(address, quantity, output);
+          address = parseNumber(words[2], 0);
+          values = format ? argsToTyped(format, words, 3, options.order) : argsToByteBuf(words, 3);
+
+          transaction = master.writeMemory(address, values, done);
+          break;
+        }
+
+        default:
+          throw new Error('Trying to write unknown item ' + type);
+      }
+
+      break;
+
+    case 'writeverify':
+      // Validate what we are supposed to set
+      type = words[1] || 'unknown';
+
+      switch (type) {
+        case 'memory': {
+          if (options.file) {
+            runFileAction(words, callback, options);
             break;
+          }
+
+          address = parseNumber(words[2], 0);
+          values = format ? argsToTyped(format, words, 3, options.order) : argsToByteBuf(words, 3);
+
+          transaction = master.writeMemoryVerify(address, values, done);
+          break;
+        }
+
+        default:
+          throw new Error('Trying to writeverify unknown item ' + type);
+      }
+
+      break;
+
+    case 'maskwrite':
+      type = words[1] || 'unknown';
+
+      if (type !== 'holding') {
+        throw new Error('Trying to maskwrite unknown item ' + type);
+      }
+      if (words.length !== 5) {
+        throw new Error('Must specify address, AND mask and OR mask');
+      }
+
+      transaction = master.request(
+        new functions.MaskWriteRegisterRequest(parseNumber(words[2]), parseNumber(words[3]), parseNumber(words[4])),
+        done,
+      );
+      break;
+
+    case 'readwrite': {
+      type = words[1] || 'unknown';
+
+      if (type !== 'holding') {
+        throw new Error('Trying to readwrite unknown item ' + type);
+      }
+      if (words.length < 6) {
+        throw new Error('Must specify read address, read quantity, write address and values');
+      }
+
+      // the read quantity counts values of the --type, like read holding
+      quantity = format ? codec.registerCount(format, words[3]) : words[3];
+      values = format ? argsToTyped(format, words, 5, options.order) : argsToWordBuf(words, 5);
+
+      transaction = master.request(
+        new functions.ReadWriteRegistersRequest(parseNumber(words[2]), quantity, parseNumber(words[4]), values),
+        decoded,
+      );
+      break;
+    }
+
+    case 'diag':
+      if (words.length < 2) {
+        throw new Error('Must specify the diagnostic (' + ACTION_TYPES.diag.join(', ') + ')');
+      }
+      require('./lib/diagnostics').run(master, words[1], words.slice(2), transactionOptions(options), callback);
+      break;
+
+    case 'command':
+      // Validate what we are supposed to set
+      if (words.length < 2) {
+        throw new Error('Must specify command id');
+      }
+      buf = argsToByteBuf(words, 2);
+
+      transaction = master.command(words[1], buf, done);
+      break;
+
+    case 'generic':
+      // Validate what we are supposed to set
+      if (words.length < 2) {
+        throw new Error('Must specify function code');
+      }
+      buf = argsToByteBuf(words, 2);
+
+      transaction = master.sendGeneric(words[1], buf, done);
+      break;
+
+    default:
+      throw new Error('Unknown action: ' + action);
+  }
+}
+
+/**
+ * Reads memory into a file, or writes a file to memory (--file)
+ *
+ * The memory is read or written in as many requests as needed.  The
+ * file may be binary, Intel HEX or S-record, depending on its extension;
+ * HEX and S-record files carry their own addresses.
+ *
+ * @param  {[array]}    words    action words (eg ['read', 'memory', 0, 4096])
+ * @param  {[function]} callback called with (err, response) when done
+ * @param  {[object]}   options  action options (file, chunk, unit...)
+ */
+function runFileAction(words, callback, options) {
+  var image = require('./lib/image');
+  var memory = require('./lib/memory');
+  var filename = options.file;
+  var binary = image.formatOf(filename) === 'binary';
+  var address = parseNumber(words[2], 0);
+
+  var settings = {
+    chunk: memory.chunkSize(config.master.transport.type, options.chunk),
+    verify: words[0] === 'writeverify',
+    transaction: transactionOptions(options),
+  };
+
+  if (words[0] === 'read') {
+    var length = parseNumber(words[3], 0);
+
+    if (!length) {
+      throw new Error('Must specify the number of bytes to read');
+    }
+
+    memory.read(master, address, length, settings, function (err, data, response) {
+      if (!err && data) {
+        try {
+          image.save(filename, [{address: address, data: data}]);
+          response.summary = 'Saved ' + length + ' bytes from 0x' + address.toString(16) + ' to ' + filename;
+        } catch (e) {
+          err = e;
+        }
+      }
+      callback(err, response);
+    });
+  } else {
+    if (!binary && 'undefined' !== typeof words[2]) {
+      throw new Error('The address is taken from ' + filename + '; it can only be given for binary files');
+    }
+
+    var segments = image.load(filename, address);
+    var total = segments.reduce((sum, segment) => sum + segment.data.length, 0);
+
+    if (total === 0) {
+      throw new Error('No data in ' + filename);
+    }
+
+    memory.write(master, segments, settings, function (err, response) {
+      if (!err && !response.isException()) {
+        response.summary = 'Wrote ' + total + ' bytes from ' + filename;
+      }
+      callback(err, response);
+    });
+  }
+}
+
+/**
+ * Returns the device profile, loading it the first time
+ *
+ * @return {[object]} the profile
+ */
+function getProfile() {
+  if (!deviceProfile) {
+    if (!config.profileFile) {
+      throw new Error('No device profile; use --profile-file to select one');
+    }
+    deviceProfile = require('./lib/profile').load(config.profileFile);
+  }
+  return deviceProfile;
+}
+
+/**
+ * Reads or writes a named point from the device profile
+ *
+ * The point is translated to the equivalent raw action; reads attach the
+ * decoded value to the response as response.point.
+ *
+ * @param  {[array]}    words    action, @name and value(s)
+ * @param  {[function]} callback called with (err, response)
+ * @param  {[object]}   options  optional transaction options
+ */
+function runPointAction(words, callback, options) {
+  var profile = require('./lib/profile');
+  var point = profile.find(getProfile(), words[1]);
+  var action = words[0];
+  var raw;
+
+  // the point defines its own data format
+  options = Object.assign({}, options, {type: undefined, order: undefined});
+
+  if (action === 'read') {
+    if (point.access.indexOf('r') < 0) {
+      throw new Error('@' + point.name + ' is write-only');
+    }
+
+    if (point.space === 'memory') {
+      raw = ['read', 'memory', point.address, point.length];
+    } else if (point.space === 'object') {
+      raw = ['read', 'object', point.address];
+    } else {
+      raw = ['read', point.space, point.address, point.quantity || 1];
+    }
+
+    runAction(
+      raw,
+      function (err, response) {
+        if (!err && !response.isException()) {
+          try {
+            var data = point.type === 'bool' ? response.getStates()[0] : response.getValues();
+
+            response.point = {name: point.name, value: profile.toValue(point, data), units: point.units};
+          } catch (e) {
+            err = e;
+          }
+        }
+        callback(err, response);
+      },
+      options,
+    );
+  } else if (action === 'write' || action === 'writeverify') {
+    if (point.access.indexOf('w') < 0) {
+      throw new Error('@' + point.name + ' is read-only');
+    }
+    if (words.length < 3) {
+      throw new Error('No value specified');
+    }
+
+    var value;
+
+    if (point.type === 'bytes') {
+      value = profile.fromValue(point, argsToByteBuf(words, 2));
+    } else if (point.type === 'bool') {
+      value = profile.fromValue(point, parseState(words[2]));
+    } else if (point.type === 'string') {
+      // text quoted in a script or the shell is written without its quotes
+      value = profile.fromValue(point, words.slice(2).map(require('./lib/script').unquote).join(' '));
+    } else {
+      value = profile.fromValue(point, Number(words[2]));
+    }
+
+    if (point.space === 'coil') {
+      raw = [action, 'coil', point.address, value];
+    } else if (point.space === 'holding') {
+      raw = [action, 'holding', point.address];
+      for (var i = 0; i < value.length; i += 2) {
+        raw.push(value.readUInt16BE(i));
+      }
+    } else {
+      raw = [action, point.space, point.address].concat(Array.from(value));
+    }
+
+    runAction(raw, callback, options);
+  } else {
+    throw new Error('Named points can only be used with read, write or writeverify');
+  }
+}
+
+// Once the port is connected, do whatever action was requested
+function doAction() {
+  if (action === 'run') {
+    runScript(script);
+    return;
+  }
+
+  if (action === 'shell') {
+    startShell();
+    return;
+  }
+
+  if (action === 'flash') {
+    runFlash();
+    return;
+  }
+
+  if (action === 'scan') {
+    runScan();
+    return;
+  }
+
+  if (action === 'replay') {
+    runReplay(replayed);
+    return;
+  }
+
+  if (action === 'snapshot') {
+    runSnapshot();
+    return;
+  }
+
+  try {
+    runAction(args._, output, actionOptions(args));
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    if (connectionType === 'serial' && err.name == 'TypeError [ERR_INVALID_ARG_TYPE]') {
+      console.error(chalk.red("Did you mean to use '--connection=can-usb-com'?"));
+    }
+    exit(EXIT_CODES.usage);
+  }
+}
+
+/**
+ * Executes the steps of a script one after another
+ *
+ * Stops at the first failed step unless --continue was specified, then
+ * prints a summary and exits with 0 if every step passed, or else with
+ * the exit code of the first step that failed.
+ *
+ * @param  {[object]} script as returned by script.load()
+ */
+function runScript(script) {
+  var steps = script.steps;
+  var total = steps.filter((step) => !step.delay).length;
+  var passed = 0;
+  var failed = 0;
+  var counter = 0;
+  var code = EXIT_CODES.ok;
+
+  // with --out, progress goes to stderr so stdout holds only the data
+  var log = args.out ? console.error : console.info;
+
+  function finish() {
+    var skipped = total - passed - failed;
+    var summary = passed + ' passed, ' + failed + ' failed' + (skipped > 0 ? ', ' + skipped + ' skipped' : '');
+
+    log(failed ? chalk.red('FAIL: ' + summary) : chalk.green('PASS: ' + summary));
+    exit(code);
+  }
+
+  function next(index) {
+    if (index >= steps.length) {
+      finish();
+      return;
+    }
+
+    var step = steps[index];
+
+    if (step.delay) {
+      setTimeout(next, step.delay, index + 1);
+      return;
+    }
+
+    var label = '[' + ++counter + '/' + total + '] ' + step.text;
+    var started = new Date().getTime();
+
+    // whether exceptions are retried is up to the master, so a step's own
+    // --retry-on-exception is undone when the step is over
+    var retryOnException = master.options.retryOnException;
+
+    function done(err, response) {
+      var elapsed = new Date().getTime() - started + 'ms';
+
+      master.options.retryOnException = retryOnException;
+
+      if (!err && response.isException()) {
+        err = errors.exceptionError(response);
+      }
+
+      if (err) {
+        failed++;
+        code = code || errors.exitCode(err, response);
+        log(chalk.red(label + ' FAILED (' + elapsed + '): ' + err.message));
+
+        if (!args.continue) {
+          finish();
+          return;
+        }
+      } else {
+        passed++;
+        if (args.out) {
+          log(chalk.green(label + ' OK (' + elapsed + ')'));
+          printResponse(response);
+        } else {
+          console.info(chalk.green(label + ' OK (' + elapsed + '): ') + describeResponse(response));
+        }
+      }
+
+      next(index + 1);
+    }
+
+    try {
+      if ('undefined' !== typeof step.argv['retry-on-exception']) {
+        master.options.retryOnException = configuration.parseRetryOnException(step.argv['retry-on-exception']);
+
+        if (!configuration.isRetryOnException(master.options.retryOnException)) {
+          throw new Error(
+            'Invalid retry-on-exception: ' +
+              step.argv['retry-on-exception'] +
+              ' (use true, false or exception codes, eg 5,6)',
+          );
+        }
+      }
+
+      runAction(step.argv._, done, actionOptions(Object.assign({}, args, step.argv)));
+    } catch (err) {
+      done(err);
+    }
+  }
+
+  next(0);
+}
+
+/**
+ * Draws a progress bar with the throughput on stderr
+ *
+ * The bar is only drawn on a terminal, so redirected output stays clean.
+ *
+ * @param  {[number]} done  bytes written so far
+ * @param  {[number]} total total bytes to write
+ * @param  {[number]} rate  bytes per second
+ */
+function showProgress(done, total, rate) {
+  var width = 30;
+  var filled = Math.round((done / total) * width);
+  var percent = ('  ' + Math.floor((done / total) * 100)).slice(-3);
+
+  if (process.stderr.isTTY) {
+    process.stderr.write(
+      '\r[' +
+        '#'.repeat(filled) +
+        '.'.repeat(width - filled) +
+        '] ' +
+        percent +
+        '% ' +
+        done +
+        '/' +
+        total +
+        ' bytes ' +
+        (rate / 1024).toFixed(1) +
+        ' kB/s ',
+    );
+  }
+}
+
+/**
+ * Writes an image to memory, for the 'flash' action
+ *
+ * Progress is saved after each block, so an upload that is interrupted
+ * (eg by a dropped connection) can be continued with --resume.
+ */
+function runFlash() {
+  var fs = require('fs');
+  var flash = require('./lib/flash');
+  var memory = require('./lib/memory');
+  var stateFile = CONFIG_FOLDER + '/.cs-mb-cli-flash.json';
+  var method = args.verify || 'readback';
+  var retries = 'undefined' === typeof args['block-retries'] ? 3 : args['block-retries'];
+  var chunk;
+  var blocks;
+
+  try {
+    chunk = memory.chunkSize(config.master.transport.type, args.chunk);
+    blocks = flash.blocks(flashImage, chunk);
+
+    if (flash.VERIFY_METHODS.indexOf(method) < 0) {
+      throw new Error('Unknown verify method ' + method + ' (use ' + flash.VERIFY_METHODS.join(', ') + ')');
+    }
+    if (method === 'crc' && 'number' !== typeof args['crc-command']) {
+      throw new Error('Must specify --crc-command to verify by CRC');
+    }
+    if ('number' !== typeof retries || retries < 0) {
+      throw new Error('Invalid block-retries: ' + retries);
+    }
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    exit(EXIT_CODES.usage);
+  }
+
+  var total = blocks.reduce((sum, block) => sum + block.data.length, 0);
+
+  // identifies this upload, so --resume only continues the same one
+  var upload = {
+    file: path.resolve(args._[1]),
+    fingerprint: flash.fingerprint(flashImage),
+    unit: config.master.defaultUnit,
+    chunk: chunk,
+  };
+
+  var start = 0;
+
+  if (args.resume) {
+    var saved;
+
+    try {
+      saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    } catch (ignore) {
+      saved = {};
+    }
+
+    if (Object.keys(upload).some((key) => saved[key] !== upload[key])) {
+      console.error(chalk.red('No interrupted upload of ' + args._[1] + ' to resume'));
+      exit(EXIT_CODES.usage);
+    }
+    start = saved.block;
+    console.error('Resuming at block ' + start + ' of ' + blocks.length);
+  }
+
+  var started = new Date().getTime();
+  var skipped = blocks.slice(0, start).reduce((sum, block) => sum + block.data.length, 0);
+  var written = skipped;
+
+  function rate() {
+    return (written - skipped) / ((new Date().getTime() - started) / 1000 || 1);
+  }
+
+  var settings = {
+    chunk: chunk,
+    start: start,
+    retries: retries,
+    verify: method,
+    crcCommand: args['crc-command'],
+    transaction: transactionOptions({}),
+
+    onBlock: function (index) {
+      written += blocks[index].data.length;
+      fs.writeFileSync(stateFile, JSON.stringify(Object.assign({block: index + 1}, upload)));
+      showProgress(written, total, rate());
+    },
+
+    onRetry: function (index, err) {
+      if (process.stderr.isTTY) {
+        process.stderr.write('\n');
+      }
+      console.error(chalk.yellow('Retrying block ' + index + ': ' + err.message));
+    },
+  };
+
+  showProgress(written, total, 0);
+
+  flash.write(master, blocks, settings, function (err) {
+    var seconds = (new Date().getTime() - started) / 1000;
+    var summary =
+      'Wrote ' +
+      (written - skipped) +
+      ' bytes in ' +
+      (blocks.length - start) +
+      ' blocks (' +
+      seconds.toFixed(1) +
+      ' s, ' +
+      (rate() / 1024).toFixed(1) +
+      ' kB/s)';
+
+    if (process.stderr.isTTY) {
+      process.stderr.write('\n');
+    }
+
+    if (err) {
+      console.error(chalk.red(err.message));
+      console.error('Run again with --resume to continue from block ' + err.block);
+      exit(errors.exitCode(err));
+    }
+
+    if (method !== 'none') {
+      console.error('Verifying (' + method + ')...');
+    }
+
+    flash.verify(master, flashImage, settings, function (err) {
+      if (err) {
+        console.error(chalk.red(err.message));
+        exit(errors.exitCode(err));
+      }
+
+      try {
+        fs.unlinkSync(stateFile);
+      } catch (ignore) {
+        // there is nothing to remove if no block was written
+      }
+
+      console.info(chalk.green(summary + (method === 'none' ? '' : ', verified by ' + method)));
+      exit(0);
+    });
+  });
+}
+
+/**
+ * Probes a range of unit IDs and lists those that respond, for the 'scan' action
+ *
+ * Each unit is sent a probe (report slave ID unless --probe selects a read
+ * of some other type) with a short timeout and no retries.  A unit that
+ * replies with an exception is present, so it is listed too.  Errors other
+ * than timeouts stop the scan, with the exit code for the error.
+ */
+function runScan() {
+  var format = require('./lib/format');
+  var from = 'undefined' === typeof args.from ? 1 : args.from;
+  var to = 'undefined' === typeof args.to ? 247 : args.to;
+  var found = [];
+
+  // with --out, only the results go to stdout
+  var log = args.out ? console.error : console.info;
+
+  function describe(response) {
+    if (response.isException()) {
+      return 'exception: ' + response.toString();
+    }
+    if (response.getCode() === 0x11) {
+      var values = response.getValues();
+      var serial = values.length === 4 ? ' serial ' + values.readUInt32BE(0) : '';
+
+      return 'product ' + response.product + ' version ' + response.getVersion() + serial;
+    }
+    return 'responded';
+  }
+
+  function report(result) {
+    var unit = result.unit;
+    var elapsed = result.time;
+    var response = result.response;
+
+    if (process.stderr.isTTY) {
+      process.stderr.write('\r' + ' '.repeat(30) + '\r');
+    }
+
+    found.push([unit, elapsed + ' ms', describe(response)]);
+
+    if (args.out === 'json') {
+      console.info(JSON.stringify(Object.assign({unit: unit, time: elapsed}, format.toObject(response))));
+    } else if (args.out === 'csv') {
+      console.info(
+        unit + ',' + elapsed + ',' + (response.isException() ? response.getExceptionCode() : '') + ',' + describe(response),
+      );
+    } else if (args.out !== 'table') {
+      console.info(chalk.green('Unit ' + unit) + ' (' + elapsed + ' ms): ' + describe(response));
+    }
+  }
+
+  require('./index')
+    .scan(master, {
+      from: from,
+      to: to,
+      probe: args.probe,
+      timeout: args.timeout,
+      onProbe: function (unit) {
+        if (process.stderr.isTTY) {
+          process.stderr.write('\rScanning unit ' + unit + '... ');
+        }
+      },
+      onFound: report,
+    })
+    .then(function () {
+      if (process.stderr.isTTY) {
+        process.stderr.write('\r' + ' '.repeat(30) + '\r');
+      }
+      if (args.out === 'table') {
+        console.info(format.layout(['unit', 'time', 'response'], found));
+      }
+      log('Found ' + found.length + ' of ' + (to - from + 1) + ' units');
+      exit(found.length ? EXIT_CODES.ok : EXIT_CODES.timeout);
+    })
+    .catch(function (err) {
+      if (process.stderr.isTTY) {
+        process.stderr.write('\r' + ' '.repeat(30) + '\r');
+      }
+      console.error(chalk.red(err.message));
+
+      // errors without a unit are bad options, found before any probe
+      exit('undefined' === typeof err.unit ? EXIT_CODES.usage : errors.exitCode(err));
+    });
+}
+
+/**
+ * Saves, compares or restores a snapshot of the slave, for the 'snapshot' action
+ *
+ * diff exits with 1 if anything differs from the snapshot, and restore
+ * writes back only what differs.
+ */
+function runSnapshot() {
+  var memory = require('./lib/memory');
+  var snapshot = require('./lib/snapshot');
+  var operation = args._[1];
+  var file = String(args._[2]);
+  var options;
+
+  // with --out, only the differences go to stdout
+  var log = args.out ? console.error : console.info;
+
+  try {
+    options = {chunk: memory.chunkSize(config.master.transport.type, args.chunk), transaction: transactionOptions({})};
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    exit(EXIT_CODES.usage);
+  }
+
+  var set = operation === 'save' ? snapshotSet : snapshot.setOf(savedSnapshot);
+
+  snapshot.read(master, set, options, function (err, live) {
+    if (err) {
+      console.error(chalk.red(err.message));
+      exit(errors.exitCode(err));
+    }
+
+    if (operation === 'save') {
+      live.unit = config.master.defaultUnit;
+
+      try {
+        snapshot.save(file, live);
+      } catch (err) {
+        console.error(chalk.red(err.message));
+        exit(EXIT_CODES.failed);
+      }
+
+      log(chalk.green('Saved ' + snapshot.describe(set) + ' to ' + file));
+      exit(0);
+    }
+
+    var differences = snapshot.compare(savedSnapshot, live);
+
+    printDifferences(differences, [path.basename(file), 'device']);
+
+    if (operation === 'diff' || !differences.length) {
+      exit(differences.length ? EXIT_CODES.failed : EXIT_CODES.ok);
+    }
+
+    snapshot.restore(master, differences, options, function (err) {
+      if (err) {
+        console.error(chalk.red(err.message));
+        exit(errors.exitCode(err));
+      }
+
+      log(chalk.green('Restored ' + differences.length + (differences.length === 1 ? ' difference' : ' differences')));
+      exit(0);
+    });
+  });
+}
+
+/**
+ * Prints the differences between a snapshot and the device (or another
+ * snapshot), followed by a count on stderr if --out is used
+ *
+ * @param  {[array]} differences as returned by snapshot.compare()
+ * @param  {[array]} names       names of the two sides, eg ['good.json', 'device']
+ */
+function printDifferences(differences, names) {
+  var rows = require('./lib/snapshot').toRows(differences);
+  var log = args.out ? console.error : console.info;
+
+  function value(data) {
+    return Buffer.isBuffer(data) ? data.toString('hex') : 'undefined' === typeof data ? null : data;
+  }
+
+  if (args.out === 'json') {
+    differences.forEach(function (difference) {
+      console.info(
+        JSON.stringify({
+          space: difference.space,
+          address: difference.address,
+          expected: value(difference.expected),
+          actual: value(difference.actual),
+        }),
+      );
+    });
+  } else if (args.out === 'csv') {
+    rows.forEach((row) => console.info(row.join(',')));
+  } else if (rows.length) {
+    // the changed values come last, so highlighting them keeps the columns aligned
+    console.info(
+      require('./lib/format').layout(
+        ['space', 'address'].concat(names),
+        rows.map((row) => row.slice(0, 3).concat(chalk.red(row[3]))),
+      ),
+    );
+  }
+
+  log(
+    differences.length
+      ? chalk.yellow(differences.length + (differences.length === 1 ? ' difference' : ' differences'))
+      : chalk.green('No differences'),
+  );
+}
+
+/**
+ * Acts as a slave, answering requests from the register image, for the
+ * 'serve' action
+ *
+ * Changes made by masters are saved back to the image file, and changes
+ * made to the file (eg in an editor) are picked up while running.
+ *
+ * @return {[object]} the server, socket or serial port in use
+ */
+function runServe() {
+  var fs = require('fs');
+  var registers = require('./lib/registers');
+  var filename = args._[1];
+  var connection = config.master.transport.connection.type;
+  var transport = config.master.transport.type;
+  var unit = args.slave || args.unit;
+  var saveTimer = null;
+  var saved;
+  var serialPort;
+
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    try {
+      saved = registers.save(filename, settings.image);
+    } catch (err) {
+      console.error(chalk.red(err.message));
+    }
+  }
+
+  if (connection === 'serial') {
+    serialPort = new SerialPort({
+      path: config.port.name,
+      ...config.port.options,
+    });
+
+    serialPort.open(function (err) {
+      if (err) {
+        console.error(chalk.underline.bold(err.message));
+        exit(EXIT_CODES.connection);
+      }
+    });
+  }
+
+  var settings = {
+    image: serveImage,
+    connection: connection,
+    transport: transport,
+    host: args.host,
+    port: config.tcp.port,
+    serialPort: serialPort,
+    eofTimeout: config.master.transport.eofTimeout,
+
+    onListening: function () {
+      var where = connection === 'serial' ? config.port.name : (args.host || '*') + ':' + config.tcp.port;
+
+      console.info(
+        'Serving ' +
+          (filename || 'an empty image') +
+          ' on ' +
+          connection +
+          ' ' +
+          where +
+          ' (' +
+          transport +
+          '); Ctrl-C to stop',
+      );
+    },
+
+    onRequest: function (unit, request, response) {
+      var code = chalk[response[0] & 0x80 ? 'yellow' : 'green'];
+
+      transLog.info('unit %d RX %s TX %s', unit, request.toString('hex'), code(response.toString('hex')));
+    },
+
+    // writes are saved shortly after, so a burst of them is saved once
+    onChange: function () {
+      if (filename && !saveTimer) {
+        saveTimer = setTimeout(save, 500);
+      }
+    },
+
+    onError: function (err) {
+      console.error(chalk.red(err.message));
+
+      // failing to listen (eg port in use) is fatal
+      if (err.syscall === 'listen' || err.syscall === 'bind') {
+        exit(EXIT_CODES.connection);
+      }
+    },
+  };
+
+  if (filename) {
+    fs.watchFile(filename, {interval: 500}, function () {
+      var text;
+
+      try {
+        text = fs.readFileSync(filename, 'utf8');
+      } catch (ignore) {
+        return;
+      }
+
+      // ignore the change if it was our own save
+      if (text === saved) {
+        return;
+      }
+
+      try {
+        settings.image = registers.create(JSON.parse(text));
+        settings.image.unit = 'undefined' === typeof unit ? settings.image.unit : unit;
+        console.info('Reloaded ' + filename);
+      } catch (err) {
+        console.error(chalk.red('Not reloaded: ' + err.message));
+      }
+    });
+  }
+
+  process.on('SIGINT', function () {
+    if (saveTimer) {
+      save();
+    }
+    exit(0);
+  });
+
+  return require('./lib/slave').serve(settings);
+}
+
+/**
+ * Converts a PDU or frame to hex
+ *
+ * @param  {[Buffer]} pdu the PDU, or null
+ * @return {[string]}     the hex, or an empty string if there is no PDU
+ */
+function toHex(pdu) {
+  return pdu ? pdu.toString('hex') : '';
+}
+
+/**
+ * Describes a request or response, even if it could not be decoded
+ *
+ * @param  {[object]} decoded the request or response, or null
+ * @param  {[Buffer]} pdu     its PDU
+ * @param  {[string]} what    REQ or RES
+ * @return {[string]}         the description
+ */
+function describePdu(decoded, pdu, what) {
+  return decoded ? decoded.toString() : util.format('0x%s (%s) undecoded: %s', toHex(pdu.slice(0, 1)), what, toHex(pdu));
+}
+
+/**
+ * Monitors the traffic on an RTU line without taking part ('sniff')
+ *
+ * Each request is printed with its response (or exception) and the time
+ * the slave took to answer, as text, or with --out=json or csv.
+ *
+ * @return {[object]} the serial port
+ */
+function runSniff() {
+  var format = require('./lib/format');
+  var baudRate = config.port.options.baudRate;
+
+  if (config.master.transport.connection.type !== 'serial' || config.master.transport.type !== 'rtu') {
+    console.error(chalk.red('mb sniff needs a serial connection with the rtu transport'));
+    exit(EXIT_CODES.usage);
+  }
+  if (args.out && ['json', 'csv'].indexOf(args.out) < 0) {
+    console.error(chalk.red('mb sniff can only output json or csv'));
+    exit(EXIT_CODES.usage);
+  }
+
+  function onExchange(exchange) {
+    var time = new Date(exchange.time);
+    var exception = exchange.responsePdu && exchange.responsePdu[0] & 0x80;
+
+    if (args.out === 'json') {
+      console.info(
+        JSON.stringify({
+          time: time.toISOString(),
+          unit: exchange.unit,
+          function: exchange.requestPdu[0],
+          request: toHex(exchange.requestPdu),
+          description: describePdu(exchange.request, exchange.requestPdu, 'REQ'),
+          broadcast: exchange.broadcast || undefined,
+          latency: exchange.latency,
+          response: exchange.response
+            ? format.toObject(exchange.response)
+            : exchange.responsePdu
+              ? {data: Array.from(exchange.responsePdu)}
+              : null,
+        }),
+      );
+    } else if (args.out === 'csv') {
+      console.info(
+        [
+          time.toISOString(),
+          exchange.unit,
+          exchange.requestPdu[0],
+          exchange.latency === null ? '' : exchange.latency,
+          toHex(exchange.requestPdu),
+          toHex(exchange.responsePdu),
+        ].join(','),
+      );
+    } else {
+      console.info(
+        time.toISOString().substring(11, 23) +
+          ' unit ' +
+          exchange.unit +
+          ' ' +
+          describePdu(exchange.request, exchange.requestPdu, 'REQ'),
+      );
+
+      if (exchange.broadcast) {
+        console.info(chalk.dim('             broadcast; no response expected'));
+      } else if (!exchange.responsePdu) {
+        console.info(chalk.yellow('             no response'));
+      } else {
+        console.info(
+          chalk[exception ? 'yellow' : 'green'](
+            ('             +' + exchange.latency + 'ms').padEnd(21) +
+              describePdu(exchange.response, exchange.responsePdu, 'RES'),
+          ),
+        );
+      }
+    }
+  }
+
+  function onInvalid(data, time) {
+    console.error(
+      chalk.red(new Date(time).toISOString().substring(11, 23) + ' invalid frame (bad CRC or too short): ' + toHex(data)),
+    );
+  }
+
+  var serialPort = new SerialPort({
+    path: config.port.name,
+    ...config.port.options,
+  });
+
+  serialPort.on('error', function (err) {
+    console.error(chalk.red(err.message));
+  });
+
+  serialPort.on(
+    'data',
+    require('./lib/sniffer').create({
+      baudRate: baudRate,
+      timeout: config.master.defaultTimeout,
+      onExchange: onExchange,
+      onInvalid: onInvalid,
+    }),
+  );
+
+  serialPort.open(function (err) {
+    if (err) {
+      console.error(chalk.underline.bold(err.message));
+      exit(EXIT_CODES.connection);
+    }
+    if (!args.out) {
+      console.info('Sniffing ' + config.port.name + ' at ' + baudRate + ' baud; Ctrl-C to stop');
+    }
+  });
+
+  process.on('SIGINT', function () {
+    exit(0);
+  });
+
+  return serialPort;
+}
+
+/**
+ * Prints the frames of a capture ('replay' without --send)
+ *
+ * Each request and response is decoded and shown with the time since the
+ * capture started, as text, or with --out=json or csv.  Frames that are
+ * not MODBUS (or not understood) are shown in hex.
+ *
+ * @param  {[array]} messages the decoded capture
+ */
+function printCapture(messages) {
+  var format = require('./lib/format');
+
+  messages.forEach(function (message) {
+    var decoded = message.dir === 'tx' ? message.request : message.response;
+    var what = message.dir === 'tx' ? 'REQ' : 'RES';
+    var description = message.pdu ? describePdu(decoded, message.pdu, what) : 'data: ' + toHex(message.data);
+    var exception = message.dir === 'rx' && message.pdu && message.pdu[0] & 0x80;
+
+    if (args.out === 'json') {
+      console.info(
+        JSON.stringify({
+          time: new Date(message.time).toISOString(),
+          elapsed: message.elapsed,
+          dir: message.dir,
+          transport: message.transport,
+          pgn: message.pgn,
+          src: message.src,
+          dst: message.dst,
+          unit: message.unit,
+          data: toHex(message.data),
+          description: description,
+          latency: message.latency === null ? undefined : message.latency,
+          response: message.response ? format.toObject(message.response) : undefined,
+        }),
+      );
+    } else if (args.out === 'csv') {
+      console.info(
+        [
+          message.elapsed.toFixed(3),
+          message.dir,
+          message.unit === null ? '' : message.unit,
+          message.pdu ? message.pdu[0] : '',
+          message.latency === null ? '' : message.latency.toFixed(3),
+          toHex(message.data),
+        ].join(','),
+      );
+    } else {
+      var source =
+        message.unit === null
+          ? message.transport + (message.transport === 'j1939' ? ' ' + message.src + '>' + message.dst : '')
+          : 'unit ' + message.unit;
+      var line =
+        message.elapsed.toFixed(3).padStart(12) +
+        ' ' +
+        message.dir.toUpperCase() +
+        ' ' +
+        source.padEnd(9) +
+        ' ' +
+        (message.latency === null ? '' : '+' + message.latency.toFixed(1) + 'ms ') +
+        description;
+
+      if (!message.pdu) {
+        console.info(chalk.dim(line));
+      } else if (message.dir === 'rx') {
+        console.info(chalk[exception ? 'yellow' : 'green'](line));
+      } else {
+        console.info(line);
+      }
+    }
+  });
+}
 
-          case 'slave':
-            master.reportSlaveId(output);
-            break;
+/**
+ * Sends the requests of a capture to the slave again ('replay --send')
+ *
+ * The requests are sent one after another, each to the unit it was sent
+ * to originally (unless --slave is given), and the responses printed.
+ * Exits with the exit code of the first one that failed (or returned an
+ * exception), if any.
+ *
+ * @param  {[array]} messages the decoded capture
+ */
+function runReplay(messages) {
+  var requests = messages.filter((message) => message.dir === 'tx' && message.request);
+  var code = EXIT_CODES.ok;
+  var slave = args.slave || args.unit;
+
+  function next(index) {
+    if (index >= requests.length) {
+      exit(code);
+    }
 
-          case 'fifo':
-            id = args._[2] || 0;
-            max = args._[3] || 250;
-            master.readFifo8(id, max, output);
-            break;
+    var message = requests[index];
+    var unit = slave || message.unit;
 
-          case 'object':
-            id = args._[2] || 0;
-            master.readObject(id, output);
-            break;
+    master.request(
+      message.request,
+      transactionOptions({unit: unit}, function (err, response) {
+        code = code || errors.exitCode(err, response);
 
-          case 'memory': {
-            address = parseNumber(args._[2], 0);
-            var length = parseNumber(args._[3], 1);
+        if (err) {
+          console.error(chalk.red('unit ' + unit + ' ' + message.request + ': ' + err.message));
+        } else {
+          response.request = message.request;
 
-            master.readMemory(address, length, output);
-            break;
+          if (args.out) {
+            printResponse(response);
+          } else {
+            console.info('unit ' + unit + ' ' + describeResponse(response));
           }
-
-          default:
-            console.error(chalk.red('Trying to read unknown item ' + type));
-            exit(1);
-            break;
         }
+        next(index + 1);
+      }),
+    );
+  }
 
-        break;
+  next(0);
+}
 
-      case 'write':
-        // Validate what we are supposed to set
-        type = args._[1] || 'unknown';
+/**
+ * Converts a value given on the command line to a setting
+ *
+ * @param  {[object]} value number or string
+ * @return {[object]}       number, boolean or string
+ */
+function parseSetting(value) {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return value;
+}
 
-        switch (type) {
-          case 'coil':
-            address = args._[2] || 0;
-            values = args._[3] || 1;
-            master.writeSingleCoil(address, values, output);
-            break;
+/**
+ * Shows, changes or checks the configuration, for the 'config' action
+ *
+ * Settings are named by their place in the configuration, eg tcp.host or
+ * port.options.baudRate; set, unset and reset change the profile given by
+ * --profile, if any, instead of the main settings.
+ *
+ * @param  {[array]} words the config command and its arguments
+ */
+function runConfig(words) {
+  var command = words[0] || 'list';
+  var key = words[1];
+  var options = {profile: args.profile};
+  var where = args.profile ? ' in profile ' + args.profile : '';
+
+  function needKey() {
+    if ('undefined' === typeof key) {
+      throw new Error('Must specify a setting, eg tcp.host');
+    }
+  }
 
-          case 'holding': {
-            address = args._[2] || 0;
-            values = argsToWordBuf(args._, 3);
+  function needConfig() {
+    if (configError) {
+      throw configError;
+    }
+  }
 
-            if (values.length < 2) {
-              console.error(chalk.red('No values specified '));
-              exit(1);
-            } else {
-              master.writeMultipleRegisters(address, values, output);
-            }
-            break;
-          }
+  function show(settings, prefix) {
+    if (args.out === 'json') {
+      console.info(JSON.stringify(prefix ? configuration.get(config, prefix) : settings, null, 2));
+    } else {
+      console.info(require('./lib/format').layout(['setting', 'value'], configuration.flatten(settings, prefix)));
+    }
+  }
 
-          case 'fifo':
-            id = args._[2] || 0;
-            values = args._[3] || 0;
-            master.writeFifo8(id, [values], output);
-            break;
+  try {
+    switch (command) {
+      case 'list': {
+        let profiles = configuration.profiles();
 
-          case 'object':
-            id = args._[2] || 0;
-            values = argsToByteBuf(args._, 3);
+        needConfig();
 
-            master.writeObject(id, values, output);
-            break;
+        if (profiles.length && args.out !== 'json') {
+          console.info('Profile: ' + (configuration.profileName({args: args}) || '(none)') + ' of ' + profiles.join(', '));
+        }
+        show(config);
+        break;
+      }
 
-          case 'memory': {
-            address = parseNumber(args._[2], 0);
-            values = argsToByteBuf(args._, 3);
+      case 'get': {
+        needKey();
+        needConfig();
 
-            master.writeMemory(address, values, output);
-            break;
-          }
+        let value = configuration.get(config, key);
 
-          default:
-            console.error(chalk.red('Trying to write unknown item ' + type));
-            exit(1);
-            break;
+        if ('undefined' === typeof value) {
+          throw new Error('Unknown setting ' + key + ' (see mb config list)');
+        }
+        if (value && 'object' === typeof value) {
+          show(value, key);
+        } else {
+          console.info(value);
         }
-
         break;
+      }
 
-      case 'writeverify':
-        // Validate what we are supposed to set
-        type = args._[1] || 'unknown';
+      case 'set': {
+        needKey();
 
-        switch (type) {
-          case 'memory': {
-            address = parseNumber(args._[2], 0);
-            values = argsToByteBuf(args._, 3);
+        if (words.length < 3) {
+          throw new Error('Must specify a value for ' + key);
+        }
 
-            master.writeMemoryVerify(address, values, output);
-            break;
-          }
+        let value = parseSetting(words[2]);
 
-          default:
-            console.error(chalk.red('Trying to writeverify unknown item ' + type));
-            exit(1);
-            break;
-        }
+        configuration.set(key, value, options);
+        console.info(chalk.green('Set ' + key + ' to ' + value + where));
 
+        // a setting may only make sense once others are changed, so
+        // problems are reported without undoing the change
+        configuration.validate(configuration.load({args: args})).forEach(function (problem) {
+          console.error(chalk.yellow('Warning: ' + problem));
+        });
         break;
+      }
+
+      case 'unset':
+        needKey();
 
-      case 'command': {
-        // Validate what we are supposed to set
-        if (args.length < 2) {
-          console.error(chalk.red('Must specify command id ' + type));
-          exit(1);
+        if (configuration.unset(key, options)) {
+          console.info(chalk.green('Removed ' + key + where + '; the default is used'));
+        } else {
+          console.info(key + ' is not saved' + where);
         }
-        var buf = argsToByteBuf(args._, 2);
+        break;
 
-        master.command(args._[1], buf, output);
+      case 'reset':
+        configuration.reset(options);
+        console.info(chalk.green(args.profile ? 'Removed profile ' + args.profile : 'Removed all saved settings'));
         break;
-      }
 
-      case 'generic': {
-        // Validate what we are supposed to set
-        if (args.length < 2) {
-          console.error(chalk.red('Must specify function code ' + type));
-          exit(1);
-        }
-        buf = argsToByteBuf(args._, 2);
+      case 'path':
+        console.info(CONFIG_FILE);
+        break;
 
-        master.sendGeneric(args._[1], buf, output);
+      case 'validate': {
+        needConfig();
+
+        let problems = configuration.validate(config);
+
+        problems.forEach(function (problem) {
+          console.error(chalk.red(problem));
+        });
+        if (problems.length) {
+          exit(EXIT_CODES.usage);
+        }
+        console.info(chalk.green('Configuration is valid'));
         break;
       }
 
       default:
-        console.error(chalk.red('Unknown action: ' + action));
-        exit(1);
-        break;
+        throw new Error('Unknown config command ' + command + ' (use list, get, set, unset, reset, path or validate)');
     }
   } catch (err) {
-    console.error(err);
-    if (connectionType === 'serial' && err.name == 'TypeError [ERR_INVALID_ARG_TYPE]') {
-      console.error(chalk.red("Did you mean to use '--connection=can-usb-com'?"));
-    }
-    exit(1);
+    console.error(chalk.red(err.message));
+    exit(EXIT_CODES.usage);
   }
+
+  exit(0);
+}
+
+/**
+ * Accepts commands from the terminal until the user exits
+ */
+function startShell() {
+  require('./lib/shell').start({
+    actions: ACTION_TYPES,
+    session: {
+      unit: config.master.defaultUnit,
+      timeout: config.master.defaultTimeout,
+    },
+    historyFile: CONFIG_FOLDER + '/.cs-mb-cli-history',
+    describe: describeResponse,
+    execute: function (argv, session, callback) {
+      var options = Object.assign(actionOptions(Object.assign({}, args, argv)), {unit: session.unit});
+
+      // the session's timeout applies, unless the command has its own
+      if ('undefined' === typeof argv.timeout) {
+        options.timeout = session.timeout;
+      }
+
+      runAction(argv._, callback, options);
+    },
+    onClose: function () {
+      exit(0);
+    },
+  });
 }
 
 // Check for the list ports option
@@ -649,16 +2379,234 @@ if (args.l) {
     });
   }
 } else if (args.show) {
-  console.log(util.inspect(config));
+  runConfig(['list']);
 } else {
   // Check the action argument for validity
   var action = args._[0];
 
   var connectionType = config.master.transport.connection.type;
 
-  if (['read', 'write', 'writeverify', 'command', 'generic'].indexOf(action) < 0) {
+  // saving settings needs no action
+  if (!action && (args.save || args['save-profile'] || 'undefined' !== typeof args['default-profile'])) {
+    exit(0);
+  }
+
+  if (
+    [
+      'read',
+      'write',
+      'writeverify',
+      'maskwrite',
+      'readwrite',
+      'diag',
+      'command',
+      'generic',
+      'run',
+      'shell',
+      'flash',
+      'scan',
+      'serve',
+      'sniff',
+      'replay',
+      'snapshot',
+      'config',
+    ].indexOf(action) < 0
+  ) {
     console.error(chalk.red('Unknown Action ' + action + ' Requested'));
-    exit(1);
+    exit(EXIT_CODES.usage);
+  }
+
+  // the configuration is managed without opening a port
+  if (action === 'config') {
+    runConfig(args._.slice(1));
+  }
+
+  // a capture is printed without a port, so any configuration will do
+  if (action === 'replay') {
+    if (!args._[1]) {
+      console.error(chalk.red('Must specify capture file'));
+      exit(EXIT_CODES.usage);
+    }
+
+    try {
+      replayed = require('./lib/capture').decode(require('./lib/capture').load(String(args._[1])));
+    } catch (err) {
+      console.error(chalk.red(args._[1] + ': ' + err.message));
+      exit(EXIT_CODES.usage);
+    }
+
+    if (!args.send) {
+      if (args.out && ['json', 'csv'].indexOf(args.out) < 0) {
+        console.error(chalk.red('mb replay can only output json or csv'));
+        exit(EXIT_CODES.usage);
+      }
+      printCapture(replayed);
+      exit(0);
+    }
+  }
+
+  // the snapshot is read before the port opens, and two snapshots are
+  // compared without one
+  if (action === 'snapshot') {
+    var snapshot = require('./lib/snapshot');
+    var operation = args._[1];
+
+    if (['save', 'diff', 'restore'].indexOf(operation) < 0) {
+      console.error(chalk.red('Must specify snapshot save, diff or restore'));
+      exit(EXIT_CODES.usage);
+    }
+    if (!args._[2]) {
+      console.error(chalk.red('Must specify snapshot file'));
+      exit(EXIT_CODES.usage);
+    }
+    if (args.out && ['json', 'csv', 'table'].indexOf(args.out) < 0) {
+      console.error(chalk.red('mb snapshot can only output json, csv or table'));
+      exit(EXIT_CODES.usage);
+    }
+
+    try {
+      if (operation === 'save') {
+        snapshotSet = snapshot.fromOptions(args);
+
+        if (!snapshotSet && !config.profileFile) {
+          throw new Error('Must specify what to save (--holding, --objects or --memory), or a device profile');
+        }
+        snapshotSet = snapshotSet || snapshot.fromProfile(getProfile());
+
+        if (snapshot.isEmpty(snapshotSet)) {
+          throw new Error('The device profile has no read/write holding, object or memory points');
+        }
+      } else {
+        savedSnapshot = snapshot.load(String(args._[2]));
+      }
+
+      if (operation === 'diff' && 'undefined' !== typeof args._[3]) {
+        var other = snapshot.load(String(args._[3]));
+        var differences = snapshot.compare(savedSnapshot, other);
+
+        printDifferences(differences, [path.basename(String(args._[2])), path.basename(String(args._[3]))]);
+        exit(differences.length ? EXIT_CODES.failed : EXIT_CODES.ok);
+      }
+    } catch (err) {
+      console.error(chalk.red(err.message));
+      exit(EXIT_CODES.usage);
+    }
+  }
+
+  // report a configuration that cannot work before any port is opened
+  var problems = configuration.validate(config);
+
+  if (problems.length) {
+    problems.forEach(function (problem) {
+      console.error(chalk.red(problem));
+    });
+    exit(EXIT_CODES.usage);
+  }
+
+  ['interval', 'count', 'duration'].forEach(function (option) {
+    if ('undefined' !== typeof args[option] && !('number' === typeof args[option] && args[option] >= 0)) {
+      console.error(chalk.red('Invalid ' + option + ': ' + args[option]));
+      exit(EXIT_CODES.usage);
+    }
+  });
+
+  if ('undefined' !== typeof args.stats && args.stats !== true && args.stats !== 'json') {
+    console.error(chalk.red('Invalid stats: ' + args.stats + ' (use --stats, or --stats=json)'));
+    exit(EXIT_CODES.usage);
+  }
+
+  if (args.stats && action !== 'serve' && action !== 'sniff') {
+    stats = require('./lib/stats').create();
+
+    // a --loop is usually ended with CTRL-C, which should still show them
+    process.on('SIGINT', function () {
+      exit(130);
+    });
+  }
+
+  var outputs = require('./lib/format').OUTPUTS;
+
+  if (args.out && outputs.indexOf(args.out) < 0) {
+    console.error(chalk.red('Unknown output format ' + args.out + ' (use ' + outputs.join(', ') + ')'));
+    exit(EXIT_CODES.usage);
+  }
+
+  // load the script before opening the port, so mistakes are caught early
+  if (action === 'run') {
+    if (!args._[1]) {
+      console.error(chalk.red('Must specify script file'));
+      exit(EXIT_CODES.usage);
+    }
+
+    try {
+      script = require('./lib/script').load(args._[1]);
+    } catch (err) {
+      console.error(chalk.red(err.message));
+      exit(EXIT_CODES.usage);
+    }
+  }
+
+  // and the register image to serve
+  if (action === 'serve') {
+    var registers = require('./lib/registers');
+
+    try {
+      serveImage = args._[1] && require('fs').existsSync(args._[1]) ? registers.load(args._[1]) : registers.create();
+    } catch (err) {
+      console.error(chalk.red(err.message));
+      exit(EXIT_CODES.usage);
+    }
+
+    serveImage.unit = args.slave || args.unit || serveImage.unit;
+  }
+
+  // likewise the image to flash
+  if (action === 'flash') {
+    var image = require('./lib/image');
+
+    if (!args._[1]) {
+      console.error(chalk.red('Must specify image file'));
+      exit(EXIT_CODES.usage);
+    }
+    if (image.formatOf(args._[1]) !== 'binary' && 'undefined' !== typeof args._[2]) {
+      console.error(chalk.red('The address is taken from ' + args._[1] + '; it can only be given for binary files'));
+      exit(EXIT_CODES.usage);
+    }
+
+    try {
+      flashImage = image.load(args._[1], parseNumber(args._[2], 0));
+    } catch (err) {
+      console.error(chalk.red(err.message));
+      exit(EXIT_CODES.usage);
+    }
+
+    if (flashImage.length === 0) {
+      console.error(chalk.red('No data in ' + args._[1]));
+      exit(EXIT_CODES.usage);
+    }
+  }
+
+  // start recording before the port opens, so no frame is missed
+  if ('undefined' !== typeof args.capture) {
+    if ('string' !== typeof args.capture || args.capture === '') {
+      console.error(chalk.red('Must specify capture file (--capture=<file>)'));
+      exit(EXIT_CODES.usage);
+    }
+    if (action === 'serve' || action === 'sniff') {
+      console.error(chalk.red('--capture records the frames of the master, so cannot be used with ' + action));
+      exit(EXIT_CODES.usage);
+    }
+    if (action === 'replay' && path.resolve(args.capture) === path.resolve(String(args._[1]))) {
+      console.error(chalk.red('Cannot capture to the file being replayed'));
+      exit(EXIT_CODES.usage);
+    }
+
+    try {
+      capture = require('./lib/capture').create(args.capture, config.master.transport.type);
+    } catch (err) {
+      console.error(chalk.red(err.message));
+      exit(EXIT_CODES.usage);
+    }
   }
 
   let consoleFormat = winston.format.combine(
@@ -707,7 +2655,10 @@ if (args.l) {
       new winston.transports.Console({
         format: consoleFormat,
 
-        silent: args.out > '',
+        // the shell, scans and repeated polls print their own results
+        silent:
+          args.out > '' ||
+          ((action === 'shell' || action === 'scan' || action === 'replay' || action === 'snapshot' || polling) && !args.v),
       }),
     ],
   });
@@ -724,202 +2675,55 @@ if (args.l) {
 
   var port;
 
-  if (config.master.transport.connection.type === 'serial') {
-    // Open the serial port we are going to use
-    port = new SerialPort({
-      path: config.port.name,
-      ...config.port.options,
-    });
-
-    // Make serial port instance available for the modbus master
-    config.master.transport.connection.serialPort = port;
-
-    createMaster();
-
-    // Open the port
-    // the 'open' event is triggered when complete
-    if (args.v) {
-      serialLog.info('Opening ' + config.port.name);
-    }
-
-    port.open(function (err) {
-      if (err) {
-        console.error(chalk.underline.bold(err.message));
-        exit(1);
-      }
-    });
-  } else if (config.master.transport.connection.type === 'websocket') {
-    port = require('socket.io-client')(config.websocket.url, config.websocket);
-
-    port.on('connect_error', function (err) {
-      serialLog.info('[connection#connect_error]', err);
-    });
-
-    port.on('connect_timeout', function () {
-      serialLog.info('[connection#connect_timeout]');
-    });
-
-    port.on('reconnect', function (attempt) {
-      serialLog.info('[connection#reconnect] ', attempt);
-    });
-
-    port.on('reconnecting', function (attempt) {
-      serialLog.info('[connection#reconnecting] ', attempt);
-    });
-
-    port.on('reconnect_error', function (err) {
-      serialLog.info('[connection#reconnect_error] ', err);
-    });
-
-    port.on('reconnect_failed', function () {
-      serialLog.info('[connection#reconnect_failed] ');
-    });
-
-    port.on('ping', function () {
-      serialLog.info('[connection#ping] ');
-    });
-
-    port.on('pong', function (ms) {
-      serialLog.info('[connection#pong] ', ms);
-    });
-
-    // Make socket instance available for the modbus master
-    config.master.transport.connection.socket = port;
-    createMaster();
-  } else if (config.master.transport.connection.type === 'ble') {
-    let BleControllerFactory = require('@csllc/cs-mb-ble');
+  if (action === 'serve') {
+    // the simulator is a slave, so no master is created
+    port = runServe();
+  } else if (action === 'sniff') {
+    // nor is one needed to listen to the bus
+    port = runSniff();
+  } else {
+    require('./lib/connection')
+      .open(config, {
+        log: serialLog.info.bind(serialLog),
+        onCreate: hookMaster,
+      })
+      .then(function () {
+        if (!args.out) {
+          console.log('MASTER - connected');
+        }
 
-    port = new BleControllerFactory();
+        // remember when we started for timing purposes
+        startTime = new Date().getTime();
 
-    if (args.v) {
-      port.on('scanStart', function () {
-        serialLog.info('[connection#scanning]');
-      });
-      port.on('scanStop', function () {
-        serialLog.info('[connection#stopped]');
-      });
-      port.on('warning', function (w) {
-        serialLog.info('[connection#warning]', w);
+        doAction();
+      })
+      .catch(function (err) {
+        console.error(chalk.red(err.message));
+        exit(EXIT_CODES.connection);
       });
-    }
-
-    // Wait for the bluetooth hardware to become ready
-    port.once('stateChange', function (state) {
-      if (state === 'poweredOn') {
-        // Listen for the first device found
-        port.once('discover', function (peripheral) {
-          port.stopScanning();
-
-          // Create a new controller associated with the discovered peripheral
-          var device = new port.Controller(peripheral);
-
-          if (args.v) {
-            device.on('connected', function () {
-              serialLog.info('[connection#connected');
-            });
-            device.on('disconnected', function () {
-              serialLog.info('[connection#disconnected');
-            });
-          }
-
-          config.master.transport.connection.type = 'generic';
-          config.master.transport.type = 'ip';
-          config.master.transport.connection.device = device;
-
-          // now connect to the device and let event handlers take over
-          device
-            .connect()
-
-            .catch(function (err) {
-              console.log('[device#error]', err);
-            });
-
-          createMaster();
-        });
-
-        // start looking for bluetooth devices
-        port.startScanning();
-      }
-    });
-  } else if (config.master.transport.connection.type === 'can-usb-com') {
-    let CanUsbComm = require('can-usb-com');
-    let J1939 = require('@csllc/j1939');
-
-    config.canUsbComm.canRate = config.can.rate;
-    config.canUsbComm.j1939.preferredAddress = config.can.myid;
-
-    let canusbcom;
-
-    canusbcom = new CanUsbComm(config.canUsbComm);
-    port = new J1939(canusbcom, config.canUsbComm.j1939);
-
-    // Make serial port instance available for the modbus master
-    config.master.transport.connection.type = 'generic';
-    config.master.transport.connection.device = port;
-
-    createMaster();
-
-    // Open the port
-    // the 'open' event is triggered when complete
-    if (args.v) {
-      serialLog.info('Opening ' + config.port.name);
-    }
-
-    // Open the com port and configure...
-    canusbcom.open(config.port.name).catch(function (err) {
-      console.log('ERROR');
-      console.error(chalk.underline.bold(err.message));
-      exit(1);
-    });
-  } else if (config.master.transport.connection.type === 'can') {
-    let CanBus = require('@csllc/cs-canbus-universal');
-    let J1939 = require('@csllc/j1939');
-
-    config.can.canRate = config.can.rate;
-    config.can.j1939.preferredAddress = config.can.myid;
-
-    let canbus;
-    canbus = new CanBus(config.can);
-    port = new J1939(canbus, config.can.j1939);
-
-    // Make the CAN port instance available for the modbus master
-    config.master.transport.connection.type = 'generic';
-    config.master.transport.connection.device = port;
-
-    createMaster();
-
-    // Open the port; the 'open' event is emitted when complete
-    if (args.v) {
-      serialLog.info('Opening ' + config.port.name);
-    }
-
-    // Open the CAN port and configure
-    canbus.open(config.port.name).catch((err) => {
-      console.error(chalk.underline.bold(err.message));
-      exit(1);
-    });
   }
 }
 
-function createMaster() {
+/**
+ * Adds event listeners to the master, to report errors and log traffic
+ *
+ * @param  {[object]} newMaster the master
+ * @param  {[object]} newPort   the port, socket or device it uses
+ */
+function hookMaster(newMaster, newPort) {
   let transportType = config.master.transport.type;
 
-  // Create the MODBUS master
-  master = ModbusPort.createMaster(config.master);
-
-  // Attach event handler for the port opening
-  master.once('connected', function () {
-    console.log('MASTER - connected');
+  master = newMaster;
+  port = newPort;
 
-    // remember when we started for timing purposes
-    startTime = new Date().getTime();
-
-    doAction();
-  });
+  // port errors; a reconnecting port may report the same error repeatedly
+  var lastError;
 
-  // port errors
   port.on('error', function (err) {
-    console.error(chalk.underline.bold(err.message));
+    if (err.message !== lastError) {
+      console.error(chalk.underline.bold(err.message));
+    }
+    lastError = err.message;
   });
 
   // Hook events for logging
@@ -939,6 +2743,10 @@ function createMaster() {
   });
 
   connection.on('write', function (data) {
+    if (capture) {
+      capture.record('tx', data, config.can.myid);
+    }
+
     if (isAscii) {
       serialLog.info('[TX] ' + data.toString());
     } else {
@@ -947,6 +2755,10 @@ function createMaster() {
   });
 
   connection.on('data', function (data) {
+    if (capture) {
+      capture.record('rx', data);
+    }
+
     if (isAscii) {
       serialLog.info('[RX] ' + data.toString());
     } else if (transportType !== 'j1939') {
@@ -960,6 +2772,10 @@ function createMaster() {
 
   // catch event when a transaction starts.  Hook the events for logging
   transport.on('request', function (transaction) {
+    if (stats) {
+      require('./lib/stats').watch(stats, transaction);
+    }
+
     transaction.once('timeout', function () {
       transLog.warn('[timeout]');
     });
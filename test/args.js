@@ -0,0 +1,32 @@
+'use strict';
+
+var assert = require('assert');
+
+var args = require('../lib/args');
+
+describe('args', function () {
+  describe('parse()', function () {
+    it('keeps negative numbers and values as positional arguments', function () {
+      var argv = args.parse(['write', 'holding', '0', '-5', '-12.5', '-0x10', '-5..5', '--type', 'int16']);
+
+      assert.deepStrictEqual(argv._, ['write', 'holding', 0, -5, -12.5, '-0x10', '-5..5']);
+      assert.strictEqual(argv.type, 'int16');
+    });
+
+    it('gives negative option values without the mark', function () {
+      var argv = args.parse(['read', '--timeout', '-5', '--offset', '-0x10', '--x', '-1:4', '--x', '-2']);
+
+      assert.strictEqual(argv.timeout, -5);
+      assert.strictEqual(argv.offset, '-0x10');
+      assert.deepStrictEqual(argv.x, ['-1:4', -2]);
+      assert.ok(JSON.stringify(argv).indexOf('\\u0000') < 0);
+    });
+
+    it('still treats other words starting with - as options', function () {
+      var argv = args.parse(['read', '-v', '--no-color']);
+
+      assert.strictEqual(argv.v, true);
+      assert.strictEqual(argv.color, false);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var capture = require('../lib/capture');
+var frame = require('./helpers').frame;
+
+// read 2 holding registers from 0 of unit 1, and the response
+var REQUEST = frame([0x01, 0x03, 0x00, 0x00, 0x00, 0x02]);
+var RESPONSE = frame([0x01, 0x03, 0x04, 0x00, 0x01, 0x00, 0x02]);
+
+describe('capture', function () {
+  var dir;
+
+  // records an exchange, with the response arriving in two parts
+  function record(name, transport, frames) {
+    var file = path.join(dir, name);
+    var recording = capture.create(file, transport);
+
+    frames.forEach((args) => recording.record.apply(null, args));
+    recording.close();
+    return capture.load(file);
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mb-capture-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  ['rtu.jsonl', 'rtu.pcap'].forEach(function (name) {
+    it('writes and reads RTU frames in ' + path.extname(name) + ' format', function () {
+      var records = record(name, 'rtu', [
+        ['tx', REQUEST],
+        ['rx', RESPONSE.slice(0, 4)],
+        ['rx', RESPONSE.slice(4)],
+      ]);
+
+      assert.deepStrictEqual(
+        records.map((r) => [r.dir, r.transport, r.data.toString('hex')]),
+        [
+          ['tx', 'rtu', REQUEST.toString('hex')],
+          ['rx', 'rtu', RESPONSE.slice(0, 4).toString('hex')],
+          ['rx', 'rtu', RESPONSE.slice(4).toString('hex')],
+        ],
+      );
+      assert.strictEqual(records[0].elapsed, 0);
+      assert.ok(records[2].elapsed >= records[1].elapsed);
+      assert.ok(Math.abs(records[0].time - Date.now()) < 60000);
+    });
+  });
+
+  ['j1939.jsonl', 'j1939.pcap'].forEach(function (name) {
+    it('keeps the J1939 PGN, source and destination in ' + path.extname(name) + ' format', function () {
+      var records = record(name, 'j1939', [
+        ['tx', {pgn: 61184, dst: 0x80, buf: Buffer.from([0x03, 0x00, 0x00, 0x00, 0x01])}, 0xfe],
+        ['rx', {pgn: 61184, src: 0x80, dst: 0xfe, buf: Buffer.from([0x03, 0x02, 0x12, 0x34])}],
+      ]);
+
+      assert.deepStrictEqual(
+        records.map((r) => [r.dir, r.transport, r.pgn, r.src, r.dst]),
+        [
+          ['tx', 'j1939', 61184, 0xfe, 0x80],
+          ['rx', 'j1939', 61184, 0x80, 0xfe],
+        ],
+      );
+    });
+  });
+
+  it('tags CS1179 captures whatever the case of the transport', function () {
+    assert.strictEqual(record('cs1179.pcap', 'CS1179', [['tx', Buffer.from([1, 2])]])[0].transport, 'cs1179');
+    assert.strictEqual(record('cs1179.jsonl', 'CS1179', [['tx', Buffer.from([1, 2])]])[0].transport, 'cs1179');
+  });
+
+  it('refuses a pcap capture of an unknown transport', function () {
+    assert.throws(() => capture.create(path.join(dir, 'x.pcap'), 'modem'), /modem transport cannot be captured/);
+    assert.strictEqual(fs.existsSync(path.join(dir, 'x.pcap')), false);
+  });
+
+  it('rejects files that are not captures', function () {
+    fs.writeFileSync(path.join(dir, 'bad.pcap'), Buffer.alloc(24));
+    fs.writeFileSync(path.join(dir, 'bad.jsonl'), '{"dir":"tx","data":"00"}\n{"dir":"up"}\n');
+
+    assert.throws(() => capture.load(path.join(dir, 'bad.pcap')), /Not a capture written by mb/);
+    assert.throws(() => capture.load(path.join(dir, 'bad.jsonl')), /Line 2: not a captured frame/);
+  });
+
+  describe('decode()', function () {
+    it('joins the parts of a response and pairs it with its request', function () {
+      var messages = capture.decode(
+        record('rtu.jsonl', 'rtu', [
+          ['tx', REQUEST],
+          ['rx', RESPONSE.slice(0, 4)],
+          ['rx', RESPONSE.slice(4)],
+        ]),
+      );
+
+      assert.strictEqual(messages.length, 2);
+      assert.strictEqual(messages[0].unit, 1);
+      assert.strictEqual(messages[0].request.getQuantity(), 2);
+      assert.deepStrictEqual(messages[1].response.getValues(), Buffer.from([0, 1, 0, 2]));
+      assert.ok(messages[1].latency >= 0);
+    });
+
+    it('pairs MODBUS TCP responses by transaction id', function () {
+      function adu(id, pdu) {
+        var header = Buffer.alloc(7);
+
+        header.writeUInt16BE(id, 0);
+        header.writeUInt16BE(pdu.length + 1, 4);
+        header[6] = 1;
+        return Buffer.concat([header, Buffer.from(pdu)]);
+      }
+
+      var messages = capture.decode(
+        record('ip.pcap', 'ip', [
+          ['tx', Buffer.concat([adu(1, [0x03, 0, 0, 0, 1]), adu(2, [0x03, 0, 5, 0, 1])])],
+          ['rx', adu(2, [0x03, 2, 0, 5])],
+          ['rx', adu(1, [0x83, 2])],
+        ]),
+      );
+
+      assert.deepStrictEqual(
+        messages.map((m) => [m.dir, m.id]),
+        [
+          ['tx', 1],
+          ['tx', 2],
+          ['rx', 2],
+          ['rx', 1],
+        ],
+      );
+      assert.deepStrictEqual(messages[2].response.getValues(), Buffer.from([0, 5]));
+      assert.strictEqual(messages[3].response.isException(), true);
+    });
+
+    it('keeps data that is not a frame', function () {
+      var messages = capture.decode(record('rtu.jsonl', 'rtu', [['rx', Buffer.from([1, 2, 3])]]));
+
+      assert.strictEqual(messages[0].pdu, null);
+      assert.deepStrictEqual(messages[0].data, Buffer.from([1, 2, 3]));
+    });
+  });
+});
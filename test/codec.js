@@ -0,0 +1,143 @@
+'use strict';
+
+var assert = require('assert');
+
+var codec = require('../lib/codec');
+
+describe('codec', function () {
+  describe('encode() and decode()', function () {
+    var samples = {
+      uint8: [0, 0x7f, 0xff],
+      int8: [-0x80, -1, 0x7f],
+      uint16: [0, 0x1234, 0xffff],
+      int16: [-0x8000, -12, 0x7fff],
+      uint32: [0, 0x12345678, 0xffffffff],
+      int32: [-0x80000000, -12, 0x7fffffff],
+      float32: [-12.5, 0.25, 1024],
+      float64: [-12.345678901, Math.PI, 1e100],
+    };
+
+    Object.keys(samples).forEach(function (type) {
+      Object.keys(codec.ORDERS).forEach(function (name) {
+        it('round-trips ' + type + ' in ' + name + ' order', function () {
+          samples[type].forEach(function (value) {
+            var buf = codec.encode(type, value, codec.ORDERS[name]);
+
+            assert.strictEqual(buf.length, codec.sizeOf(type));
+            assert.strictEqual(codec.decode(type, buf, 0, codec.ORDERS[name]), value);
+          });
+        });
+      });
+    });
+
+    it('lays out 32-bit values in each order', function () {
+      var expected = {
+        ABCD: '11223344',
+        CDAB: '33441122',
+        BADC: '22114433',
+        DCBA: '44332211',
+      };
+
+      Object.keys(expected).forEach(function (name) {
+        assert.strictEqual(codec.encode('uint32', 0x11223344, codec.ORDERS[name]).toString('hex'), expected[name]);
+      });
+    });
+
+    it('decodes at an offset', function () {
+      assert.strictEqual(codec.decode('int16', Buffer.from([0, 0, 0xff, 0xf4]), 2), -12);
+    });
+
+    it('rejects values out of range', function () {
+      assert.throws(() => codec.encode('uint8', 256), /out of range/);
+      assert.throws(() => codec.encode('int16', -0x8001), /out of range/);
+      assert.throws(() => codec.encode('uint32', -1), /out of range/);
+    });
+
+    it('rejects fractions for integer types', function () {
+      assert.throws(() => codec.encode('int32', -12.5), /must be a whole number/);
+      assert.throws(() => codec.encode('uint16', 0.1), /must be a whole number/);
+    });
+
+    it('rejects values that are not numbers', function () {
+      assert.throws(() => codec.encode('int16', 'abc'), /Invalid int16 value/);
+      assert.throws(() => codec.encode('float32', NaN), /Invalid float32 value/);
+    });
+
+    it('rejects unknown types and short data', function () {
+      assert.throws(() => codec.encode('int24', 1), /Unknown data type/);
+      assert.throws(() => codec.decode('uint32', Buffer.alloc(3)), /Not enough data/);
+    });
+  });
+
+  describe('parseOrder()', function () {
+    it('defaults to big endian', function () {
+      assert.deepStrictEqual(codec.parseOrder(), {byteSwap: false, wordSwap: false});
+    });
+
+    it('accepts big and little for each option', function () {
+      assert.deepStrictEqual(codec.parseOrder('little', 'big'), {byteSwap: true, wordSwap: false});
+      assert.deepStrictEqual(codec.parseOrder('big', 'little'), {byteSwap: false, wordSwap: true});
+    });
+
+    it('accepts the four letter names in any case', function () {
+      assert.deepStrictEqual(codec.parseOrder('cdab'), codec.ORDERS.CDAB);
+      assert.deepStrictEqual(codec.parseOrder(undefined, 'DCBA'), codec.ORDERS.DCBA);
+    });
+
+    it('rejects unknown orders', function () {
+      assert.throws(() => codec.parseOrder('middle'), /Invalid byteorder: middle/);
+    });
+  });
+
+  describe('encodeAll() and decodeAll()', function () {
+    it('round-trips lists of numbers', function () {
+      var order = codec.parseOrder('BADC');
+      var buf = codec.encodeAll('int32', ['-12', 3, ' 0x10 '], order);
+
+      assert.deepStrictEqual(codec.decodeAll('int32', buf, order), [-12, 3, 16]);
+    });
+
+    it('accepts signed hex and binary, and floats', function () {
+      assert.deepStrictEqual(codec.decodeAll('int16', codec.encodeAll('int16', ['-0x10', '+0b11', '-5'])), [-16, 3, -5]);
+      assert.deepStrictEqual(
+        codec.decodeAll('float32', codec.encodeAll('float32', ['1.5', '3e2', '-12.5', '-0x10'])),
+        [1.5, 300, -12.5, -16],
+      );
+      assert.throws(() => codec.encodeAll('int16', ['1.5']), /must be a whole number/);
+    });
+
+    it('pads strings to whole registers', function () {
+      var buf = codec.encodeAll('string', ['Hello', 'you']);
+
+      assert.strictEqual(buf.toString('hex'), Buffer.from('Hello you\0').toString('hex'));
+      assert.deepStrictEqual(codec.decodeAll('string', buf), ['Hello you']);
+      assert.strictEqual(codec.encodeAll('string', ['Hi']).length, 2);
+    });
+
+    it('round-trips bits, one register per value', function () {
+      var buf = codec.encodeAll('bits', ['0b1010', '1111000011110000', 3]);
+
+      assert.strictEqual(buf.toString('hex'), '000af0f00003');
+      assert.deepStrictEqual(codec.decodeAll('bits', buf), ['0000000000001010', '1111000011110000', '0000000000000011']);
+    });
+
+    it('ignores data left over after the last whole value', function () {
+      assert.deepStrictEqual(codec.decodeAll('uint16', Buffer.from([0, 1, 0, 2, 3])), [1, 2]);
+    });
+
+    it('rejects values that do not parse', function () {
+      assert.throws(() => codec.encodeAll('uint16', ['12', '']), /Invalid uint16 value/);
+      assert.throws(() => codec.encodeAll('float32', ['1.5x']), /Invalid float32 value/);
+    });
+  });
+
+  describe('byteCount() and registerCount()', function () {
+    it('counts the space needed by each format', function () {
+      assert.strictEqual(codec.byteCount('float64', 2), 16);
+      assert.strictEqual(codec.byteCount('string', 5), 5);
+      assert.strictEqual(codec.registerCount('string', 5), 3);
+      assert.strictEqual(codec.registerCount('bits', 4), 4);
+      assert.strictEqual(codec.registerCount('uint8', 3), 2);
+    });
+  });
+});
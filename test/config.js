@@ -0,0 +1,232 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var config = require('../lib/config');
+
+describe('config', function () {
+  var dir;
+  var file;
+
+  function save(contents) {
+    fs.writeFileSync(file, JSON.stringify(contents));
+  }
+
+  function saved() {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mb-config-'));
+    file = path.join(dir, 'settings.json');
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  describe('load()', function () {
+    it('uses the defaults when there is no file', function () {
+      var settings = config.load({file: file, env: {}});
+
+      assert.strictEqual(settings.master.defaultUnit, 1);
+      assert.strictEqual(settings.port.options.baudRate, 115200);
+      assert.strictEqual(settings.master.transport.type, 'rtu');
+    });
+
+    it('applies the file, profile, environment and options in that order', function () {
+      save({
+        tcp: {host: 'file', port: 5020},
+        master: {defaultUnit: 2, defaultTimeout: 100},
+        profiles: {rig: {tcp: {host: 'profile'}, master: {defaultUnit: 3}}},
+      });
+
+      var settings = config.load({
+        file: file,
+        args: {profile: 'rig', slave: 5},
+        env: {MODBUS_SLAVE: 4, MODBUS_HOST: 'env', MODBUS_TIMEOUT: '300'},
+      });
+
+      assert.strictEqual(settings.tcp.port, 5020);
+      assert.strictEqual(settings.tcp.host, 'env');
+      assert.strictEqual(settings.master.defaultUnit, 5);
+      assert.strictEqual(settings.master.defaultTimeout, 300);
+    });
+
+    it('keeps options of 0 rather than falling back', function () {
+      save({master: {defaultMaxRetries: 3}});
+
+      assert.strictEqual(config.load({file: file, args: {retries: 0}, env: {}}).master.defaultMaxRetries, 0);
+    });
+
+    it('uses the ip transport for tcp and udp connections', function () {
+      var settings = config.load({file: file, args: {connection: 'tcp'}, env: {}});
+
+      assert.strictEqual(settings.master.transport.type, 'ip');
+      assert.strictEqual(
+        config.load({file: file, args: {connection: 'tcp', transport: 'socketcand'}, env: {}}).master.transport.type,
+        'socketcand',
+      );
+    });
+
+    it('ignores the file with default, apart from a profile asked for', function () {
+      save({tcp: {host: 'file'}, defaultProfile: 'rig', profiles: {rig: {master: {defaultUnit: 3}}}});
+
+      assert.strictEqual(config.load({file: file, args: {default: true}, env: {}}).tcp.host, '127.0.0.1');
+      assert.strictEqual(config.load({file: file, args: {default: true}, env: {}}).master.defaultUnit, 1);
+      assert.strictEqual(config.load({file: file, args: {default: true, profile: 'rig'}, env: {}}).master.defaultUnit, 3);
+    });
+
+    it('parses the exceptions to retry on', function () {
+      assert.deepStrictEqual(
+        config.load({file: file, args: {'retry-on-exception': '5,6'}, env: {}}).master.retryOnException,
+        [5, 6],
+      );
+      assert.strictEqual(
+        config.load({file: file, args: {}, env: {MODBUS_RETRY_ON_EXCEPTION: 'true'}}).master.retryOnException,
+        true,
+      );
+    });
+
+    it('reports an unreadable file, with its path', function () {
+      fs.writeFileSync(file, '{"tcp": {"port": 5020},');
+
+      assert.throws(
+        () => config.load({file: file, env: {}}),
+        (err) => err.message.indexOf('Invalid settings in ' + file) === 0,
+      );
+
+      fs.writeFileSync(file, '[]');
+      assert.throws(() => config.load({file: file, env: {}}), /not a JSON object/);
+    });
+  });
+
+  describe('profiles', function () {
+    it('selects the default profile unless another is given', function () {
+      save({defaultProfile: 'a', profiles: {a: {master: {defaultUnit: 3}}, b: {master: {defaultUnit: 4}}}});
+
+      assert.strictEqual(config.profileName({file: file, env: {}}), 'a');
+      assert.strictEqual(config.profileName({file: file, env: {MODBUS_PROFILE: 'b'}}), 'b');
+      assert.strictEqual(config.profileName({file: file, args: {profile: 'b'}, env: {MODBUS_PROFILE: 'a'}}), 'b');
+      assert.strictEqual(config.load({file: file, env: {}}).master.defaultUnit, 3);
+    });
+
+    it('rejects a profile that does not exist', function () {
+      save({profiles: {a: {}}});
+
+      assert.throws(() => config.load({file: file, args: {profile: 'c'}, env: {}}), /No profile named c/);
+      assert.throws(() => config.setDefaultProfile('c', file), /No profile named c/);
+    });
+
+    it('saves only the differences from the rest of the file', function () {
+      save({tcp: {host: 'bench'}});
+      config.saveProfile('rig', config.load({file: file, args: {slave: 7}, env: {}}), file);
+
+      assert.deepStrictEqual(saved().profiles.rig, {master: {defaultUnit: 7}});
+      assert.deepStrictEqual(config.profiles(file), ['rig']);
+    });
+
+    it('keeps the profiles when the defaults are saved', function () {
+      save({defaultProfile: 'rig', profiles: {rig: {tcp: {port: 5020}}}});
+      config.save(config.load({file: file, args: {default: true, host: 'other'}, env: {}}), file);
+
+      assert.deepStrictEqual(saved(), {tcp: {host: 'other'}, defaultProfile: 'rig', profiles: {rig: {tcp: {port: 5020}}}});
+    });
+
+    it('clears the default profile', function () {
+      save({defaultProfile: 'rig', profiles: {rig: {}}});
+      config.setDefaultProfile('', file);
+
+      assert.strictEqual(saved().defaultProfile, undefined);
+    });
+  });
+
+  describe('set(), unset() and reset()', function () {
+    it('changes settings in the file or a profile', function () {
+      config.set('tcp.port', 5020, {file: file});
+      config.set('port.options.parity', 'even', {file: file});
+      config.set('master.defaultUnit', 3, {file: file, profile: 'rig'});
+
+      assert.deepStrictEqual(saved(), {
+        tcp: {port: 5020},
+        port: {options: {parity: 'even'}},
+        profiles: {rig: {master: {defaultUnit: 3}}},
+      });
+
+      assert.strictEqual(config.unset('tcp.port', {file: file}), true);
+      assert.strictEqual(config.unset('tcp.port', {file: file}), false);
+      assert.strictEqual(saved().tcp, undefined);
+
+      config.reset({file: file});
+      assert.deepStrictEqual(saved(), {profiles: {rig: {master: {defaultUnit: 3}}}});
+
+      config.reset({file: file, profile: 'rig'});
+      assert.deepStrictEqual(saved(), {profiles: {}});
+    });
+
+    it('rejects unknown settings and groups', function () {
+      assert.throws(() => config.set('master.colour', 1, {file: file}), /Unknown setting master.colour/);
+      assert.throws(() => config.set('master.transport', 'rtu', {file: file}), /is a group of settings/);
+    });
+
+    it('does not write over a file it cannot read', function () {
+      fs.writeFileSync(file, '{"tcp": {"port": 5020},');
+
+      assert.throws(() => config.set('tcp.host', 'x', {file: file}), /Invalid settings in/);
+      assert.throws(() => config.reset({file: file}), /Invalid settings in/);
+      assert.strictEqual(fs.readFileSync(file, 'utf8'), '{"tcp": {"port": 5020},');
+    });
+  });
+
+  describe('validate()', function () {
+    function problems(args) {
+      return config.validate(config.load({file: file, args: args, env: {}}));
+    }
+
+    it('accepts a usable configuration', function () {
+      assert.deepStrictEqual(problems({port: 'COM3'}), []);
+      assert.deepStrictEqual(problems({connection: 'tcp', host: '10.0.0.1'}), []);
+      assert.deepStrictEqual(problems({connection: 'serial', port: 'COM3', transport: 'CS1179'}), []);
+    });
+
+    it('needs a port for serial connections', function () {
+      assert.ok(/No port selected for the serial connection/.test(problems({})[0]));
+    });
+
+    it('checks that the transport suits the connection', function () {
+      assert.deepStrictEqual(problems({connection: 'tcp', transport: 'rtu'}), [
+        'The rtu transport needs a serial or websocket connection, not tcp',
+      ]);
+      assert.ok(/Unknown transport modem/.test(problems({port: 'COM3', transport: 'modem'})[0]));
+    });
+
+    it('checks numbers and their ranges', function () {
+      assert.deepStrictEqual(problems({connection: 'tcp', 'tcp-port': 70000, slave: 300, concurrency: '0'}), [
+        'tcp.port must be a whole number from 1 to 65535 (not 70000)',
+        'master.defaultUnit must be a whole number from 0 to 255 (not 300)',
+        'master.maxConcurrentRequests must be a whole number of at least 1 (not 0)',
+      ]);
+    });
+
+    it('checks the exceptions to retry on', function () {
+      assert.ok(/master.retryOnException must be/.test(problems({port: 'COM3', 'retry-on-exception': '0,5'})[0]));
+    });
+  });
+
+  describe('flatten() and get()', function () {
+    it('names settings by their place in the configuration', function () {
+      var settings = {tcp: {host: 'a', port: 1}, list: [1, 2]};
+
+      assert.deepStrictEqual(config.flatten(settings), [
+        ['tcp.host', 'a'],
+        ['tcp.port', 1],
+        ['list', [1, 2]],
+      ]);
+      assert.strictEqual(config.get(settings, 'tcp.port'), 1);
+      assert.strictEqual(config.get(settings, 'tcp.port.x'), undefined);
+    });
+  });
+});
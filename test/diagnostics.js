@@ -0,0 +1,99 @@
+'use strict';
+
+var assert = require('assert');
+
+var diagnostics = require('../lib/diagnostics');
+
+/**
+ * Creates a master that answers each request with a PDU chosen by the test
+ *
+ * @param  {[function]} answer returns the response PDU for a request PDU
+ * @return {[object]}          the master; requests lists each request PDU (hex)
+ */
+function createMaster(answer) {
+  var master = {requests: []};
+
+  master.request = function (request, transaction) {
+    var pdu = request.toBuffer();
+
+    master.requests.push(pdu.toString('hex'));
+    setImmediate(() => transaction.onDone(null, request.createResponse(answer(pdu))));
+  };
+
+  return master;
+}
+
+describe('diagnostics', function () {
+  describe('describeEvent()', function () {
+    it('describes each kind of event', function () {
+      assert.strictEqual(diagnostics.describeEvent(0x00), '0x00 communication restart');
+      assert.strictEqual(diagnostics.describeEvent(0xc2), '0xC2 received (communication error, broadcast)');
+      assert.strictEqual(diagnostics.describeEvent(0x41), '0x41 sent (read exception)');
+      assert.strictEqual(diagnostics.describeEvent(0x04), '0x04 entered listen only mode');
+    });
+  });
+
+  describe('run()', function () {
+    it('sends a loopback and checks that it comes back', function (done) {
+      var master = createMaster((pdu) => pdu);
+
+      diagnostics.run(master, 'loopback', [1, 2, 3], {}, function (err, response) {
+        assert.ifError(err);
+        assert.deepStrictEqual(master.requests, ['080000010203']);
+        assert.strictEqual(response.summary, 'Loopback OK (3 bytes echoed)');
+        done();
+      });
+    });
+
+    it('fails a loopback that comes back changed', function (done) {
+      var master = createMaster(() => Buffer.from('080000ffff', 'hex'));
+
+      diagnostics.run(master, 'loopback', [], {}, function (err) {
+        assert.match(err.message, /Loopback data did not match: sent a55a, received ffff/);
+        done();
+      });
+    });
+
+    it('reads every counter, leaving out those the slave refuses', function (done) {
+      var master = createMaster(function (pdu) {
+        var subFunction = pdu.readUInt16BE(1);
+
+        return subFunction === 0x12 ? Buffer.from([0x88, 0x01]) : Buffer.from([8, 0, subFunction, 0, subFunction]);
+      });
+
+      diagnostics.run(master, 'counters', [], {}, function (err, response) {
+        assert.ifError(err);
+        assert.strictEqual(master.requests.length, 8);
+        assert.strictEqual(response.counters['bus-messages'], 0x0b);
+        assert.strictEqual(response.counters.busy, 0x11);
+        assert.strictEqual(response.counters.overruns, undefined);
+        assert.match(response.summary, /^Bus messages: 11\n/);
+        done();
+      });
+    });
+
+    it('summarizes the event counter and log', function (done) {
+      var master = createMaster((pdu) => Buffer.from(pdu[0] === 0x0b ? '0b00000005' : '0c0700000005000900', 'hex'));
+
+      diagnostics.run(master, 'events', [], {}, function (err, response) {
+        assert.ifError(err);
+        assert.strictEqual(response.summary, 'Event count: 5 (ready)');
+
+        diagnostics.run(master, 'log', [], {}, function (err, response) {
+          assert.ifError(err);
+          assert.match(response.summary, /Message count: 9\nEvents \(most recent first\):\n {2}0x00 communication restart$/);
+          done();
+        });
+      });
+    });
+
+    it('refuses unknown diagnostics and arguments', function () {
+      var master = createMaster(assert.fail);
+
+      assert.throws(() => diagnostics.run(master, 'reboot', [], {}, assert.fail), /Unknown diagnostic reboot/);
+      assert.throws(() => diagnostics.run(master, 'loopback', [256], {}, assert.fail), /Invalid loopback byte: 256/);
+      assert.throws(() => diagnostics.run(master, 'restart', ['now'], {}, assert.fail), /Unknown restart option now/);
+      assert.strictEqual(master.requests.length, 0);
+    });
+  });
+});
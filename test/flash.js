@@ -0,0 +1,61 @@
+'use strict';
+
+var assert = require('assert');
+
+var WriteMemoryVerifyResponse = require('@csllc/cs-modbus/lib/functions/WriteMemoryVerifyResponse');
+
+var flash = require('../lib/flash');
+
+describe('flash', function () {
+  describe('blocks()', function () {
+    it('splits each segment into blocks', function () {
+      var list = flash.blocks(
+        [
+          {address: 0x100, data: Buffer.alloc(5)},
+          {address: 0xfffc, data: Buffer.alloc(4)},
+        ],
+        4,
+      );
+
+      assert.deepStrictEqual(
+        list.map((block) => [block.address, block.data.length]),
+        [
+          [0x100, 4],
+          [0x104, 1],
+          [0xfffc, 4],
+        ],
+      );
+    });
+
+    it('refuses images with data outside the 16-bit address space', function () {
+      assert.throws(
+        () => flash.blocks([{address: 0x10000, data: Buffer.alloc(4)}], 4),
+        /The image has data at 0x10000, above the last memory address \(0xFFFF\)/,
+      );
+      assert.throws(
+        () => flash.blocks([{address: 0xfff0, data: Buffer.alloc(0x20)}], 16),
+        /The range 0xFFF0 to 0x1000F goes past the last memory address/,
+      );
+    });
+  });
+
+  describe('write()', function () {
+    it('retries a failed block, then reports where to resume', function (done) {
+      var written = [];
+      var master = {
+        writeMemoryVerify: function (address, data, transaction) {
+          written.push(address);
+          setImmediate(() => transaction.onDone(null, new WriteMemoryVerifyResponse(address === 0x104 ? 1 : 0)));
+        },
+      };
+      var list = flash.blocks([{address: 0x100, data: Buffer.alloc(8)}], 4);
+
+      flash.write(master, list, {retries: 1}, function (err) {
+        assert.strictEqual(err.block, 1);
+        assert.match(err.message, /^Block 1 at 0x104 failed: Device reported status 1$/);
+        assert.deepStrictEqual(written, [0x100, 0x104, 0x104]);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,199 @@
+'use strict';
+
+var assert = require('assert');
+
+var functions = require('../lib/functions');
+
+describe('functions', function () {
+  describe('Diagnostics (0x08)', function () {
+    it('round-trips the request and response', function () {
+      var request = new functions.DiagnosticsRequest(0x0b);
+      var pdu = request.toBuffer();
+
+      assert.strictEqual(pdu.toString('hex'), '08000b0000');
+      assert.strictEqual(functions.DiagnosticsRequest.fromBuffer(pdu).getSubFunction(), 0x0b);
+
+      var response = request.createResponse(Buffer.from('08000b002a', 'hex'));
+
+      assert.strictEqual(response.getSubFunction(), 0x0b);
+      assert.strictEqual(response.getValue(), 42);
+      assert.strictEqual(response.toBuffer().toString('hex'), '08000b002a');
+    });
+
+    it('carries any amount of data', function () {
+      var request = new functions.DiagnosticsRequest(0, Buffer.from([1, 2, 3]));
+      var response = request.createResponse(request.toBuffer());
+
+      assert.strictEqual(response.getValues().toString('hex'), '010203');
+      assert.strictEqual(functions.DiagnosticsResponse.fromBuffer(Buffer.from('080000', 'hex')).getValue(), undefined);
+    });
+
+    it('checks the request and PDU', function () {
+      assert.throws(() => new functions.DiagnosticsRequest(0x10000), /Invalid sub-function: 65536/);
+      assert.throws(() => new functions.DiagnosticsRequest(0, Buffer.alloc(251)), /Too much diagnostic data/);
+      assert.throws(() => functions.DiagnosticsRequest.fromBuffer(Buffer.from('0800', 'hex')), /PDU too short/);
+      assert.throws(() => functions.DiagnosticsResponse.fromBuffer(Buffer.from('0800', 'hex')), /PDU too short/);
+    });
+  });
+
+  describe('Get Comm Event Counter (0x0B)', function () {
+    it('round-trips the request and response', function () {
+      var request = new functions.CommEventCounterRequest();
+
+      assert.strictEqual(request.toBuffer().toString('hex'), '0b');
+      assert.ok(
+        functions.CommEventCounterRequest.fromBuffer(request.toBuffer()) instanceof functions.CommEventCounterRequest,
+      );
+
+      var response = request.createResponse(Buffer.from('0bffff0102', 'hex'));
+
+      assert.deepStrictEqual([response.getStatus(), response.getEventCount()], [0xffff, 0x102]);
+      assert.strictEqual(response.toBuffer().toString('hex'), '0bffff0102');
+    });
+
+    it('checks the PDU', function () {
+      assert.throws(
+        () => functions.CommEventCounterResponse.fromBuffer(Buffer.from('0b000001', 'hex')),
+        /PDU too short: expected at least 5 bytes, got 4/,
+      );
+    });
+  });
+
+  describe('Get Comm Event Log (0x0C)', function () {
+    it('round-trips the request and response', function () {
+      var request = new functions.CommEventLogRequest();
+      var pdu = Buffer.from('0c08' + '0000' + '0003' + '0010' + 'c000', 'hex');
+
+      assert.strictEqual(request.toBuffer().toString('hex'), '0c');
+
+      var response = request.createResponse(pdu);
+
+      assert.deepStrictEqual([response.getStatus(), response.getEventCount(), response.getMessageCount()], [0, 3, 0x10]);
+      assert.deepStrictEqual(Array.from(response.getEvents()), [0xc0, 0x00]);
+      assert.strictEqual(response.toBuffer().toString('hex'), pdu.toString('hex'));
+    });
+
+    it('checks the PDU', function () {
+      assert.throws(() => functions.CommEventLogResponse.fromBuffer(Buffer.from('0c0600000000', 'hex')), /PDU too short/);
+      // the byte count includes events that are missing
+      assert.throws(
+        () => functions.CommEventLogResponse.fromBuffer(Buffer.from('0c0a0000000300100000', 'hex')),
+        /PDU too short: expected at least 12 bytes, got 10/,
+      );
+    });
+  });
+
+  describe('Mask Write Register (0x16)', function () {
+    it('round-trips the request and response', function () {
+      var request = new functions.MaskWriteRegisterRequest(0x102, 0xf0f0, 0x0505);
+      var pdu = request.toBuffer();
+
+      assert.strictEqual(pdu.toString('hex'), '160102f0f00505');
+
+      var copy = functions.MaskWriteRegisterRequest.fromBuffer(pdu);
+
+      assert.deepStrictEqual([copy.getAddress(), copy.andMask, copy.orMask], [0x102, 0xf0f0, 0x0505]);
+
+      var response = request.createResponse(pdu);
+
+      assert.deepStrictEqual([response.getAddress(), response.getAndMask(), response.getOrMask()], [0x102, 0xf0f0, 0x0505]);
+      assert.strictEqual(response.toBuffer().toString('hex'), pdu.toString('hex'));
+    });
+
+    it('checks the request and PDU', function () {
+      assert.throws(() => new functions.MaskWriteRegisterRequest(0, 0x10000, 0), /Invalid AND mask: 65536/);
+      assert.throws(() => functions.MaskWriteRegisterRequest.fromBuffer(Buffer.from('1601020000', 'hex')), /PDU too short/);
+      assert.throws(
+        () => functions.MaskWriteRegisterResponse.fromBuffer(Buffer.from('160102f0f005', 'hex')),
+        /PDU too short: expected at least 7 bytes, got 6/,
+      );
+    });
+  });
+
+  describe('Read/Write Multiple Registers (0x17)', function () {
+    it('round-trips the request and response', function () {
+      var request = new functions.ReadWriteRegistersRequest(0x10, 2, 0x20, Buffer.from([0, 1, 0, 2]));
+      var pdu = request.toBuffer();
+
+      assert.strictEqual(pdu.toString('hex'), '1700100002002000020400010002');
+
+      var copy = functions.ReadWriteRegistersRequest.fromBuffer(pdu);
+
+      assert.deepStrictEqual(
+        [copy.getAddress(), copy.getQuantity(), copy.getWriteAddress(), copy.values.toString('hex')],
+        [0x10, 2, 0x20, '00010002'],
+      );
+
+      var response = request.createResponse(Buffer.from('170412345678', 'hex'));
+
+      assert.strictEqual(response.getCount(), 2);
+      assert.strictEqual(response.getValues().toString('hex'), '12345678');
+      assert.strictEqual(response.toBuffer().toString('hex'), '170412345678');
+    });
+
+    it('passes on exceptions', function () {
+      var request = new functions.ReadWriteRegistersRequest(0, 1, 0, Buffer.alloc(2));
+
+      assert.strictEqual(request.createResponse(Buffer.from([0x97, 0x02])).getExceptionCode(), 2);
+    });
+
+    it('checks the request and PDU', function () {
+      assert.throws(() => new functions.ReadWriteRegistersRequest(0, 0, 0, Buffer.alloc(2)), /at least one register/);
+      assert.throws(() => new functions.ReadWriteRegistersRequest(0, 126, 0, Buffer.alloc(2)), /Invalid read quantity/);
+      assert.throws(() => new functions.ReadWriteRegistersRequest(0, 1, 0, Buffer.alloc(3)), /whole registers/);
+      assert.throws(
+        () => functions.ReadWriteRegistersRequest.fromBuffer(Buffer.from('17001000020020000204000100', 'hex')),
+        /PDU too short: expected at least 14 bytes, got 13/,
+      );
+      assert.throws(() => functions.ReadWriteRegistersResponse.fromBuffer(Buffer.from('17041234', 'hex')), /PDU too short/);
+    });
+  });
+
+  describe('Read Device Identification (0x2B)', function () {
+    it('round-trips the request', function () {
+      var request = new functions.ReadDeviceIdentificationRequest(2, 0x03);
+      var copy = functions.ReadDeviceIdentificationRequest.fromBuffer(request.toBuffer());
+
+      assert.strictEqual(request.toBuffer().toString('hex'), '2b0e0203');
+      assert.deepStrictEqual([copy.getReadCode(), copy.getObjectId()], [2, 3]);
+    });
+
+    it('round-trips a response whose objects continue in another', function () {
+      var pdu = Buffer.from('2b0e0382ff8102' + '0003414243' + '8001ff', 'hex');
+      var response = new functions.ReadDeviceIdentificationRequest(3, 0).createResponse(pdu);
+
+      assert.strictEqual(response.getConformity(), 0x82);
+      assert.strictEqual(response.getMoreFollows(), true);
+      assert.strictEqual(response.getNextObjectId(), 0x81);
+      assert.deepStrictEqual(
+        response.getObjects().map((object) => [object.id, object.value.toString('hex')]),
+        [
+          [0x00, '414243'],
+          [0x80, 'ff'],
+        ],
+      );
+      assert.strictEqual(response.toBuffer().toString('hex'), pdu.toString('hex'));
+    });
+
+    it('checks the request and PDU', function () {
+      assert.throws(() => new functions.ReadDeviceIdentificationRequest(5, 0), /Invalid read device id code: 5/);
+      assert.throws(
+        () => functions.ReadDeviceIdentificationRequest.fromBuffer(Buffer.from('2b0e01', 'hex')),
+        /PDU too short/,
+      );
+      assert.throws(
+        () => functions.ReadDeviceIdentificationRequest.fromBuffer(Buffer.from('2b0d0100', 'hex')),
+        /Unexpected MEI type in request: 0xd/,
+      );
+      assert.throws(
+        () => functions.ReadDeviceIdentificationResponse.fromBuffer(Buffer.from('2b0e01810000', 'hex')),
+        /PDU too short: expected at least 7 bytes/,
+      );
+      // the object is shorter than its length says
+      assert.throws(
+        () => functions.ReadDeviceIdentificationResponse.fromBuffer(Buffer.from('2b0e0181000001000341', 'hex')),
+        /PDU too short: expected at least 12 bytes, got 10/,
+      );
+    });
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Helpers shared by the tests
+ *
+ */
+'use strict';
+
+var crc = require('../lib/crc');
+
+/**
+ * Builds an RTU frame
+ *
+ * @param  {[array]}  bytes the unit and PDU
+ * @return {[Buffer]}       the frame, with its CRC
+ */
+function frame(bytes) {
+  var data = Buffer.from(bytes);
+  var check = Buffer.alloc(2);
+
+  check.writeUInt16LE(crc.crc16(data), 0);
+  return Buffer.concat([data, check]);
+}
+
+module.exports = {
+  frame: frame,
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+var assert = require('assert');
+
+var functions = require('../lib/functions');
+var identification = require('../lib/identification');
+
+/**
+ * Creates a master that answers identification requests from a list of
+ * responses, one per request
+ *
+ * @param  {[array]}  responses list of response PDUs (hex)
+ * @return {[object]}           the master; requests lists the object id of
+ *                              each request sent
+ */
+function createMaster(responses) {
+  var master = {requests: []};
+
+  master.request = function (request, transaction) {
+    master.requests.push(request.getObjectId());
+    setImmediate(() => transaction.onDone(null, request.createResponse(Buffer.from(responses.shift(), 'hex'))));
+  };
+
+  return master;
+}
+
+describe('identification', function () {
+  describe('objectId() and objectName()', function () {
+    it('convert between names and ids', function () {
+      assert.strictEqual(identification.objectId('vendorname'), 0);
+      assert.strictEqual(identification.objectId('Object0x80'), 0x80);
+      assert.strictEqual(identification.objectId('0x81'), 0x81);
+      assert.strictEqual(identification.objectId(''), undefined);
+      assert.strictEqual(identification.objectId(256), undefined);
+      assert.strictEqual(identification.objectName(4), 'ProductName');
+      assert.strictEqual(identification.objectName(0x8a), 'Object0x8A');
+    });
+  });
+
+  describe('parseCategory()', function () {
+    it('reads a category, or a single object', function () {
+      assert.deepStrictEqual(identification.parseCategory(), {readCode: 1, objectId: 0});
+      assert.deepStrictEqual(identification.parseCategory('extended'), {readCode: 3, objectId: 0});
+      assert.deepStrictEqual(identification.parseCategory('ModelName'), {readCode: 4, objectId: 5});
+      assert.throws(() => identification.parseCategory('all'), /Unknown identification all/);
+    });
+  });
+
+  describe('read()', function () {
+    it('continues while more objects follow, and returns them together', function (done) {
+      var master = createMaster(['2b0e0182ff01010003414243', '2b0e0182000001010158']);
+
+      identification.read(master, 1, 0, {}, function (err, response) {
+        assert.ifError(err);
+        assert.deepStrictEqual(master.requests, [0, 1]);
+        assert.strictEqual(response.getMoreFollows(), false);
+        assert.deepStrictEqual(
+          response.getObjects().map((object) => object.value.toString()),
+          ['ABC', 'X'],
+        );
+        assert.strictEqual(response.request.getObjectId(), 0);
+        done();
+      });
+    });
+
+    it('stops if the device does not move on', function (done) {
+      var master = createMaster(['2b0e0182ff0001000141', '2b0e0182ff0001000141']);
+
+      identification.read(master, 1, 0, {}, function (err) {
+        assert.match(err.message, /Device identification did not end \(next object 0\)/);
+        assert.deepStrictEqual(master.requests, [0]);
+        done();
+      });
+    });
+
+    it('passes on exceptions', function (done) {
+      var master = createMaster(['ab02']);
+
+      identification.read(master, 4, 9, {}, function (err, response) {
+        assert.ifError(err);
+        assert.strictEqual(response.getExceptionCode(), 2);
+        assert.ok(response.request instanceof functions.ReadDeviceIdentificationRequest);
+        done();
+      });
+    });
+  });
+});
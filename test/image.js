@@ -0,0 +1,164 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var image = require('../lib/image');
+
+// Two blocks, the second crossing a 64k boundary
+var SEGMENTS = [
+  {address: 0x400, data: Buffer.from('0123456789abcdefghij')},
+  {address: 0x1fff8, data: Buffer.from([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12])},
+];
+
+describe('image', function () {
+  describe('formatOf()', function () {
+    it('selects the format by extension', function () {
+      assert.strictEqual(image.formatOf('cal.HEX'), 'ihex');
+      assert.strictEqual(image.formatOf('firmware.s19'), 'srec');
+      assert.strictEqual(image.formatOf('firmware.mot'), 'srec');
+      assert.strictEqual(image.formatOf('dump.bin'), 'binary');
+      assert.strictEqual(image.formatOf('dump'), 'binary');
+    });
+  });
+
+  describe('merge()', function () {
+    it('sorts and joins contiguous segments', function () {
+      var merged = image.merge([
+        {address: 4, data: Buffer.from([4, 5])},
+        {address: 0, data: Buffer.from([0, 1, 2, 3])},
+        {address: 8, data: Buffer.from([8])},
+        {address: 9, data: Buffer.alloc(0)},
+      ]);
+
+      assert.deepStrictEqual(merged, [
+        {address: 0, data: Buffer.from([0, 1, 2, 3, 4, 5])},
+        {address: 8, data: Buffer.from([8])},
+      ]);
+    });
+
+    it('rejects overlapping segments', function () {
+      assert.throws(
+        () =>
+          image.merge([
+            {address: 0, data: Buffer.alloc(4)},
+            {address: 2, data: Buffer.alloc(4)},
+          ]),
+        /overlaps at address 0x2/,
+      );
+    });
+  });
+
+  describe('Intel HEX', function () {
+    it('parses data records', function () {
+      var segments = image.parseIntelHex(':0B0010006164647265737320676170A7\r\n:00000001FF\r\n');
+
+      assert.deepStrictEqual(segments, [{address: 0x10, data: Buffer.from('address gap')}]);
+    });
+
+    it('applies extended segment and linear addresses', function () {
+      var segments = image.parseIntelHex(
+        [':020000021000EC', ':0100000041BE', ':020000040001F9', ':01002000429D', ':00000001FF'].join('\n'),
+      );
+
+      assert.deepStrictEqual(segments, [
+        {address: 0x10000, data: Buffer.from('A')},
+        {address: 0x10020, data: Buffer.from('B')},
+      ]);
+    });
+
+    it('ignores records after the end of file record', function () {
+      assert.deepStrictEqual(image.parseIntelHex(':00000001FF\n:0100000041BE\n'), []);
+    });
+
+    it('round-trips segments', function () {
+      var text = image.toIntelHex(SEGMENTS);
+
+      assert.ok(/^:00000001FF$/m.test(text));
+      assert.ok(/^:020000040001F9$/m.test(text));
+      assert.deepStrictEqual(image.parseIntelHex(text), SEGMENTS);
+    });
+
+    it('splits records at 64k boundaries', function () {
+      image
+        .toIntelHex(SEGMENTS)
+        .trim()
+        .split('\n')
+        .forEach(function (line) {
+          var bytes = Buffer.from(line.substring(1), 'hex');
+
+          assert.ok(bytes[0] <= 16);
+          assert.ok(bytes.readUInt16BE(1) + bytes[0] <= 0x10000);
+        });
+    });
+
+    it('reports errors with the line they are on', function () {
+      assert.throws(() => image.parseIntelHex('\n:0B0010006164647265737320676170A8\n'), /Checksum error on line 2/);
+      assert.throws(() => image.parseIntelHex('0B0010006164647265737320676170A7'), /Invalid Intel HEX record on line 1/);
+      assert.throws(() => image.parseIntelHex(':0C0010006164647265737320676170A7'), /record length on line 1/);
+      assert.throws(() => image.parseIntelHex(':0B00100061646472657373206761ZZA7'), /Invalid record on line 1/);
+    });
+  });
+
+  describe('S-records', function () {
+    it('parses S1, S2 and S3 data records', function () {
+      var segments = image.parseSrec(
+        ['S00600004844521B', 'S106001041424323', 'S20701000044454628', 'S308020000004748491D', 'S9030000FC'].join('\r\n'),
+      );
+
+      assert.deepStrictEqual(segments, [
+        {address: 0x10, data: Buffer.from('ABC')},
+        {address: 0x10000, data: Buffer.from('DEF')},
+        {address: 0x2000000, data: Buffer.from('GHI')},
+      ]);
+    });
+
+    it('round-trips segments, using the smallest address size', function () {
+      var small = [{address: 0x400, data: Buffer.from('0123456789abcdefghij')}];
+
+      assert.ok(/^S1/m.test(image.toSrec(small)));
+      assert.ok(/^S9/m.test(image.toSrec(small)));
+      assert.deepStrictEqual(image.parseSrec(image.toSrec(small)), small);
+
+      assert.ok(/^S2/m.test(image.toSrec(SEGMENTS)));
+      assert.ok(/^S8/m.test(image.toSrec(SEGMENTS)));
+      assert.deepStrictEqual(image.parseSrec(image.toSrec(SEGMENTS)), SEGMENTS);
+    });
+
+    it('reports errors with the line they are on', function () {
+      assert.throws(() => image.parseSrec('S00600004844521B\nS106001041424324'), /Checksum error on line 2/);
+      assert.throws(() => image.parseSrec('X1060010414243D0'), /Invalid S-record on line 1/);
+      assert.throws(() => image.parseSrec('S107001041424323'), /S-record length on line 1/);
+    });
+  });
+
+  describe('load() and save()', function () {
+    var dir;
+
+    before(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mb-image-'));
+    });
+
+    after(function () {
+      fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    ['image.hex', 'image.s19'].forEach(function (name) {
+      it('writes and reads ' + name, function () {
+        image.save(path.join(dir, name), SEGMENTS);
+        assert.deepStrictEqual(image.load(path.join(dir, name)), SEGMENTS);
+      });
+    });
+
+    it('loads binary files at the given address', function () {
+      image.save(path.join(dir, 'image.bin'), [SEGMENTS[0]]);
+      assert.deepStrictEqual(image.load(path.join(dir, 'image.bin'), 0x400), [SEGMENTS[0]]);
+    });
+
+    it('refuses to write more than one block to a binary file', function () {
+      assert.throws(() => image.save(path.join(dir, 'image.bin'), SEGMENTS), /only hold one block/);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+var assert = require('assert');
+
+var WriteMultipleRegistersResponse = require('@csllc/cs-modbus/lib/functions/WriteMultipleRegistersResponse');
+
+var mb = require('..');
+
+/**
+ * Creates a master that accepts every register write
+ *
+ * @return {[object]} the master; writes lists {address, data} for each
+ *                    request sent
+ */
+function createMaster() {
+  var master = {writes: []};
+
+  master.writeMultipleRegisters = function (address, data, transaction) {
+    master.writes.push({address: address, data: data});
+    setImmediate(() => transaction.onDone(null, new WriteMultipleRegistersResponse(address, data.length / 2)));
+  };
+
+  return master;
+}
+
+describe('index', function () {
+  describe('write()', function () {
+    it('writes holding registers from numbers', function () {
+      var master = createMaster();
+
+      return mb.write(master, 'holding', 0x100, [1, 0xffff, -1, '0x10']).then(function () {
+        assert.strictEqual(master.writes[0].address, 0x100);
+        assert.strictEqual(master.writes[0].data.toString('hex'), '0001ffffffff0010');
+      });
+    });
+
+    it('writes a single register, or register data as given', function () {
+      var master = createMaster();
+
+      return mb
+        .write(master, 'holding', 0, 0x1234)
+        .then(() => mb.write(master, 'holding', 0, Buffer.from([1, 2, 3, 4])))
+        .then(function () {
+          assert.deepStrictEqual(
+            master.writes.map((write) => write.data.toString('hex')),
+            ['1234', '01020304'],
+          );
+        });
+    });
+
+    it('rejects register values that do not fit, without sending anything', function () {
+      var master = createMaster();
+
+      return Promise.all(
+        [[0x10000], [1, -40000], [1.5], ['x']].map(function (values) {
+          return mb.write(master, 'holding', 0, values).then(
+            () => assert.fail('expected ' + values + ' to be rejected'),
+            (err) => assert.match(err.message, /does not fit in a register|Invalid number/),
+          );
+        }),
+      ).then(() => assert.strictEqual(master.writes.length, 0));
+    });
+  });
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+var assert = require('assert');
+
+var ReadMemoryResponse = require('@csllc/cs-modbus/lib/functions/ReadMemoryResponse');
+var WriteMemoryResponse = require('@csllc/cs-modbus/lib/functions/WriteMemoryResponse');
+
+var memory = require('../lib/memory');
+
+/**
+ * Creates a master whose memory holds the low byte of each address
+ *
+ * @return {[object]} the master; requests lists {method, address, length}
+ *                    for each request sent
+ */
+function createMaster() {
+  var master = {requests: []};
+
+  master.readMemory = function (address, count, transaction) {
+    var values = Buffer.alloc(count);
+
+    master.requests.push({method: 'readMemory', address: address, length: count});
+    for (var i = 0; i < count; i++) {
+      values[i] = (address + i) & 0xff;
+    }
+    setImmediate(() => transaction.onDone(null, new ReadMemoryResponse(values)));
+  };
+
+  master.writeMemory = function (address, data, transaction) {
+    master.requests.push({method: 'writeMemory', address: address, length: data.length});
+    setImmediate(() => transaction.onDone(null, new WriteMemoryResponse(0)));
+  };
+
+  return master;
+}
+
+describe('memory', function () {
+  describe('read()', function () {
+    it('reads a block in chunks', function (done) {
+      var master = createMaster();
+
+      memory.read(master, 0xfff0, 16, {chunk: 6}, function (err, data) {
+        assert.ifError(err);
+        assert.strictEqual(data.toString('hex'), 'f0f1f2f3f4f5f6f7f8f9fafbfcfdfeff');
+        assert.deepStrictEqual(
+          master.requests.map((request) => request.length),
+          [6, 6, 4],
+        );
+        done();
+      });
+    });
+
+    it('refuses a block that goes past the last address, before sending anything', function () {
+      var master = createMaster();
+
+      assert.throws(
+        () => memory.read(master, 0xfff0, 0x20, {}, assert.fail),
+        /^Error: The range 0xFFF0 to 0x1000F goes past the last memory address \(0xFFFF\)$/,
+      );
+      assert.throws(() => memory.read(master, 0x10000, 1, {}, assert.fail), /Invalid memory address: 65536/);
+      assert.throws(() => memory.read(master, -1, 1, {}, assert.fail), /Invalid memory address: -1/);
+      assert.strictEqual(master.requests.length, 0);
+    });
+  });
+
+  describe('write()', function () {
+    it('writes each segment in chunks', function (done) {
+      var master = createMaster();
+      var segments = [
+        {address: 0x100, data: Buffer.alloc(5)},
+        {address: 0xfffe, data: Buffer.alloc(2)},
+      ];
+
+      memory.write(master, segments, {chunk: 4}, function (err) {
+        assert.ifError(err);
+        assert.deepStrictEqual(
+          master.requests.map((request) => [request.address, request.length]),
+          [
+            [0x100, 4],
+            [0x104, 1],
+            [0xfffe, 2],
+          ],
+        );
+        done();
+      });
+    });
+
+    it('refuses an image with data outside the address space, before sending anything', function () {
+      var master = createMaster();
+
+      assert.throws(
+        () =>
+          memory.write(
+            master,
+            [
+              {address: 0, data: Buffer.alloc(1)},
+              {address: 0x10000, data: Buffer.alloc(1)},
+            ],
+            {},
+            assert.fail,
+          ),
+        /^Error: The image has data at 0x10000, above the last memory address \(0xFFFF\)$/,
+      );
+      assert.throws(
+        () => memory.write(master, [{address: 0xffff, data: Buffer.alloc(2)}], {}, assert.fail),
+        /The range 0xFFFF to 0x10000 goes past/,
+      );
+      assert.strictEqual(master.requests.length, 0);
+    });
+  });
+});
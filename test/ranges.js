@@ -0,0 +1,219 @@
+'use strict';
+
+var assert = require('assert');
+
+var ExceptionResponse = require('@csllc/cs-modbus/lib/functions/ExceptionResponse');
+var ReadCoilsResponse = require('@csllc/cs-modbus/lib/functions/ReadCoilsResponse');
+var ReadHoldingRegistersResponse = require('@csllc/cs-modbus/lib/functions/ReadHoldingRegistersResponse');
+var WriteMultipleCoilsResponse = require('@csllc/cs-modbus/lib/functions/WriteMultipleCoilsResponse');
+var WriteMultipleRegistersResponse = require('@csllc/cs-modbus/lib/functions/WriteMultipleRegistersResponse');
+
+var format = require('../lib/format');
+var ranges = require('../lib/ranges');
+
+/**
+ * Creates a master that answers from memory, with each register holding
+ * its own address and each coil on if its address is odd
+ *
+ * Responses come back in the reverse of the order the requests were sent,
+ * so the joining of the chunks is tested.
+ *
+ * @param  {[object]} options concurrency, and fail (the address of a chunk
+ *                            to answer with an exception)
+ * @return {[object]}         the master; requests lists {method, address,
+ *                            quantity, options} for each request sent
+ */
+function createMaster(options) {
+  var waiting = [];
+  var master = {options: {maxConcurrentRequests: options.concurrency}, requests: [], inFlight: 0, maxInFlight: 0};
+
+  function request(method, address, quantity, transaction, respond) {
+    master.requests.push({method: method, address: address, quantity: quantity, options: transaction});
+    master.inFlight++;
+    master.maxInFlight = Math.max(master.maxInFlight, master.inFlight);
+
+    waiting.unshift(function () {
+      master.inFlight--;
+      transaction.onDone(null, address === options.fail ? new ExceptionResponse(0x03, 2) : respond());
+    });
+
+    setImmediate(function () {
+      while (waiting.length) {
+        waiting.shift()();
+      }
+    });
+  }
+
+  master.readHoldingRegisters = function (address, quantity, transaction) {
+    request('readHoldingRegisters', address, quantity, transaction, function () {
+      var values = Buffer.alloc(quantity * 2);
+
+      for (var i = 0; i < quantity; i++) {
+        values.writeUInt16BE(address + i, i * 2);
+      }
+      return new ReadHoldingRegistersResponse(values);
+    });
+  };
+
+  master.readCoils = function (address, quantity, transaction) {
+    request('readCoils', address, quantity, transaction, function () {
+      var states = [];
+
+      // whole bytes of states, as in a response PDU
+      for (var i = 0; i < Math.ceil(quantity / 8) * 8; i++) {
+        states.push(i < quantity && (address + i) % 2 === 1);
+      }
+      return new ReadCoilsResponse(states);
+    });
+  };
+
+  master.writeMultipleRegisters = function (address, values, transaction) {
+    request('writeMultipleRegisters', address, values.length / 2, transaction, function () {
+      return new WriteMultipleRegistersResponse(address, values.length / 2);
+    });
+  };
+
+  master.writeMultipleCoils = function (address, states, transaction) {
+    request('writeMultipleCoils', address, states.length, transaction, function () {
+      return new WriteMultipleCoilsResponse(address, states.length);
+    });
+  };
+
+  return master;
+}
+
+/**
+ * Lists the chunks a master was asked for
+ *
+ * @param  {[object]} master from createMaster()
+ * @return {[array]}         [address, quantity] of each request
+ */
+function chunks(master) {
+  return master.requests.map((request) => [request.address, request.quantity]).sort((a, b) => a[0] - b[0]);
+}
+
+describe('ranges', function () {
+  describe('isSplit()', function () {
+    it('splits only ranges larger than one request allows', function () {
+      [
+        [0x01, 2000],
+        [0x02, 2000],
+        [0x03, 125],
+        [0x04, 125],
+        [0x0f, 1968],
+        [0x10, 123],
+      ].forEach(function (limit) {
+        assert.strictEqual(ranges.isSplit(limit[0], limit[1]), false);
+        assert.strictEqual(ranges.isSplit(limit[0], limit[1] + 1), true);
+      });
+    });
+  });
+
+  describe('read()', function () {
+    it('reads 126 registers in chunks of 125 and 1', function (done) {
+      var master = createMaster({concurrency: 2});
+
+      ranges.read(master, 0x03, 10, 126, {unit: 4}, function (err, response) {
+        assert.ifError(err);
+        assert.deepStrictEqual(chunks(master), [
+          [10, 125],
+          [135, 1],
+        ]);
+        assert.strictEqual(master.requests[0].options.unit, 4);
+        assert.strictEqual(response.getValues().length, 252);
+        for (var i = 0; i < 126; i++) {
+          assert.strictEqual(response.getValues().readUInt16BE(i * 2), 10 + i);
+        }
+        done();
+      });
+    });
+
+    it('keeps up to the master concurrency waiting', function (done) {
+      var master = createMaster({concurrency: 3});
+
+      ranges.read(master, 0x03, 0, 1000, {}, function (err, response) {
+        assert.ifError(err);
+        assert.strictEqual(master.requests.length, 8);
+        assert.strictEqual(master.maxInFlight, 3);
+        assert.strictEqual(response.getValues().readUInt16BE(999 * 2), 999);
+        done();
+      });
+    });
+
+    it('reads 2001 coils in chunks of 2000 and 1, trimmed to the quantity', function (done) {
+      var master = createMaster({concurrency: 2});
+
+      ranges.read(master, 0x01, 0, 2001, {}, function (err, response) {
+        assert.ifError(err);
+        assert.deepStrictEqual(chunks(master), [
+          [0, 2000],
+          [2000, 1],
+        ]);
+        assert.strictEqual(response.getStates().length, 2001);
+        assert.deepStrictEqual(response.getStates().slice(1997), [true, false, true, false]);
+        done();
+      });
+    });
+
+    it('gives the whole byte count, so output keeps the layout of a single response', function (done) {
+      var master = createMaster({concurrency: 2});
+
+      ranges.read(master, 0x03, 0, 130, {}, function (err, response) {
+        assert.ifError(err);
+        assert.deepStrictEqual(format.bytesOf(response).slice(0, 4), [0x03, 260, 0, 0]);
+        assert.strictEqual(format.bytesOf(response).length, 262);
+        assert.strictEqual(format.dataOf(response).length, 260);
+        assert.deepStrictEqual(format.bytesOf(new ReadHoldingRegistersResponse(Buffer.from([0, 1]))), [0x03, 2, 0, 1]);
+        done();
+      });
+    });
+
+    it('says which chunk failed', function (done) {
+      var master = createMaster({concurrency: 1, fail: 125});
+
+      ranges.read(master, 0x03, 0, 300, {}, function (err) {
+        assert.strictEqual(err.message.indexOf('Holding registers 125-249 (request 2 of 3): Exception 2'), 0);
+        assert.strictEqual(err.response.getExceptionCode(), 2);
+        done();
+      });
+    });
+
+    it('rejects ranges past the last address', function () {
+      assert.throws(
+        () => ranges.read(createMaster({concurrency: 2}), 0x03, 65500, 100, {}, function () {}),
+        /goes past the last address/,
+      );
+    });
+  });
+
+  describe('write()', function () {
+    it('writes 124 registers in chunks of 123 and 1', function (done) {
+      var master = createMaster({concurrency: 2});
+      ranges.write(master, 0x10, 0, Buffer.alloc(248), {}, function (err, response) {
+        assert.ifError(err);
+        assert.deepStrictEqual(chunks(master), [
+          [0, 123],
+          [123, 1],
+        ]);
+        assert.strictEqual(response.getQuantity(), 124);
+        assert.deepStrictEqual(format.bytesOf(response), [0x10, 0, 0, 0, 124]);
+        done();
+      });
+    });
+
+    it('writes 1969 coils in chunks of 1968 and 1', function (done) {
+      var master = createMaster({concurrency: 2});
+      var states = new Array(1969).fill(false);
+
+      ranges.write(master, 0x0f, 100, states, {}, function (err, response) {
+        assert.ifError(err);
+        assert.deepStrictEqual(chunks(master), [
+          [100, 1968],
+          [2068, 1],
+        ]);
+        assert.strictEqual(response.getQuantity(), 1969);
+        done();
+      });
+    });
+  });
+});
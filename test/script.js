@@ -0,0 +1,146 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var script = require('../lib/script');
+var values = require('../lib/values');
+
+describe('script', function () {
+  describe('tokenize()', function () {
+    it('splits on white space', function () {
+      assert.deepStrictEqual(script.tokenize('  read holding   0\t10 '), ['read', 'holding', '0', '10']);
+    });
+
+    it('keeps quoted words together, with their quotes', function () {
+      assert.deepStrictEqual(script.tokenize('write holding 0 "a b" \'c d\''), ['write', 'holding', '0', '"a b"', "'c d'"]);
+      assert.deepStrictEqual(script.tokenize('write memory 0 "say \\"hi\\""'), ['write', 'memory', '0', '"say \\"hi\\""']);
+    });
+  });
+
+  describe('parseWords()', function () {
+    it('parses numbers, negative numbers and options', function () {
+      var argv = script.parseWords(['write', 'holding', '0', '-5', '0x10', '--type=int16']);
+
+      assert.deepStrictEqual(argv._, ['write', 'holding', 0, -5, 16]);
+      assert.strictEqual(argv.type, 'int16');
+    });
+
+    it('removes quotes from option values only', function () {
+      var argv = script.parseWords(script.tokenize('write holding 0 "abc" --log "my file.log"'));
+
+      assert.deepStrictEqual(argv._, ['write', 'holding', 0, '"abc"']);
+      assert.strictEqual(argv.log, 'my file.log');
+    });
+
+    it('passes quoted text on to be written as text', function () {
+      var argv = script.parseWords(script.tokenize('write holding 0 "abc" \'d\''));
+
+      assert.strictEqual(values.toRegisters(argv._, 3).toString('hex'), '616263006400');
+    });
+  });
+
+  describe('unquote()', function () {
+    it('removes matching quotes only', function () {
+      assert.strictEqual(script.unquote('"a b"'), 'a b');
+      assert.strictEqual(script.unquote("'a'"), 'a');
+      assert.strictEqual(script.unquote('"a\''), '"a\'');
+      assert.strictEqual(script.unquote('"'), '"');
+      assert.strictEqual(script.unquote(12), 12);
+    });
+  });
+
+  describe('parseText()', function () {
+    it('makes a step of each line, skipping blank lines and comments', function () {
+      var steps = script.parseText(
+        ['# setup', '', 'read slave', '  // note', 'write memory 0x400 0x55 0xAA', 'delay 500', 'sleep 1', 'wait 0'].join(
+          '\n',
+        ),
+        'setup.txt',
+      );
+
+      assert.deepStrictEqual(
+        steps.map((step) => step.text),
+        ['read slave', 'write memory 0x400 0x55 0xAA', 'delay 500', 'delay 1', 'delay 0'],
+      );
+      assert.deepStrictEqual(steps[1].argv._, ['write', 'memory', 0x400, 0x55, 0xaa]);
+      assert.strictEqual(steps[2].delay, 500);
+    });
+
+    it('only allows actions that work over one connection', function () {
+      script.ACTIONS.forEach(function (action) {
+        assert.strictEqual(script.parseText(action + ' holding 0', 'x').length, 1);
+      });
+      assert.throws(
+        () => script.parseText('read slave\nflash image.hex', 'setup.txt'),
+        /^Error: setup.txt:2: unknown action flash$/,
+      );
+      assert.throws(() => script.parseText('run other.txt', 'setup.txt'), /setup.txt:1: unknown action run/);
+    });
+
+    it('reports bad delays with the line', function () {
+      assert.throws(() => script.parseText('\n\ndelay soon', 'setup.txt'), /^Error: setup.txt:3: invalid delay soon$/);
+      assert.throws(() => script.parseText('delay -1', 'setup.txt'), /invalid delay -1/);
+    });
+  });
+
+  describe('parseJson()', function () {
+    it('accepts an array of steps, as text or objects', function () {
+      var steps = script.parseJson(
+        JSON.stringify([
+          'read slave',
+          {action: 'read', type: 'holding', args: [0, 10]},
+          {action: 'command', args: [1, 0x55]},
+          {delay: 250},
+          {comment: 'anything'},
+        ]),
+        'steps.json',
+      );
+
+      assert.deepStrictEqual(
+        steps.map((step) => step.text),
+        ['read slave', 'read holding 0 10', 'command 1 85', 'delay 250'],
+      );
+      assert.deepStrictEqual(steps[1].argv._, ['read', 'holding', 0, 10]);
+    });
+
+    it('accepts an object with a steps array', function () {
+      assert.strictEqual(script.parseJson('{"steps": ["read slave"]}', 'steps.json').length, 1);
+    });
+
+    it('reports problems with the step they are in', function () {
+      assert.throws(() => script.parseJson('{"actions": []}', 'steps.json'), /steps.json: expected an array of steps/);
+      assert.throws(
+        () => script.parseJson('["read slave", {"type": "holding"}]', 'steps.json'),
+        /steps.json step 2: step must have/,
+      );
+      assert.throws(() => script.parseJson('[{"action": "scan"}]', 'steps.json'), /steps.json step 1: unknown action scan/);
+      assert.throws(() => script.parseJson('["delay x"]', 'steps.json'), /steps.json step 1:1: invalid delay x/);
+      assert.throws(() => script.parseJson('[{"delay": "x"}]', 'steps.json'), /steps.json step 1: invalid delay x/);
+      assert.throws(() => script.parseJson('[', 'steps.json'), SyntaxError);
+    });
+  });
+
+  describe('load()', function () {
+    var dir;
+
+    before(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mb-script-'));
+    });
+
+    after(function () {
+      fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('reads text and JSON scripts by extension', function () {
+      fs.writeFileSync(path.join(dir, 'a.txt'), 'read slave\n');
+      fs.writeFileSync(path.join(dir, 'a.JSON'), '[{"delay": 5}]');
+
+      assert.strictEqual(script.load(path.join(dir, 'a.txt')).steps[0].text, 'read slave');
+      assert.strictEqual(script.load(path.join(dir, 'a.JSON')).steps[0].delay, 5);
+      assert.throws(() => script.load(path.join(dir, 'missing.txt')), /ENOENT/);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+'use strict';
+
+var assert = require('assert');
+
+var modbus = require('@csllc/cs-modbus/lib/functions');
+
+var functions = require('../lib/functions');
+var registers = require('../lib/registers');
+var slave = require('../lib/slave');
+
+describe('slave', function () {
+  describe('handle()', function () {
+    var image;
+    var counters;
+    var changes;
+
+    /**
+     * Sends a request to the slave and decodes its response, as the
+     * master would
+     *
+     * @param  {[object]} request the request
+     * @return {[object]}         the response
+     */
+    function exchange(request) {
+      return request.createResponse(slave.handle(image, request.toBuffer(), () => changes++, counters));
+    }
+
+    beforeEach(function () {
+      image = registers.create({
+        slave: {product: 3, run: 0, version: '1.2.3', serial: 0x01020304},
+        holding: {0: 0x1234, 1: 2},
+        input: {5: 7},
+        coils: {1: 1, 3: 1},
+        discretes: {2: 1},
+        identification: {VendorName: 'CSLLC', ProductCode: 'MB', MajorMinorRevision: '2.0'},
+        fifos: {1: [9, 8, 7]},
+        objects: {3: [1, 2]},
+        memory: {0x10: [0xaa, 0xbb]},
+      });
+      counters = slave.createCounters();
+      changes = 0;
+    });
+
+    it('reads coils and discrete inputs (0x01, 0x02)', function () {
+      assert.deepStrictEqual(exchange(new modbus.ReadCoilsRequest(0, 4)).getStates().slice(0, 4), [
+        false,
+        true,
+        false,
+        true,
+      ]);
+      assert.deepStrictEqual(exchange(new modbus.ReadDiscreteInputsRequest(1, 2)).getStates().slice(0, 2), [false, true]);
+    });
+
+    it('reads holding and input registers (0x03, 0x04)', function () {
+      assert.strictEqual(exchange(new modbus.ReadHoldingRegistersRequest(0, 3)).getValues().toString('hex'), '123400020000');
+      assert.strictEqual(exchange(new modbus.ReadInputRegistersRequest(5, 1)).getValues().toString('hex'), '0007');
+    });
+
+    it('writes coils (0x05, 0x0F)', function () {
+      assert.strictEqual(exchange(new modbus.WriteSingleCoilRequest(4, true)).getState(), true);
+      assert.strictEqual(exchange(new modbus.WriteMultipleCoilsRequest(8, [true, false, true])).getQuantity(), 3);
+      assert.deepStrictEqual(exchange(new modbus.ReadCoilsRequest(4, 8)).getStates(), [
+        true,
+        false,
+        false,
+        false,
+        true,
+        false,
+        true,
+        false,
+      ]);
+      assert.strictEqual(changes, 2);
+    });
+
+    it('writes registers (0x06, 0x10)', function () {
+      exchange(new modbus.WriteSingleRegisterRequest(3, 0xbeef));
+      exchange(new modbus.WriteMultipleRegistersRequest(10, Buffer.from([0, 1, 0, 2])));
+
+      assert.strictEqual(image.holding[3], 0xbeef);
+      assert.deepStrictEqual([image.holding[10], image.holding[11]], [1, 2]);
+      assert.strictEqual(changes, 2);
+    });
+
+    it('answers diagnostics and the comm event counter and log (0x08, 0x0B, 0x0C)', function () {
+      var echo = exchange(new functions.DiagnosticsRequest(0, Buffer.from([0x12, 0x34])));
+
+      assert.strictEqual(echo.getSubFunction(), 0);
+      assert.strictEqual(echo.getValue(), 0x1234);
+
+      counters.busMessages = 5;
+      counters.events = 3;
+      assert.strictEqual(exchange(new functions.DiagnosticsRequest(0x0b)).getValue(), 5);
+      assert.strictEqual(exchange(new functions.CommEventCounterRequest()).getEventCount(), 3);
+
+      exchange(new functions.DiagnosticsRequest(0x01, Buffer.from([0xff, 0x00])));
+
+      var log = exchange(new functions.CommEventLogRequest());
+
+      assert.strictEqual(log.getEventCount(), 0);
+      assert.strictEqual(log.getMessageCount(), 0);
+      assert.deepStrictEqual(Array.from(log.getEvents()), [0x00]);
+    });
+
+    it('refuses diagnostics without counters', function () {
+      counters = undefined;
+      assert.strictEqual(exchange(new functions.CommEventCounterRequest()).getExceptionCode(), 1);
+    });
+
+    it('reports the slave id (0x11)', function () {
+      var response = exchange(new modbus.ReportSlaveIdRequest());
+
+      assert.strictEqual(response.product, 3);
+      assert.strictEqual(response.run, 0);
+      assert.strictEqual(response.getVersion(), '1.2.3');
+      assert.strictEqual(response.getValues().readUInt32BE(0), 0x01020304);
+    });
+
+    it('masks and reads/writes registers (0x16, 0x17)', function () {
+      exchange(new functions.MaskWriteRegisterRequest(0, 0xff00, 0x0056));
+      assert.strictEqual(image.holding[0], 0x1256);
+
+      var response = exchange(new functions.ReadWriteRegistersRequest(0, 3, 1, Buffer.from([0, 9, 0, 10])));
+
+      assert.strictEqual(response.getValues().toString('hex'), '12560009000a');
+      assert.strictEqual(changes, 2);
+    });
+
+    it('reads device identification, continuing when more follows (0x2B)', function () {
+      var response = exchange(new functions.ReadDeviceIdentificationRequest(1, 0));
+
+      assert.strictEqual(response.getConformity(), 0x81);
+      assert.strictEqual(response.getMoreFollows(), false);
+      assert.deepStrictEqual(
+        response.getObjects().map((object) => object.value.toString()),
+        ['CSLLC', 'MB', '2.0'],
+      );
+
+      // objects that do not fit in one response are left for another request
+      image.identification[0x80] = Buffer.alloc(200, 'a');
+      image.identification[0x81] = Buffer.alloc(200, 'b');
+      response = exchange(new functions.ReadDeviceIdentificationRequest(3, 0));
+      assert.strictEqual(response.getMoreFollows(), true);
+      assert.strictEqual(response.getNextObjectId(), 0x81);
+
+      response = exchange(new functions.ReadDeviceIdentificationRequest(3, response.getNextObjectId()));
+      assert.strictEqual(response.getMoreFollows(), false);
+      assert.deepStrictEqual(
+        response.getObjects().map((object) => object.id),
+        [0x81],
+      );
+
+      assert.strictEqual(exchange(new functions.ReadDeviceIdentificationRequest(4, 0x10)).getExceptionCode(), 2);
+    });
+
+    it('reads and writes fifos and objects (0x41 to 0x44)', function () {
+      var fifo = exchange(new modbus.ReadFifo8Request(1, 2));
+
+      assert.deepStrictEqual(Array.from(fifo.getValues()), [9, 8]);
+      assert.strictEqual(exchange(new modbus.WriteFifo8Request(1, Buffer.from([6]))).getQuantity(), 1);
+      assert.deepStrictEqual(image.fifos[1], [7, 6]);
+
+      assert.deepStrictEqual(Array.from(exchange(new modbus.ReadObjectRequest(3)).getValues()), [1, 2]);
+      assert.strictEqual(exchange(new modbus.WriteObjectRequest(4, Buffer.from([5]))).getStatus(), 0);
+      assert.deepStrictEqual(Array.from(image.objects[4]), [5]);
+      assert.strictEqual(exchange(new modbus.ReadObjectRequest(9)).getExceptionCode(), 2);
+    });
+
+    it('reads and writes memory (0x45, 0x46, 0x64)', function () {
+      assert.strictEqual(exchange(new modbus.ReadMemoryRequest(0x10, 3)).getValues().toString('hex'), 'aabb00');
+      assert.strictEqual(exchange(new modbus.WriteMemoryRequest(0x20, Buffer.from([1, 2]))).getStatus(), 0);
+      assert.strictEqual(exchange(new modbus.WriteMemoryVerifyRequest(0x22, Buffer.from([3]))).getStatus(), 0);
+      assert.strictEqual(image.memory.slice(0x20, 0x23).toString('hex'), '010203');
+      assert.strictEqual(changes, 2);
+    });
+
+    it('answers with exceptions for bad requests', function () {
+      assert.strictEqual(exchange(new modbus.ReadHoldingRegistersRequest(0xffff, 2)).getExceptionCode(), 2);
+      assert.strictEqual(exchange(new modbus.ReadMemoryRequest(0xffff, 2)).getExceptionCode(), 2);
+      assert.strictEqual(slave.handle(image, Buffer.from([0x03, 0, 0]), null, counters).toString('hex'), '8303');
+      assert.strictEqual(slave.handle(image, Buffer.from([0x07]), null, counters).toString('hex'), '8701');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var snapshot = require('../lib/snapshot');
+
+describe('snapshot', function () {
+  var dir;
+
+  before(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mb-snapshot-'));
+  });
+
+  after(function () {
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  /**
+   * Writes a snapshot file
+   *
+   * @param  {[string]} name name of the file
+   * @param  {[object]} json contents of the file
+   * @return {[string]}      path of the file
+   */
+  function write(name, json) {
+    var filename = path.join(dir, name);
+
+    fs.writeFileSync(filename, JSON.stringify(json));
+    return filename;
+  }
+
+  describe('fromOptions()', function () {
+    it('merges ranges that overlap or touch', function () {
+      var set = snapshot.fromOptions({holding: '0:4,2:4', memory: '0x400:16,0x410:16,0xFFF0:16'});
+
+      assert.deepStrictEqual(set.holding, [{address: 0, count: 6}]);
+      assert.deepStrictEqual(set.memory, [
+        {address: 0x400, count: 32},
+        {address: 0xfff0, count: 16},
+      ]);
+      assert.strictEqual(snapshot.describe(set), '6 registers and 48 bytes of memory');
+    });
+
+    it('refuses memory ranges outside the address space', function () {
+      assert.throws(
+        () => snapshot.fromOptions({memory: '0xFFF0:32'}),
+        /The range 0xFFF0 to 0x1000F goes past the last memory address \(0xFFFF\)/,
+      );
+      assert.throws(() => snapshot.fromOptions({memory: '0x10000'}), /Invalid memory address: 65536/);
+    });
+  });
+
+  describe('load()', function () {
+    it('reads the values held by a file', function () {
+      var saved = snapshot.load(write('good.json', {holding: {0: 1, 1: 2}, memory: {'0x400': '0011', '0xFFFE': [1, 2]}}));
+
+      assert.deepStrictEqual(snapshot.setOf(saved).memory, [
+        {address: 0x400, count: 2},
+        {address: 0xfffe, count: 2},
+      ]);
+    });
+
+    it('refuses memory outside the address space, so a restore cannot stop partway', function () {
+      var filename = write('past.json', {holding: {0: 1}, memory: {'0x400': '00', '0xFFFF': '0011'}});
+
+      assert.throws(
+        () => snapshot.load(filename),
+        /^Error: Unable to read snapshot .*past\.json: The range 0xFFFF to 0x10000 goes past the last memory address/,
+      );
+    });
+
+    it('refuses empty snapshots', function () {
+      assert.throws(
+        () => snapshot.load(write('empty.json', {taken: 'now'})),
+        /holds no holding registers, objects or memory/,
+      );
+    });
+  });
+
+  describe('compare()', function () {
+    it('lists each run of changed memory as one difference', function () {
+      var expected = snapshot.load(write('a.json', {holding: {0: 1}, memory: {'0x10': '00112233'}}));
+      var actual = snapshot.load(write('b.json', {holding: {0: 2}, memory: {'0x10': '00aabb33'}}));
+
+      assert.deepStrictEqual(
+        snapshot.compare(expected, actual).map((difference) => [difference.space, difference.address]),
+        [
+          ['holding', 0],
+          ['memory', 0x11],
+        ],
+      );
+    });
+  });
+});
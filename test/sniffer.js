@@ -0,0 +1,97 @@
+'use strict';
+
+var assert = require('assert');
+
+var sniffer = require('../lib/sniffer');
+var frame = require('./helpers').frame;
+
+// read 10 holding registers from 0 of unit 1, and the response
+var REQUEST = frame([0x01, 0x03, 0x00, 0x00, 0x00, 0x0a]);
+var RESPONSE = frame([0x01, 0x03, 0x04, 0x00, 0x01, 0x00, 0x02]);
+
+describe('sniffer', function () {
+  describe('silence()', function () {
+    it('is 3.5 characters of 11 bits at low baud rates', function () {
+      assert.strictEqual(sniffer.silence(1200), 33);
+      assert.strictEqual(sniffer.silence(9600), 5);
+      assert.strictEqual(sniffer.silence(19200), 3);
+    });
+
+    it('is 1.75 ms above 19200 baud, but no less than 2 ms', function () {
+      assert.strictEqual(sniffer.silence(38400), 2);
+      assert.strictEqual(sniffer.silence(115200), 2);
+    });
+  });
+
+  describe('split()', function () {
+    it('uses the standard CRC', function () {
+      assert.strictEqual(REQUEST.toString('hex'), '01030000000ac5cd');
+    });
+
+    it('returns a single frame whole', function () {
+      assert.deepStrictEqual(sniffer.split(REQUEST), {frames: [REQUEST], rest: null});
+    });
+
+    it('splits a request and response received together', function () {
+      assert.deepStrictEqual(sniffer.split(Buffer.concat([REQUEST, RESPONSE])), {frames: [REQUEST, RESPONSE], rest: null});
+    });
+
+    it('splits several joined frames, including short ones', function () {
+      var exception = frame([0x02, 0x83, 0x02]);
+      var data = Buffer.concat([REQUEST, exception, RESPONSE, REQUEST]);
+
+      assert.deepStrictEqual(sniffer.split(data).frames, [REQUEST, exception, RESPONSE, REQUEST]);
+    });
+
+    it('returns data left over after the frames', function () {
+      var result = sniffer.split(Buffer.concat([REQUEST, Buffer.from([0x01, 0x03, 0x99])]));
+
+      assert.deepStrictEqual(result.frames, [REQUEST]);
+      assert.deepStrictEqual(result.rest, Buffer.from([0x01, 0x03, 0x99]));
+    });
+
+    it('returns data without a valid frame as it is', function () {
+      var corrupt = Buffer.from(REQUEST);
+
+      corrupt[3] ^= 0xff;
+      assert.deepStrictEqual(sniffer.split(corrupt), {frames: [], rest: corrupt});
+      assert.deepStrictEqual(sniffer.split(Buffer.from([0x01, 0x02])), {frames: [], rest: Buffer.from([0x01, 0x02])});
+    });
+  });
+
+  describe('create()', function () {
+    it('pairs each request with its response', function (done) {
+      var monitor = sniffer.create({
+        baudRate: 115200,
+        timeout: 100,
+        onExchange: function (exchange) {
+          assert.strictEqual(exchange.unit, 1);
+          assert.strictEqual(exchange.broadcast, false);
+          assert.deepStrictEqual(exchange.requestPdu, REQUEST.slice(1, -2));
+          assert.deepStrictEqual(exchange.responsePdu, RESPONSE.slice(1, -2));
+          assert.strictEqual(exchange.request.getQuantity(), 10);
+          assert.deepStrictEqual(exchange.response.getValues(), Buffer.from([0, 1, 0, 2]));
+          done();
+        },
+      });
+
+      monitor(REQUEST.slice(0, 3));
+      monitor(REQUEST.slice(3));
+      setTimeout(() => monitor(RESPONSE), 10);
+    });
+
+    it('reports a request that is not answered', function (done) {
+      var monitor = sniffer.create({
+        baudRate: 115200,
+        timeout: 20,
+        onExchange: function (exchange) {
+          assert.strictEqual(exchange.responsePdu, null);
+          assert.strictEqual(exchange.response, null);
+          done();
+        },
+      });
+
+      monitor(REQUEST);
+    });
+  });
+});
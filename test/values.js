@@ -0,0 +1,146 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var values = require('../lib/values');
+
+/**
+ * Converts arguments to bytes, as hex
+ *
+ * @param  {[array]}  words the value arguments
+ * @return {[string]}       the bytes
+ */
+function bytes(words) {
+  return values.toBytes(['write', 'memory', 0x400].concat(words), 3).toString('hex');
+}
+
+/**
+ * Converts arguments to registers, as hex
+ *
+ * @param  {[array]}  words the value arguments
+ * @return {[string]}       the register data
+ */
+function registers(words) {
+  return values.toRegisters(['write', 'holding', 0].concat(words), 3).toString('hex');
+}
+
+describe('values', function () {
+  describe('parseNumber()', function () {
+    it('parses decimal, hex and binary, with a sign', function () {
+      assert.strictEqual(values.parseNumber('12'), 12);
+      assert.strictEqual(values.parseNumber('-5'), -5);
+      assert.strictEqual(values.parseNumber('+7'), 7);
+      assert.strictEqual(values.parseNumber('0x1F'), 31);
+      assert.strictEqual(values.parseNumber('-0x10'), -16);
+      assert.strictEqual(values.parseNumber('0b1010'), 10);
+      assert.strictEqual(values.parseNumber(300), 300);
+    });
+
+    it('rejects anything else, saying where it came from', function () {
+      assert.throws(() => values.parseNumber('abc', 'argument 4'), /^Error: Invalid number "abc" in argument 4 \(use eg/);
+      assert.throws(() => values.parseNumber('1.5'), /Invalid number "1.5"/);
+      assert.throws(() => values.parseNumber('0x'), /Invalid number "0x"/);
+      assert.throws(() => values.parseNumber('0b102'), /Invalid number/);
+      assert.throws(() => values.parseNumber(''), /Invalid number/);
+    });
+  });
+
+  describe('toBytes() and toRegisters()', function () {
+    it("converts numbers, with negatives in two's complement", function () {
+      assert.strictEqual(bytes([1, '0x7f', '0b11', -1, '-128', 255]), '017f03ff80ff');
+      assert.strictEqual(registers([1, '0x1234', -1, '-32768', 65535]), '00011234ffff8000ffff');
+    });
+
+    it('repeats a value', function () {
+      assert.strictEqual(bytes(['0x55:4']), '55555555');
+      assert.strictEqual(registers(['-1:2']), 'ffffffff');
+    });
+
+    it('expands ramps up and down', function () {
+      assert.strictEqual(bytes(['0..4']), '0001020304');
+      assert.strictEqual(bytes(['3..0']), '03020100');
+      assert.strictEqual(bytes(['-2..1']), 'feff0001');
+      assert.strictEqual(registers(['0x100..0x102']), '010001010102');
+      assert.strictEqual(bytes(['7..7']), '07');
+    });
+
+    it('takes hex data', function () {
+      assert.strictEqual(bytes(['hex:DEADbeef']), 'deadbeef');
+      assert.strictEqual(bytes(['hex:01_02']), '0102');
+      assert.strictEqual(registers(['HEX:12345678']), '12345678');
+    });
+
+    it('takes text, padded for registers', function () {
+      assert.strictEqual(bytes(['"Hi"']), '4869');
+      assert.strictEqual(bytes(["'a b'"]), '612062');
+      assert.strictEqual(bytes(['"\\u00e9\\n"']), 'c3a90a');
+      assert.strictEqual(registers(['"abc"']), '61626300');
+      assert.strictEqual(registers(["'ab'"]), '6162');
+    });
+
+    it('joins values of every kind', function () {
+      assert.strictEqual(bytes([0, '1..2', 'hex:AA', '"Z"', '0:2']), '000102aa5a0000');
+    });
+
+    it('rejects values that do not fit', function () {
+      assert.throws(() => bytes([1, 300]), /^Error: Value 300 in argument 5 does not fit in a byte \(-128 to 255\)$/);
+      assert.throws(() => bytes(['-129']), /does not fit in a byte/);
+      assert.throws(() => registers(['65536']), /Value 65536 in argument 4 does not fit in a register \(-32768 to 65535\)/);
+      assert.throws(() => bytes(['0..256']), /Value 256 in argument 4 does not fit in a byte/);
+    });
+
+    it('rejects bad repeats, ramps, hex and text', function () {
+      assert.throws(() => bytes(['1:0']), /Invalid count in argument 4: 1:0/);
+      assert.throws(() => bytes(['1:70000']), /Invalid count/);
+      assert.throws(() => registers(['-32768..65535']), /Invalid count in argument 4/);
+      assert.throws(() => bytes(['a..b']), /Invalid number "a" in argument 4/);
+      assert.throws(() => bytes(['hex:ABC']), /Invalid hex data in argument 4: hex:ABC \(use two digits per byte\)/);
+      assert.throws(() => bytes(['hex:']), /Invalid hex data/);
+      assert.throws(() => registers(['hex:AABBCC']), /hex data in argument 4 does not fill a whole number of registers/);
+      assert.throws(() => bytes(['"\\q"']), /Invalid text in argument 4/);
+      assert.throws(() => bytes(['nine']), /Invalid number "nine" in argument 4/);
+    });
+  });
+
+  describe('files', function () {
+    var dir;
+
+    before(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mb-values-'));
+    });
+
+    after(function () {
+      fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    function file(name, text) {
+      fs.writeFileSync(path.join(dir, name), text);
+      return '@' + path.join(dir, name);
+    }
+
+    it('reads values separated by spaces, commas and lines, skipping comments', function () {
+      var name = file('values.txt', '# header\n1, 2 3\r\n  # note\n0x10..0x11,"a, b" \'c d\'\n\nhex:FF\n');
+
+      assert.strictEqual(bytes([0, name, 9]), '00010203101161' + '2c2062' + '632064' + 'ff09');
+    });
+
+    it('reports bad values with the file and line', function () {
+      var name = file('bad.txt', '1\n2 300\n');
+
+      assert.throws(() => bytes([name]), new RegExp('Value 300 in ' + name.substring(1) + ' line 2 does not fit'));
+    });
+
+    it('reports a file that cannot be read, with the argument', function () {
+      assert.throws(() => bytes([1, '@' + path.join(dir, 'missing.txt')]), /Unable to read values \(argument 5\): ENOENT/);
+    });
+
+    it('lists the values for typed conversion', function () {
+      var name = file('typed.txt', '1.5 -2\n3e2\n');
+
+      assert.deepStrictEqual(values.expand(['write', 'holding', 0, name, '4'], 3), ['1.5', '-2', '3e2', '4']);
+    });
+  });
+});